@@ -0,0 +1,92 @@
+// ====== ANSWER PAGE ======
+// Shows a run sent to an endpoint provider or a menu's API (answer.html?id=<session id>) as its
+// answer comes in. background.js (runAnswerSession) keeps the session in chrome.storage.session
+// and saves the answer as it arrives; this page re-renders on every change.
+
+const sessionId = new URLSearchParams(location.search).get('id');
+const sessionKey = `answer_${sessionId}`;
+
+const titleHeading = document.getElementById('answer-title');
+const providerLabel = document.getElementById('answer-provider');
+const missingNotice = document.getElementById('answer-missing');
+const turnsContainer = document.getElementById('answer-turns');
+const footer = document.getElementById('answer-footer');
+const statusText = document.getElementById('answer-status');
+const usageText = document.getElementById('answer-usage');
+const stopButton = document.getElementById('answer-stop');
+const copyButton = document.getElementById('answer-copy');
+
+let lastAnswer = '';
+
+function getStatusText(session) {
+  if (session.status === 'done') return 'Done';
+  if (session.status === 'stopped') return 'Stopped';
+  if (session.status === 'failed') return `Failed: ${session.error || 'unknown error'}`;
+  return 'Writing the answer...';
+}
+
+// Token usage is reported by the cloud APIs, not by endpoints
+function getUsageText(usage) {
+  if (!usage) return '';
+  const format = count => count.toLocaleString();
+  return `${format(usage.inputTokens)} tokens in, ${format(usage.outputTokens)} out`;
+}
+
+function createTurn(turn, index, session) {
+  const section = document.createElement('section');
+  section.className = 'answer-turn';
+
+  const prompt = document.createElement('details');
+  prompt.className = 'answer-prompt';
+  const summary = document.createElement('summary');
+  summary.textContent = session.turns.length > 1 ? `Message ${index + 1}` : 'Prompt';
+  const promptText = document.createElement('pre');
+  promptText.textContent = turn.prompt;
+  prompt.append(summary, promptText);
+
+  const answer = document.createElement('div');
+  answer.className = 'answer-text';
+  answer.textContent = turn.text;
+
+  section.append(prompt, answer);
+  return section;
+}
+
+function render(session) {
+  if (!session) {
+    missingNotice.classList.remove('hidden');
+    footer.classList.add('hidden');
+    turnsContainer.replaceChildren();
+    return;
+  }
+
+  titleHeading.textContent = session.title;
+  document.title = `${session.title} - ${session.providerName}`;
+  providerLabel.textContent = `${session.providerName} · ${session.model}`;
+  // Only turns that have started; the rest are still to be sent
+  const started = session.turns.filter((turn, index) => turn.text || index === 0 || session.turns[index - 1].text);
+  turnsContainer.replaceChildren(...started.map((turn, index) => createTurn(turn, index, session)));
+
+  lastAnswer = session.turns[session.turns.length - 1].text;
+  footer.className = `answer-footer answer-${session.status}`;
+  statusText.textContent = getStatusText(session);
+  usageText.textContent = getUsageText(session.usage);
+  stopButton.classList.toggle('hidden', session.status !== 'streaming');
+  copyButton.disabled = !lastAnswer;
+}
+
+stopButton.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'STOP_ANSWER', id: sessionId }).catch(() => {});
+});
+
+copyButton.addEventListener('click', () => {
+  navigator.clipboard.writeText(lastAnswer)
+    .then(() => { copyButton.textContent = 'Copied'; })
+    .catch(() => { copyButton.textContent = 'Copy failed'; });
+});
+
+chrome.storage.session.get(sessionKey).then(result => render(result[sessionKey]));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes[sessionKey]) render(changes[sessionKey].newValue);
+});
@@ -0,0 +1,145 @@
+// ====== API KEYS PAGE ======
+// Save and remove the keys menus in API mode use (see cloud-api.js), and grant the host access
+// background.js needs to call each API.
+
+import { getConfig } from './config.js';
+import { API_KEYS_KEY, CLOUD_APIS, getApiKeys, saveApiKey } from './cloud-api.js';
+
+const keysList = document.getElementById('api-keys-list');
+const keyTemplate = document.getElementById('api-key-template');
+const errorBanner = document.getElementById('error-banner');
+const warningBanner = document.getElementById('warning-banner');
+const successBanner = document.getElementById('success-banner');
+
+// ====== HELPERS ======
+function showError(message) {
+  errorBanner.textContent = message;
+  errorBanner.classList.remove('hidden');
+  warningBanner.classList.add('hidden');
+  successBanner.classList.add('hidden');
+}
+
+function showWarning(message) {
+  warningBanner.textContent = message;
+  warningBanner.classList.remove('hidden');
+  errorBanner.classList.add('hidden');
+  successBanner.classList.add('hidden');
+}
+
+function showSuccess(message) {
+  successBanner.textContent = message;
+  successBanner.classList.remove('hidden');
+  errorBanner.classList.add('hidden');
+  warningBanner.classList.add('hidden');
+
+  setTimeout(() => {
+    successBanner.classList.add('hidden');
+  }, 3000);
+}
+
+// Only the end of a saved key is ever shown
+function maskKey(key) {
+  return `Saved key ending in ${key.slice(-4)}`;
+}
+
+// ====== CARDS ======
+async function updateCard(card, keys) {
+  const api = CLOUD_APIS[card.dataset.api];
+  const key = keys[card.dataset.api];
+  const status = card.querySelector('.api-key-status');
+  const input = card.querySelector('.api-key-input');
+
+  input.value = '';
+  input.placeholder = key ? maskKey(key) : 'Paste your API key';
+  card.querySelector('.api-key-remove').classList.toggle('hidden', !key);
+
+  if (!key) {
+    status.textContent = 'No key';
+    status.className = 'api-key-status missing';
+  } else if (await chrome.permissions.contains({ origins: [api.origin] })) {
+    status.textContent = 'Key saved';
+    status.className = 'api-key-status saved';
+  } else {
+    status.textContent = 'No access';
+    status.className = 'api-key-status no-access';
+  }
+}
+
+function createCard(apiId) {
+  const card = keyTemplate.content.firstElementChild.cloneNode(true);
+  card.dataset.api = apiId;
+  card.querySelector('.api-key-name').textContent = CLOUD_APIS[apiId].name;
+  card.querySelector('.api-key-save').addEventListener('click', () => handleSave(card));
+  card.querySelector('.api-key-remove').addEventListener('click', () => handleRemove(card));
+  return card;
+}
+
+async function refreshCards() {
+  const keys = await getApiKeys();
+  await Promise.all([...keysList.children].map(card => updateCard(card, keys)));
+}
+
+// ====== ACTIONS ======
+// Must run straight from the click: Chrome only shows the permission prompt for a user gesture
+async function handleSave(card) {
+  const api = CLOUD_APIS[card.dataset.api];
+  const key = card.querySelector('.api-key-input').value.trim();
+  if (!key) {
+    showError(`Paste your ${api.name} API key first`);
+    return;
+  }
+
+  let granted = false;
+  try {
+    granted = await chrome.permissions.request({ origins: [api.origin] });
+  } catch (e) {
+    console.warn('[API Keys] Could not request access:', e);
+  }
+
+  try {
+    await saveApiKey(card.dataset.api, key);
+  } catch (e) {
+    showError('Failed to save: ' + e.message);
+    return;
+  }
+  await refreshCards();
+
+  if (granted) {
+    showSuccess(`${api.name} key saved`);
+  } else {
+    showWarning(`${api.name} key saved, but access to ${api.origin} was not granted. Save the key again to allow it.`);
+  }
+}
+
+async function handleRemove(card) {
+  const apiId = card.dataset.api;
+  const api = CLOUD_APIS[apiId];
+
+  const config = await getConfig();
+  const usedBy = (config.menus || [])
+    .filter(menu => menu.executionMode === 'api' && menu.apiProvider === apiId)
+    .map(menu => `"${menu.name}"`);
+  const warning = usedBy.length > 0 ? `\n\n${usedBy.join(', ')} will stop working until a new key is saved.` : '';
+  if (!confirm(`Remove the ${api.name} API key?${warning}`)) return;
+
+  await saveApiKey(apiId, '');
+  await chrome.permissions.remove({ origins: [api.origin] }).catch(() => {});
+  await refreshCards();
+  showSuccess(`${api.name} key removed`);
+}
+
+// ====== INITIALIZATION ======
+async function init() {
+  keysList.replaceChildren(...Object.keys(CLOUD_APIS).map(createCard));
+  await refreshCards();
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[API_KEYS_KEY]) refreshCards();
+  });
+
+  // Access can also be granted or removed from the browser's extension settings
+  chrome.permissions.onAdded.addListener(refreshCards);
+  chrome.permissions.onRemoved.addListener(refreshCards);
+}
+
+init();
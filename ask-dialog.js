@@ -0,0 +1,208 @@
+// ====== ASK DIALOG (content script) ======
+// Collects values for {{ask:...}} prompt variables in the page the action was triggered from.
+// background.js sends SHOW_ASK_DIALOG with the fields to fill in; the response is
+// { values: { [variableName]: value } } or { cancelled: true }.
+
+const ASK_DIALOG_ID = 'chatgpt-query-ask-dialog';
+
+// Close handler of the dialog currently on screen (only one at a time)
+let closeActiveAskDialog = null;
+
+function showAskDialog(title, fields) {
+  return new Promise((resolve) => {
+    // Replace any existing dialog (its run is treated as cancelled)
+    closeActiveAskDialog?.({ cancelled: true });
+
+    // Shadow DOM keeps the page's CSS away from the dialog
+    const host = document.createElement('div');
+    host.id = ASK_DIALOG_ID;
+    const root = host.attachShadow({ mode: 'open' });
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.5);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 2147483647;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+    `;
+
+    const dialog = document.createElement('form');
+    dialog.style.cssText = `
+      background: white;
+      border-radius: 8px;
+      box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+      max-width: 500px;
+      width: 90%;
+      margin: 0;
+      display: flex;
+      flex-direction: column;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = `
+      padding: 20px 24px;
+      border-bottom: 1px solid #dadce0;
+    `;
+
+    const heading = document.createElement('h3');
+    heading.textContent = title || 'AI Custom Prompts';
+    heading.style.cssText = `
+      margin: 0;
+      font-size: 18px;
+      font-weight: 500;
+      color: #202124;
+    `;
+
+    const body = document.createElement('div');
+    body.style.cssText = `
+      padding: 24px;
+      display: flex;
+      flex-direction: column;
+      gap: 16px;
+    `;
+
+    // One labelled input per field: dropdown for enumerated choices, text box otherwise
+    const inputs = fields.map(field => {
+      const label = document.createElement('label');
+      label.style.cssText = `
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        font-size: 14px;
+        color: #5f6368;
+      `;
+      label.textContent = field.label;
+
+      let input;
+      if (field.options.length > 0) {
+        input = document.createElement('select');
+        field.options.forEach(option => {
+          const optionEl = document.createElement('option');
+          optionEl.value = option;
+          optionEl.textContent = option;
+          input.appendChild(optionEl);
+        });
+      } else {
+        input = document.createElement('input');
+        input.type = 'text';
+      }
+      input.style.cssText = `
+        padding: 8px 10px;
+        font-size: 14px;
+        color: #202124;
+        border: 1px solid #dadce0;
+        border-radius: 4px;
+        background: white;
+      `;
+
+      label.appendChild(input);
+      body.appendChild(label);
+      return { field, input };
+    });
+
+    const footer = document.createElement('div');
+    footer.style.cssText = `
+      display: flex;
+      justify-content: flex-end;
+      gap: 12px;
+      padding: 16px 24px;
+      border-top: 1px solid #dadce0;
+    `;
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.style.cssText = `
+      background: white;
+      color: #1a73e8;
+      border: 1px solid #dadce0;
+      border-radius: 4px;
+      padding: 8px 16px;
+      font-size: 14px;
+      font-weight: 500;
+      cursor: pointer;
+      min-width: 80px;
+    `;
+
+    const sendBtn = document.createElement('button');
+    sendBtn.type = 'submit';
+    sendBtn.textContent = 'Send';
+    sendBtn.style.cssText = `
+      background: #1a73e8;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      padding: 8px 16px;
+      font-size: 14px;
+      font-weight: 500;
+      cursor: pointer;
+      min-width: 80px;
+    `;
+
+    const close = (result) => {
+      host.remove();
+      document.removeEventListener('keydown', handleEscape, true);
+      closeActiveAskDialog = null;
+      resolve(result);
+    };
+    closeActiveAskDialog = close;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        close({ cancelled: true });
+      }
+    };
+
+    dialog.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const values = {};
+      inputs.forEach(({ field, input }) => {
+        values[field.name] = input.value.trim();
+      });
+      close({ values });
+    });
+    cancelBtn.onclick = () => close({ cancelled: true });
+    overlay.onclick = (e) => {
+      if (e.target === overlay) {
+        close({ cancelled: true });
+      }
+    };
+
+    // Keep typing inside the dialog from triggering the page's own keyboard handlers
+    dialog.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') e.stopPropagation();
+    });
+    document.addEventListener('keydown', handleEscape, true);
+
+    // Assemble dialog
+    header.appendChild(heading);
+    footer.appendChild(cancelBtn);
+    footer.appendChild(sendBtn);
+    dialog.appendChild(header);
+    dialog.appendChild(body);
+    dialog.appendChild(footer);
+    overlay.appendChild(dialog);
+    root.appendChild(overlay);
+
+    // Add to page
+    (document.body || document.documentElement).appendChild(host);
+    inputs[0]?.input.focus();
+  });
+}
+
+// ====== MESSAGE LISTENER ======
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'SHOW_ASK_DIALOG') {
+    showAskDialog(message.title, message.fields || []).then(sendResponse);
+    return true; // Keep channel open for async response
+  }
+});
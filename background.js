@@ -1,5 +1,12 @@
-import { getConfig, migrateConfig } from './config.js';
+import { SELECTION_FORMATS, SELECTION_FILE_THRESHOLD, getActionContexts, getConversationMode, getConfig, migrateConfig } from './config.js';
 import { debugLogSync as debugLog } from './debug.js';
+import { renderPrompt, renderStep, getAskFields, buildPromptMessages, buildSynthesisMessages } from './templates.js';
+import { addHistoryEntry, updateHistoryEntry, getHistoryEntry } from './run-history.js';
+import { startRunStatus, updateRunStatus } from './run-status.js';
+import { normalizeSelection, isSameSelection } from './selection.js';
+import { CUSTOM_PROVIDERS_KEY, resolveProvider, getCustomProviders } from './providers.js';
+import { toMessageContent, streamChatCompletion } from './llm-endpoint.js';
+import { CLOUD_APIS, callCloudApi, getApiKeys } from './cloud-api.js';
 
 // ====== DYNAMIC CONFIG ======
 // Config is now loaded from chrome.storage.sync
@@ -10,6 +17,7 @@ let cachedConfig = null;
 
 async function loadConfig() {
   if (!cachedConfig) {
+    customProviders = await getCustomProviders();
     cachedConfig = await getConfig();
   }
   return cachedConfig;
@@ -19,70 +27,25 @@ function invalidateCache() {
   cachedConfig = null;
 }
 
-// ====== PROVIDER CONFIG TABLE ======
-const PROVIDERS = {
-  'chatgpt.com': {
-    titleMatch: 'ChatGPT',
-    inputSelectors: [
-      "form div[contenteditable='true'][data-testid^='composer']",
-      "form div[contenteditable='true'][role='textbox']",
-      "div[contenteditable='true'][data-testid^='composer']",
-      "div[contenteditable='true'][role='textbox']",
-      "form [contenteditable='true']",
-      "[contenteditable='true']",
-      "form textarea",
-      "textarea"
-    ],
-    sendButtonSelectors: [
-      "form button[data-testid='send-button']",
-      "button[data-testid='send-button']",
-      "form button[aria-label*='send' i]",
-      "button[aria-label*='send' i]",
-      "form button[type='submit']",
-      "button[type='submit']"
-    ]
-  },
-  'gemini.google.com': {
-    titleMatch: 'Gemini',
-    // Gemini uses Quill editor inside <rich-textarea> web component
-    // queryDeepAll() handles shadow DOM traversal automatically
-    inputSelectors: [
-      "rich-textarea .ql-editor",
-      "div.ql-editor[contenteditable='true']",
-      "rich-textarea [contenteditable='true']",
-      "[contenteditable='true'][role='textbox']",
-      "[contenteditable='true']"
-    ],
-    sendButtonSelectors: [
-      "button[aria-label='Send message']",
-      "button.send-button",
-      "button[aria-label*='send' i]",
-      "button[type='submit']"
-    ]
-  },
-  'claude.ai': {
-    titleMatch: 'Claude',
-    // Claude.ai uses a ProseMirror contenteditable editor
-    inputSelectors: [
-      "div[contenteditable='true'][data-placeholder]",
-      "div.ProseMirror[contenteditable='true']",
-      "div[contenteditable='true'][role='textbox']",
-      "[contenteditable='true'][role='textbox']",
-      "[contenteditable='true']"
-    ],
-    sendButtonSelectors: [
-      "button[aria-label='Send Message']",
-      "button[aria-label*='send' i]",
-      "button[type='submit']"
-    ]
-  }
-};
+// ====== PROVIDERS ======
+// Built-in providers live in providers.js; custom providers (defined on the Custom Providers
+// page) are kept here so getProviderForUrl() can stay synchronous
+let customProviders = [];
 
 function getProviderForUrl(url) {
-  for (const [domain, providerConfig] of Object.entries(PROVIDERS)) {
-    if (url?.includes(domain)) return providerConfig;
-  }
-  return PROVIDERS['chatgpt.com']; // safe fallback
+  return resolveProvider(url, customProviders);
+}
+
+// Custom providers need host access, which is granted on the Custom Providers page.
+// Without it, that page is opened so the user can grant it, and false is returned.
+async function ensureProviderAccess(url) {
+  const provider = getProviderForUrl(url);
+  if (!provider.custom) return true;
+  if (await chrome.permissions.contains({ origins: [provider.permissionOrigin] })) return true;
+
+  console.warn(`[Background] No access to ${provider.permissionOrigin} for the custom provider "${provider.name}"`);
+  await chrome.tabs.create({ url: chrome.runtime.getURL('custom-providers.html') });
+  return false;
 }
 
 // ====== INSTALLATION & MIGRATION ======
@@ -146,6 +109,12 @@ async function rebuildContextMenus() {
     // Load current config
     const config = await loadConfig();
 
+    // Screenshot actions work anywhere on the page, so they're shown for every right-click target
+    const getMenuContexts = (action) => {
+      const contexts = getActionContexts(action);
+      return contexts.includes('screenshot') ? CLICK_CONTEXT_PRIORITY.filter(c => c !== 'screenshot') : contexts;
+    };
+
     // Helper to create menu item with error handling
     const createMenuItem = (props) => {
       try {
@@ -162,18 +131,22 @@ async function rebuildContextMenus() {
       const sortedMenus = [...config.menus].sort((a, b) => a.order - b.order);
 
       sortedMenus.forEach(menu => {
+        // Get enabled actions for this menu
+        const enabledActions = menu.actions
+          .filter(action => action.enabled)
+          .sort((a, b) => a.order - b.order);
+
+        // Menus show for every right-click target one of their actions supports
+        const menuContexts = [...new Set(enabledActions.flatMap(getMenuContexts))];
+        if (menuContexts.length === 0) menuContexts.push('selection');
+
         // Create parent menu item for each menu
         createMenuItem({
           id: menu.id,
           title: menu.name,
-          contexts: ['selection']
+          contexts: menuContexts
         });
 
-        // Get enabled actions for this menu
-        const enabledActions = menu.actions
-          .filter(action => action.enabled)
-          .sort((a, b) => a.order - b.order);
-
         // Create menu items for each enabled action
         enabledActions.forEach(action => {
           // Don't display shortcuts in context menu (they still work via keyboard shortcuts)
@@ -181,7 +154,7 @@ async function rebuildContextMenus() {
             id: `${menu.id}__${action.id}`,
             parentId: menu.id,
             title: action.title,
-            contexts: ['selection']
+            contexts: getMenuContexts(action)
           });
         });
 
@@ -192,7 +165,25 @@ async function rebuildContextMenus() {
             id: `${menu.id}__runAll`,
             parentId: menu.id,
             title: 'Run All Actions',
-            contexts: ['selection']
+            contexts: menuContexts
+          });
+        }
+
+        // "Compare Providers" submenu: each action sent to several providers at once
+        if ((menu.compareProviders || []).length > 1 && enabledActions.length > 0) {
+          createMenuItem({
+            id: `${menu.id}__compare`,
+            parentId: menu.id,
+            title: 'Compare Providers',
+            contexts: menuContexts
+          });
+          enabledActions.forEach(action => {
+            createMenuItem({
+              id: `${menu.id}__compare__${action.id}`,
+              parentId: `${menu.id}__compare`,
+              title: action.title,
+              contexts: getMenuContexts(action)
+            });
           });
         }
 
@@ -252,16 +243,24 @@ function buildShortcutMap(config) {
   if (config.menus && Array.isArray(config.menus)) {
     config.menus.forEach(menu => {
       // Add individual action shortcuts
+      // Third entry tells shortcuts.js whether the page content may be sent when nothing is selected,
+      // or whether the action takes a screenshot region instead of the selection
+      const usesPage = (action) => getActionContexts(action).includes('page');
+      const usesScreenshot = (action) => getActionContexts(action).includes('screenshot');
       menu.actions
         .filter(action => action.enabled && action.shortcut)
         .forEach(action => {
           // Send shortcut as-is - matching will be done by modifier sets in shortcuts.js
-          shortcuts.push([action.shortcut, { menuId: menu.id, actionId: action.id }]);
+          shortcuts.push([action.shortcut, { menuId: menu.id, actionId: action.id }, {
+            pageSource: usesPage(action),
+            screenshot: usesScreenshot(action)
+          }]);
         });
 
       // Add Run All shortcut for this menu if enabled and configured
       if (menu.runAllEnabled && menu.runAllShortcut) {
-        shortcuts.push([menu.runAllShortcut, { menuId: menu.id, actionId: 'runAll' }]);
+        const pageSource = menu.actions.some(action => action.enabled && usesPage(action));
+        shortcuts.push([menu.runAllShortcut, { menuId: menu.id, actionId: 'runAll' }, { pageSource }]);
       }
     });
   }
@@ -283,7 +282,11 @@ function buildShortcutMap(config) {
 
 // ====== STORAGE CHANGE LISTENER ======
 chrome.storage.onChanged.addListener(async (changes, areaName) => {
-  if (areaName === 'sync' && changes.config) {
+  if (areaName === 'sync' && changes[CUSTOM_PROVIDERS_KEY]) {
+    customProviders = changes[CUSTOM_PROVIDERS_KEY].newValue || [];
+  }
+  // Menu URLs are validated against the custom providers, so the config is reloaded with them
+  if (areaName === 'sync' && (changes.config || changes[CUSTOM_PROVIDERS_KEY])) {
     debugLog('[Background] Config changed, rebuilding...');
     invalidateCache();
     await rebuildContextMenus();
@@ -304,19 +307,456 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
   }
 });
 
-// ====== CONTEXT MENU CLICK HANDLER ======
-chrome.contextMenus.onClicked.addListener(async (info) => {
-  debugLog('[Background] Context menu clicked:', info.menuItemId, 'selection:', info.selectionText?.substring(0, 50));
+// ====== SELECTION CAPTURE ======
+// Pick the selection in the action's format, falling back to plain text when the page
+// couldn't provide it (e.g. text selected inside an input or textarea)
+function getSelectionForAction(selection, action) {
+  const format = SELECTION_FORMATS.includes(action.selectionFormat) ? action.selectionFormat : 'text';
+  return selection[format] || selection.text;
+}
 
-  if (!info.selectionText) {
-    console.warn('[Background] No selection text, ignoring click');
-    return;
+// File type for a selection sent as an attachment, by selection format
+const SELECTION_FILE_TYPES = {
+  text: { extension: 'txt', type: 'text/plain' },
+  markdown: { extension: 'md', type: 'text/markdown' },
+  html: { extension: 'html', type: 'text/html' }
+};
+
+// The selection text for an action's prompt, plus the files to attach. With action.selectionFile
+// ('long' or 'always') the selection is uploaded as a file and the prompt refers to it instead,
+// which keeps huge selections out of the chat input.
+async function prepareSelectionInput(selection, action) {
+  const text = getSelectionForAction(selection, action);
+  const attachments = selection.attachments || [];
+  const asFile = action.selectionFile === 'always'
+    || (action.selectionFile === 'long' && text.length > SELECTION_FILE_THRESHOLD);
+  if (!asFile || !text) return { text, attachments };
+
+  const { extension, type } = SELECTION_FILE_TYPES[action.selectionFormat] || SELECTION_FILE_TYPES.text;
+  const file = { name: `selection.${extension}`, type, data: await blobToBase64(new Blob([text], { type })) };
+  debugLog('[Background] Sending selection of', text.length, 'characters as', file.name);
+  return { text: `(see the attached file ${file.name})`, attachments: [...attachments, file] };
+}
+
+// Inject page-capture.js into a frame and run one of its functions there.
+// page-capture.js is only declared for top frames, so it is injected on demand.
+async function runInPage(tabId, frameId, func, args = []) {
+  const target = { tabId, frameIds: [frameId || 0] };
+  await chrome.scripting.executeScript({ target, files: ['page-capture.js'] });
+  const results = await chrome.scripting.executeScript({ target, func, args });
+  return results?.[0]?.result;
+}
+
+// Inject provider-dom.js into a provider tab's main world, where the injected functions that
+// read or drive the provider's page find its composer, send button and answers with it
+async function injectProviderDom(tabId) {
+  await chrome.scripting.executeScript({ target: { tabId }, files: ['provider-dom.js'], world: 'MAIN' });
+}
+
+// info.selectionText from the context menu is flattened by Chrome (no newlines, no markup),
+// so capture the live selection from the frame that was clicked instead. If the page changed
+// the selection after the right-click, the context menu's selectionText is used.
+async function captureSelection(tabId, frameId, fallbackText) {
+  const fallback = { text: fallbackText };
+  if (tabId === undefined || tabId < 0) return fallback;
+
+  try {
+    const captured = await runInPage(tabId, frameId, () => captureSelection());
+    if (isSameSelection(captured?.text, fallbackText)) {
+      return captured;
+    }
+    debugLog('[Background] Live selection empty or changed, using context menu selectionText');
+  } catch (e) {
+    // e.g. chrome:// pages or cross-origin frames the activeTab grant doesn't cover
+    debugLog('[Background] Could not read live selection, using context menu selectionText:', e.message);
+  }
+  return fallback;
+}
+
+// ====== PAGE CONTENT ======
+// Read the main content of the page (page-capture.js) in the tab's top frame.
+// Returns a selection-like object, or null if the page can't be read.
+async function capturePageContent(tabId) {
+  if (tabId === undefined || tabId < 0) return null;
+
+  try {
+    const content = await runInPage(tabId, 0, () => extractPageContent());
+    return content ? pageContentToSelection(content) : null;
+  } catch (e) {
+    console.warn('[Background] Could not read page content from tab', tabId, e);
+    return null;
+  }
+}
+
+// Turn extracted page content { title, url, text, html, markdown, length, truncated } into
+// the { text, html, markdown } shape used for selections, led by the page title and URL
+function pageContentToSelection(content) {
+  const header = `Title: ${content.title || ''}\nURL: ${content.url || ''}\n\n`;
+  const footer = content.truncated
+    ? `\n\n[Page content truncated: the page has ${content.length} characters, only the beginning is included]`
+    : '';
+  const withHeader = (body) => body ? `${header}${body}${footer}` : '';
+
+  return normalizeSelection({
+    text: withHeader(content.text),
+    html: withHeader(content.html),
+    markdown: withHeader(content.markdown)
+  }, 'page');
+}
+
+// ====== CLICK CONTEXTS ======
+// Right-click targets in the order they're preferred when several apply,
+// e.g. a selection inside a link is sent as the selection.
+// 'screenshot' isn't a Chrome menu context: it applies anywhere, after everything else.
+const CLICK_CONTEXT_PRIORITY = ['selection', 'link', 'image', 'editable', 'page', 'screenshot'];
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Contexts the clicked target offers, in priority order
+function getClickContexts(info) {
+  return CLICK_CONTEXT_PRIORITY.filter(context => {
+    switch (context) {
+      case 'selection': return !!info.selectionText;
+      case 'link': return !!info.linkUrl;
+      case 'image': return info.mediaType === 'image' && !!info.srcUrl;
+      case 'editable': return !!info.editable;
+      default: return true; // page, screenshot
+    }
+  });
+}
+
+// First clicked context that one of the actions supports
+function pickClickContext(info, actions) {
+  return getClickContexts(info)
+    .find(context => actions.some(action => getActionContexts(action).includes(context)));
+}
+
+// Read the input for a context-menu run from the clicked target.
+// Returns a selection-like object ({ context, text, html, markdown, link?, image? }), or null.
+async function captureClickInput(context, info, tab) {
+  const tabId = tab?.id;
+  const canReadPage = tabId !== undefined && tabId >= 0;
+
+  switch (context) {
+    case 'selection':
+      return normalizeSelection(await captureSelection(tabId, info.frameId, info.selectionText));
+
+    case 'link': {
+      // OnClickData only has the URL; the link text is looked up in the page
+      let link = { url: info.linkUrl, text: '' };
+      if (canReadPage) {
+        link = await runInPage(tabId, info.frameId, (url) => describeLink(url), [info.linkUrl])
+          .catch(e => {
+            debugLog('[Background] Could not read link text:', e.message);
+            return link;
+          });
+      }
+      return {
+        ...normalizeSelection({
+          text: link.text ? `${link.text}\n${link.url}` : link.url,
+          html: `<a href="${escapeHtml(link.url)}">${escapeHtml(link.text || link.url)}</a>`,
+          markdown: `[${link.text || link.url}](${link.url})`
+        }, 'link'),
+        link
+      };
+    }
+
+    case 'image': {
+      let image = { url: info.srcUrl, alt: '' };
+      if (canReadPage) {
+        image = await runInPage(tabId, info.frameId, (src) => describeImage(src), [info.srcUrl])
+          .catch(e => {
+            debugLog('[Background] Could not read image alt text:', e.message);
+            return image;
+          });
+      }
+
+      // The image itself is attached to the provider's composer; if it can't be read,
+      // its address is sent as text instead
+      const attachment = await fetchImageAttachment(info.srcUrl, canReadPage ? tabId : undefined, info.frameId);
+      if (attachment) {
+        return {
+          ...normalizeSelection({ text: image.alt }, 'image'),
+          image,
+          attachments: [attachment]
+        };
+      }
+      return {
+        ...normalizeSelection({
+          text: image.alt ? `${image.alt}\n${image.url}` : image.url,
+          html: `<img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.alt)}">`,
+          markdown: `![${image.alt}](${image.url})`
+        }, 'image'),
+        image
+      };
+    }
+
+    case 'editable': {
+      if (!canReadPage) return null;
+      try {
+        const text = await runInPage(tabId, info.frameId, () => captureEditableText());
+        return normalizeSelection({ text }, 'editable');
+      } catch (e) {
+        console.warn('[Background] Could not read editable field in tab', tabId, e);
+        return null;
+      }
+    }
+
+    case 'page':
+      return capturePageContent(tabId);
+
+    case 'screenshot':
+      return captureScreenshotRegion(tab);
+
+    default:
+      return null;
+  }
+}
+
+// ====== IMAGE ATTACHMENTS ======
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+// File name for an attachment, from the URL's last path segment when it has one
+function getAttachmentName(url, type) {
+  const extension = (type.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*$/, '');
+  let name = '';
+  if (/^https?:/.test(url)) {
+    try {
+      name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    } catch {}
+  }
+  if (!name) name = 'image';
+  return /\.[a-z0-9]+$/i.test(name) ? name : `${name}.${extension}`;
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Check image data ({ type, size, data } with base64 data) and turn it into an attachment
+// { name, type, data }, or null if it isn't a usable image
+function toImageAttachment(url, image) {
+  if (!image?.data || !image.type?.startsWith('image/')) {
+    console.warn('[Background] Not an image:', url, image?.type);
+    return null;
+  }
+  if (image.size > MAX_ATTACHMENT_BYTES) {
+    console.warn('[Background] Image too large to attach:', url, image.size, 'bytes');
+    return null;
+  }
+  return { name: getAttachmentName(url, image.type), type: image.type, data: image.data };
+}
+
+// Fetch a right-clicked image. The extension's own fetch works for data: URLs and servers
+// that allow it; otherwise the page that shows the image reads it (blob: URLs, same-origin images).
+async function fetchImageAttachment(srcUrl, tabId, frameId) {
+  try {
+    const response = await fetch(srcUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    return toImageAttachment(srcUrl, { type: blob.type, size: blob.size, data: await blobToBase64(blob) });
+  } catch (e) {
+    debugLog('[Background] Could not fetch image, asking the page:', e.message);
+  }
+
+  if (tabId === undefined) return null;
+  try {
+    return toImageAttachment(srcUrl, await runInPage(tabId, frameId, (src) => fetchImageData(src), [srcUrl]));
+  } catch (e) {
+    console.warn('[Background] Could not read image from the page:', srcUrl, e);
+    return null;
+  }
+}
+
+// Hand files ({ name, type, data }) to the provider's composer by paste or drop (see PROVIDERS.attach),
+// then give the upload time to finish before the prompt is inserted. Returns true if the files were handed over.
+async function attachFilesToProvider(tabId, tabUrl, files, { label = '' } = {}) {
+  const provider = getProviderForUrl(tabUrl);
+  const attach = provider.attach || { method: 'paste' };
+  // Composers take pasted or dropped images reliably, other file types through their file input
+  const fileInputSels = files.some(file => !file.type.startsWith('image/')) ? (attach.fileInputSelectors || []) : [];
+  debugLog('[Background] Attaching', files.length, 'file(s) by', fileInputSels.length ? 'file input or ' : '', attach.method, 'in tab', tabId);
+
+  try {
+    await injectProviderDom(tabId);
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: async (files, method, targetSels, fileInputSels, sendSels, label) => {
+        const MAX_TRIES = 40, INTERVAL = 200;
+        const UPLOAD_MIN_MS = 1000, UPLOAD_MAX_MS = 10_000;
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        const { queryDeepAll, findVisible } = window.__CHATGPT_CP_DOM;
+        // Page CSPs may block fetch() of data: URLs, so decode the base64 by hand
+        function toFile({ name, type, data }) {
+          const binary = atob(data);
+          const bytes = new Uint8Array(binary.length);
+          for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+          return new File([bytes], name, { type });
+        }
+
+        const dataTransfer = new DataTransfer();
+        files.forEach(file => dataTransfer.items.add(toFile(file)));
+
+        // File inputs are hidden, so they aren't required to be visible. Inputs that only
+        // take images (accept="image/*") would drop a text file.
+        const takesFiles = (input) => !input.accept || input.accept.split(",").some(type => !type.trim().startsWith("image/"));
+        const fileInput = fileInputSels.flatMap(sel => queryDeepAll(document, sel)).find(takesFiles);
+        if (fileInput) {
+          fileInput.files = dataTransfer.files;
+          fileInput.dispatchEvent(new Event("input", { bubbles: true }));
+          fileInput.dispatchEvent(new Event("change", { bubbles: true }));
+          console.log("[ChatGPT-CP]", label, "attached", files.length, "file(s) by file input");
+        } else {
+          let target = null;
+          for (let i = 0; i < MAX_TRIES && !target; i++) {
+            target = findVisible(targetSels);
+            if (!target) await sleep(INTERVAL);
+          }
+          if (!target) {
+            console.warn("[ChatGPT-CP]", label, "attach target not found");
+            return { attached: false };
+          }
+
+          target.focus?.();
+          if (method === "drop") {
+            ["dragenter", "dragover", "drop"].forEach(type => {
+              target.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, composed: true, dataTransfer }));
+            });
+          } else {
+            target.dispatchEvent(new ClipboardEvent("paste", { bubbles: true, cancelable: true, composed: true, clipboardData: dataTransfer }));
+          }
+          console.log("[ChatGPT-CP]", label, "attached", files.length, "file(s) by", method);
+        }
+
+        // Providers disable the send button while an upload is in progress
+        await sleep(UPLOAD_MIN_MS);
+        const start = Date.now();
+        while (Date.now() - start < UPLOAD_MAX_MS) {
+          const btn = findVisible(sendSels);
+          if (btn && !btn.disabled && btn.getAttribute("aria-disabled") !== "true") break;
+          await sleep(300);
+        }
+        return { attached: true };
+      },
+      args: [files, attach.method, attach.targetSelectors || provider.inputSelectors, fileInputSels, provider.sendButtonSelectors, label],
+      world: "MAIN"
+    });
+
+    const attached = !!results?.[0]?.result?.attached;
+    debugLog('[Background] Attach result:', attached);
+    return attached;
+  } catch (e) {
+    console.error('[Background] Failed to attach files:', e);
+    return false;
+  }
+}
+
+// Attach a run's files before its prompt is sent. The prompt refers to them (a selection sent as a
+// file is replaced by "see the attached file"), so when they can't be attached the run stops there:
+// returns the 'attach-failed' injection result, after showing its toast, or null once attached.
+async function attachRunFiles(tabId, tabUrl, files, { prompt, label = '', autoSubmit = false }) {
+  if (files.length === 0) return null;
+  if (await attachFilesToProvider(tabId, tabUrl, files, { label: `${label}-attach` })) return null;
+
+  const result = toInjectionResult('attach-failed');
+  await showInjectionToast(tabId, result, { prompt, tabUrl, label, autoSubmit });
+  return result;
+}
+
+// ====== SCREENSHOT CAPTURE ======
+// Let the user drag a region of the tab (region-select.js), then crop a capture of the visible
+// tab to it. Returns a selection-like object with the PNG attached, or null if cancelled or failed.
+async function captureScreenshotRegion(tab) {
+  if (tab?.id === undefined || tab.id < 0) return null;
+
+  let region;
+  try {
+    region = await selectRegionInTab(tab.id);
+  } catch (e) {
+    console.warn('[Background] Could not start region selection in tab', tab.id, e);
+    return null;
+  }
+  if (!region || region.cancelled) {
+    debugLog('[Background] Region selection cancelled');
+    return null;
+  }
+
+  try {
+    // Needs activeTab (context menu, popup) or host access to the page (keyboard shortcuts)
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const image = await cropScreenshot(dataUrl, region.rect, region.viewport);
+    return {
+      ...normalizeSelection({ text: '' }, 'screenshot'),
+      attachments: [{ name: 'screenshot.png', type: 'image/png', data: await blobToBase64(image) }]
+    };
+  } catch (e) {
+    console.warn('[Background] Could not capture the visible tab', tab.id, e);
+    return null;
+  }
+}
+
+// Ask region-select.js for a region; tabs opened before the extension was installed or
+// reloaded don't have it yet, so it's injected then
+async function selectRegionInTab(tabId) {
+  const message = { type: 'SELECT_REGION' };
+  try {
+    return await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+  } catch (e) {
+    debugLog('[Background] Region select not loaded, injecting:', e.message);
+    await chrome.scripting.executeScript({ target: { tabId, frameIds: [0] }, files: ['region-select.js'] });
+    return chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
   }
+}
+
+// Crop a captureVisibleTab data URL to a rect in CSS pixels. The capture is in device pixels,
+// so the rect is scaled by the ratio of the capture width to the viewport width.
+async function cropScreenshot(dataUrl, rect, viewport) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const scale = bitmap.width / viewport.width;
+  const x = Math.max(0, Math.round(rect.x * scale));
+  const y = Math.max(0, Math.round(rect.y * scale));
+  const width = Math.min(bitmap.width - x, Math.round(rect.width * scale));
+  const height = Math.min(bitmap.height - y, Math.round(rect.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, x, y, width, height, 0, 0, width, height);
+  bitmap.close();
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+// ====== CONTEXT MENU CLICK HANDLER ======
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  debugLog('[Background] Context menu clicked:', info.menuItemId, 'selection:', info.selectionText?.substring(0, 50));
 
   const config = await loadConfig();
   const menuItemId = info.menuItemId;
+  // Source page details for {{page.title}} / {{page.url}} template variables
+  const page = { title: tab?.title || '', url: info.pageUrl || tab?.url || '', tabId: tab?.id };
   debugLog('[Background] Config loaded, processing menuItemId:', menuItemId);
 
+  // Read the clicked target the action(s) work on
+  const captureInput = async (actions) => {
+    const context = pickClickContext(info, actions);
+    const selection = context ? await captureClickInput(context, info, tab) : null;
+    if (!selection?.text && !selection?.attachments?.length) {
+      console.warn('[Background] Nothing to send for this click, ignoring', context);
+      return null;
+    }
+    return selection;
+  };
+
   // V3: Multiple menus (parse namespace menuId__actionId)
   if (config.menus && Array.isArray(config.menus)) {
     debugLog('[Background] Using V3 config with', config.menus.length, 'menus');
@@ -338,7 +778,10 @@ chrome.contextMenus.onClicked.addListener(async (info) => {
       // Handle "Run All" for this menu
       if (actionId === 'runAll') {
         debugLog('[Background] Executing Run All for menu:', menu.name);
-        await runAllActions(info.selectionText.trim(), menu, config);
+        const selection = await captureInput(menu.actions.filter(a => a.enabled));
+        if (selection) {
+          await runAllActions(selection, menu, config, page);
+        }
         return;
       }
 
@@ -351,8 +794,22 @@ chrome.contextMenus.onClicked.addListener(async (info) => {
       debugLog('[Background] Found action:', action.title);
 
       // Execute single action with menu's settings
+      const selection = await captureInput([action]);
+      if (!selection) return;
       debugLog('[Background] Calling executeAction for:', action.title);
-      await executeAction(action, info.selectionText.trim(), menu, config);
+      await executeAction(action, selection, menu, config, page);
+    } else if (parts.length === 3 && parts[1] === 'compare') {
+      // "Compare Providers" submenu (menuId__compare__actionId)
+      const [menuId, , actionId] = parts;
+      const menu = config.menus.find(m => m.id === menuId);
+      const action = menu?.actions.find(a => a.id === actionId);
+      if (!action) {
+        console.warn('[Background] Action not found for comparison:', menuItemId);
+        return;
+      }
+      const selection = await captureInput([action]);
+      if (!selection) return;
+      await compareAction(action, selection, menu, config, page);
     } else {
       console.warn('[Background] Invalid menu item ID format:', menuItemId);
     }
@@ -361,9 +818,16 @@ chrome.contextMenus.onClicked.addListener(async (info) => {
   else {
     const actionId = menuItemId;
 
+    // V2 menus are only registered for selections
+    if (!info.selectionText) {
+      console.warn('[Background] No selection text, ignoring click');
+      return;
+    }
+    const selection = normalizeSelection(await captureSelection(tab?.id, info.frameId, info.selectionText));
+
     // Handle "Run All" action
     if (actionId === 'runAll') {
-      await runAllActionsV2(info.selectionText.trim(), config);
+      await runAllActionsV2(selection.text, config, page);
       return;
     }
 
@@ -375,85 +839,194 @@ chrome.contextMenus.onClicked.addListener(async (info) => {
     }
 
     // Execute single action (V2 format)
-    await executeActionV2(action, info.selectionText.trim(), config);
+    await executeActionV2(action, selection.text, config, page);
   }
 });
 
+// ====== ASK VARIABLES ======
+// Show a dialog in the source page to collect {{ask:...}} values.
+// Returns { [variableName]: value }, or null if the user cancelled or the dialog couldn't be shown.
+async function collectAskValues(tabId, fields, title) {
+  if (fields.length === 0) return {};
+
+  if (!tabId) {
+    console.warn('[Background] No source tab to ask for prompt values');
+    return null;
+  }
+
+  const message = { type: 'SHOW_ASK_DIALOG', title, fields };
+  try {
+    // The dialog lives in the ask-dialog.js content script (top frame only). Tabs opened before
+    // the extension was installed or reloaded don't have it yet, so it is injected then.
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+    } catch (e) {
+      debugLog('[Background] Ask dialog not loaded, injecting:', e.message);
+      await chrome.scripting.executeScript({ target: { tabId, frameIds: [0] }, files: ['ask-dialog.js'] });
+      response = await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+    }
+
+    if (!response || response.cancelled) {
+      debugLog('[Background] Ask dialog cancelled');
+      return null;
+    }
+    debugLog('[Background] Ask dialog values:', response.values);
+    return response.values;
+  } catch (e) {
+    console.warn('[Background] Could not show ask dialog in tab', tabId, e);
+    return null;
+  }
+}
+
 // ====== SINGLE ACTION EXECUTION (V3) ======
-async function executeAction(action, selectionText, menu, config) {
-  const prompt = `${action.prompt} ${selectionText}`;
+// options.answers: {{ask:...}} values to use instead of asking (re-runs from the history page)
+async function executeAction(action, selection, menu, config, page = {}, options = {}) {
+  if (!getActionContexts(action).includes(selection.context)) {
+    console.warn(`[Background] Action "${action.title}" does not support the ${selection.context} context`);
+    return;
+  }
+
   // Per-action URL override: action.customGptUrl takes precedence over menu.customGptUrl
   const effectiveUrl = (action.customGptUrl && action.customGptUrl.trim())
     ? action.customGptUrl.trim()
     : menu.customGptUrl;
+  // API menus send the prompt to their API instead of the URL's tab
+  const apiMode = menu.executionMode === 'api';
+  if (!await (apiMode ? ensureApiAccess(menu) : ensureProviderAccess(effectiveUrl))) return;
+
+  const answers = options.answers
+    || await collectAskValues(page.tabId, getAskFields(action.prompt, ...(action.steps || [])), action.title);
+  if (!answers) return;
+  const input = await prepareSelectionInput(selection, action);
+  const values = {
+    selection: input.text,
+    link: selection.link,
+    image: selection.image,
+    page, menu, action, answers
+  };
+  // Long selections are sent in parts; the last part carries the action's prompt
+  const messages = buildPromptMessages(action.prompt, values, getPromptBudget(menu, effectiveUrl));
+  const leadingParts = messages.slice(0, -1);
+  // Prompt chains follow the prompt with their steps; the last message is sent like a single prompt
+  const chain = [messages[messages.length - 1], ...renderActionSteps(action, values)];
+  const leadingSteps = chain.slice(0, -1);
+  const prompt = chain[chain.length - 1];
+  const historyId = await recordRun({
+    action, menu, page, selection, answers,
+    messages: [...leadingParts, ...chain],
+    providerUrl: apiMode ? getMenuApiUrl(menu) : effectiveUrl
+  });
+  const tracking = { statusId: await trackRun(menu, action, apiMode ? getMenuApiUrl(menu) : effectiveUrl) };
   debugLog('[Background] executeAction called for:', action.title);
   debugLog('[Background] Prompt:', prompt.substring(0, 100));
   debugLog('[Background] Effective URL:', effectiveUrl);
   debugLog('[Background] Auto-submit:', menu.autoSubmit);
 
+  if (apiMode) {
+    await runApiAction(toAnswerTurns(leadingParts, chain, input.attachments), {
+      action, menu, page, historyId, statusId: tracking.statusId
+    });
+    return;
+  }
+  if (getProviderForUrl(effectiveUrl).endpoint) {
+    await runEndpointAction(effectiveUrl, toAnswerTurns(leadingParts, chain, input.attachments), {
+      action, menu, page, historyId, statusId: tracking.statusId
+    });
+    return;
+  }
+
+  const startedAt = Date.now();
   try {
     debugLog('[Background] Opening ChatGPT tab...');
-    const tabId = await openOrFocusGptTab(effectiveUrl, config.globalSettings.clearContext);
+    const newChat = getConversationMode(action, menu, config.globalSettings) === 'new';
+    const tabId = await openOrFocusGptTab(effectiveUrl, newChat, menu.tabStrategy, `${menu.id}|${effectiveUrl}`);
     debugLog('[Background] Tab opened with ID:', tabId);
+    setRunStage(tracking.statusId, 'waiting', { tabId });
 
     const reqId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
-    // Attempt #1
-    debugLog('[Background] Attempting to inject prompt (attempt #1)...');
-    const ok1 = await tryInjectWithTiming(tabId, prompt, effectiveUrl, {
-      label: `${action.id}-attempt#1`,
-      autoSubmit: menu.autoSubmit,
-      reqId
+    const partFailure = await sendLeadingMessages(tabId, leadingParts, effectiveUrl, { label: `${action.id}-part`, reqId });
+    if (partFailure) {
+      finishRun(historyId, tabId, effectiveUrl, partFailure, tracking);
+      return;
+    }
+
+    const attachFailure = await attachRunFiles(tabId, effectiveUrl, input.attachments, {
+      prompt, label: action.id, autoSubmit: menu.autoSubmit
     });
-    debugLog('[Background] Injection attempt #1 result:', ok1);
+    if (attachFailure) {
+      finishRun(historyId, tabId, effectiveUrl, attachFailure, tracking);
+      return;
+    }
 
-    // Retry if needed
-    if (!ok1) {
-      setTimeout(() => tryInjectWithTiming(tabId, prompt, effectiveUrl, {
-        label: `${action.id}-attempt#2`,
-        autoSubmit: menu.autoSubmit,
-        reqId
-      }), 1200);
+    const stepFailure = await sendLeadingMessages(tabId, leadingSteps, effectiveUrl, { label: `${action.id}-step`, reqId });
+    if (stepFailure) {
+      finishRun(historyId, tabId, effectiveUrl, stepFailure, tracking);
+      return;
     }
+
+    const watchResponse = await startResponseWatch(tabId, effectiveUrl, action, page, tracking.statusId);
+
+    debugLog('[Background] Attempting to inject prompt...');
+    const result = await injectWithRetry(tabId, prompt, effectiveUrl, {
+      label: action.id,
+      autoSubmit: menu.autoSubmit,
+      reqId,
+      startedAt,
+      historyId,
+      tracking
+    });
+    finishRun(historyId, tabId, effectiveUrl, result, tracking);
+    if (result.ok) watchResponse();
   } catch (e) {
     console.warn('[Background] Failed to execute action:', action.id, e);
     const t = await chrome.tabs.create({ url: effectiveUrl, active: true });
+    setRunStage(tracking.statusId, 'waiting', { tabId: t.id });
     const reqId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-    setTimeout(() => tryInjectWithTiming(t.id, prompt, effectiveUrl, {
-      label: `${action.id}-fallback`,
-      autoSubmit: menu.autoSubmit,
-      reqId
-    }), 1200);
+    setTimeout(async () => {
+      const leadingFailure = await sendLeadingMessages(t.id, leadingParts, effectiveUrl, { label: `${action.id}-fallback-part`, reqId })
+        || await attachRunFiles(t.id, effectiveUrl, input.attachments, { prompt, label: `${action.id}-fallback`, autoSubmit: menu.autoSubmit })
+        || await sendLeadingMessages(t.id, leadingSteps, effectiveUrl, { label: `${action.id}-fallback-step`, reqId });
+      if (leadingFailure) {
+        finishRun(historyId, t.id, effectiveUrl, leadingFailure, tracking);
+        return;
+      }
+      const result = await injectWithRetry(t.id, prompt, effectiveUrl, {
+        label: `${action.id}-fallback`,
+        autoSubmit: menu.autoSubmit,
+        reqId,
+        startedAt,
+        historyId,
+        tracking
+      });
+      finishRun(historyId, t.id, effectiveUrl, result, tracking);
+    }, 1200);
   }
 }
 
 // ====== SINGLE ACTION EXECUTION (V2 fallback) ======
-async function executeActionV2(action, selectionText, config) {
-  const prompt = `${action.prompt} ${selectionText}`;
+async function executeActionV2(action, selectionText, config, page = {}) {
+  const menu = { name: config.globalSettings?.contextMenuTitle };
+  const answers = await collectAskValues(page.tabId, getAskFields(action.prompt), action.title);
+  if (!answers) return;
+  const prompt = renderPrompt(action.prompt, { selection: selectionText, page, menu, action, answers });
 
   try {
     const tabId = await openOrFocusGptTabV2(config, { clear: config.globalSettings?.clearContext });
 
     const reqId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
-    const ok1 = await tryInjectWithTiming(tabId, prompt, config.globalSettings?.customGptUrl, {
-      label: `${action.id}-attempt#1`,
+    await injectWithRetry(tabId, prompt, config.globalSettings?.customGptUrl, {
+      label: action.id,
       autoSubmit: config.globalSettings?.autoSubmit,
       reqId
     });
-
-    if (!ok1) {
-      setTimeout(() => tryInjectWithTiming(tabId, prompt, config.globalSettings?.customGptUrl, {
-        label: `${action.id}-attempt#2`,
-        autoSubmit: config.globalSettings?.autoSubmit,
-        reqId
-      }), 1200);
-    }
   } catch (e) {
     console.warn('[Background] Failed to execute action:', action.id, e);
     const t = await chrome.tabs.create({ url: config.globalSettings?.customGptUrl, active: true });
     const reqId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-    setTimeout(() => tryInjectWithTiming(t.id, prompt, config.globalSettings?.customGptUrl, {
+    setTimeout(() => injectWithRetry(t.id, prompt, config.globalSettings?.customGptUrl, {
       label: `${action.id}-fallback`,
       autoSubmit: config.globalSettings?.autoSubmit,
       reqId
@@ -462,31 +1035,61 @@ async function executeActionV2(action, selectionText, config) {
 }
 
 // ====== RUN ALL ACTIONS HANDLER (V3) ======
-async function runAllActions(selectionText, menu, config) {
-  // Get all enabled actions for this menu
+async function runAllActions(selection, menu, config, page = {}) {
+  // Get all enabled actions for this menu that support what was clicked (selection, link, page, ...)
   const enabledActions = menu.actions
-    .filter(action => action.enabled)
+    .filter(action => action.enabled && getActionContexts(action).includes(selection.context))
     .sort((a, b) => a.order - b.order);
 
   debugLog(`[Background] Run All for "${menu.name}": Found ${enabledActions.length} enabled actions:`, enabledActions.map(a => a.title));
 
+  // With a synthesis prompt, every answer is collected and sent on to one more tab at the end
+  const synthesize = Boolean(menu.synthesisPrompt?.trim());
+
+  const apiMode = menu.executionMode === 'api';
+  if (apiMode) {
+    if (!await ensureApiAccess(menu)) return;
+  } else {
+    const providerUrls = enabledActions.map(action => action.customGptUrl?.trim() || menu.customGptUrl);
+    if (synthesize) providerUrls.push(menu.synthesisUrl?.trim() || menu.customGptUrl);
+    for (const url of new Set(providerUrls)) {
+      if (!await ensureProviderAccess(url)) return;
+    }
+  }
+
+  // Ask once for every {{ask:...}} value used by any of the actions (and the synthesis prompt)
+  const askFields = getAskFields(...enabledActions.flatMap(action => [action.prompt, ...(action.steps || [])]), menu.synthesisPrompt);
+  const answers = await collectAskValues(page.tabId, askFields, `Run All: ${menu.name}`);
+  if (!answers) return;
+
   // Step 1: Create all tabs immediately IN ORDER, then wait for them to load IN PARALLEL
   // Per-action URL override: action.customGptUrl takes precedence over menu.customGptUrl,
   // matching the same logic used by executeAction().
-  const tabCreationPromises = enabledActions.map(async (action) => {
+  // Tabs open in the background, where the menu's tab strategy puts them (one tab per action).
+  const claimedTabIds = new Set();
+  const tabCreationPromises = enabledActions.map(async (action, index) => {
     const effectiveUrl = (action.customGptUrl && action.customGptUrl.trim())
       ? action.customGptUrl.trim()
       : menu.customGptUrl;
+    const statusId = await trackRun(menu, action, apiMode ? getMenuApiUrl(menu) : effectiveUrl);
+    const startedAt = Date.now();
+    // API menus and endpoints answer on their own page, opened in step 2
+    if (apiMode || getProviderForUrl(effectiveUrl).endpoint) return { action, tabId: null, effectiveUrl, statusId };
     try {
-      const tab = await chrome.tabs.create({
-        url: effectiveUrl,
-        active: false
+      // Each action continues its own Run All conversation
+      const openedId = await openConversationTab(effectiveUrl, {
+        newChat: getConversationMode(action, menu, config.globalSettings) === 'new',
+        tabStrategy: menu.tabStrategy,
+        conversationKey: `${menu.id}|runAll|${action.id}`,
+        active: false, index, claimedTabIds
       });
-      const tabId = await waitForTitleMatch(tab.id, getProviderForUrl(effectiveUrl).titleMatch, 20000);
+      const tabId = await waitForProviderPage(openedId, effectiveUrl, 20000);
       debugLog(`[Background] Created tab ${tabId} for ${action.title}`);
-      return { action, tabId, effectiveUrl };
+      setRunStage(statusId, 'waiting', { tabId });
+      return { action, tabId, effectiveUrl, statusId, startedAt };
     } catch (e) {
       console.warn(`[Background] Failed to create tab for ${action.title}:`, e);
+      setRunStage(statusId, 'failed', { error: 'The tab could not be opened' });
       return null;
     }
   });
@@ -495,46 +1098,175 @@ async function runAllActions(selectionText, menu, config) {
   const tabData = results.filter(r => r !== null);
 
   // Step 2: Inject prompts into all tabs IN PARALLEL
-  const promises = tabData.map(async ({ action, tabId, effectiveUrl }) => {
-    const prompt = `${action.prompt} ${selectionText}`;
+  const promises = tabData.map(async ({ action, tabId, effectiveUrl, statusId, startedAt }) => {
+    const tracking = { statusId };
+    const input = await prepareSelectionInput(selection, action);
+    const values = {
+      selection: input.text,
+      link: selection.link,
+      image: selection.image,
+      page, menu, action, answers
+    };
+    const messages = buildPromptMessages(action.prompt, values, getPromptBudget(menu, effectiveUrl));
+    const chain = [messages[messages.length - 1], ...renderActionSteps(action, values)];
+    const prompt = chain[chain.length - 1];
+    const historyId = await recordRun({
+      action, menu, page, selection, answers,
+      messages: [...messages.slice(0, -1), ...chain],
+      providerUrl: apiMode ? getMenuApiUrl(menu) : effectiveUrl
+    });
+
+    if (!tabId) {
+      const turns = toAnswerTurns(messages.slice(0, -1), chain, input.attachments);
+      const options = { action, menu, page, historyId, statusId, active: false };
+      const text = apiMode ? await runApiAction(turns, options) : await runEndpointAction(effectiveUrl, turns, options);
+      return synthesize ? { title: action.title, text } : undefined;
+    }
 
     try {
       debugLog(`[Background] Injecting prompt for ${action.title} in tab ${tabId}`);
 
       const reqId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
-      // Attempt #1
-      const ok1 = await tryInjectWithTiming(tabId, prompt, effectiveUrl, {
-        label: `runAll-${action.id}-attempt#1`,
+      const partFailure = await sendLeadingMessages(tabId, messages.slice(0, -1), effectiveUrl, { label: `runAll-${action.id}-part`, reqId });
+      if (partFailure) {
+        finishRun(historyId, tabId, effectiveUrl, partFailure, tracking);
+        return;
+      }
+
+      const attachFailure = await attachRunFiles(tabId, effectiveUrl, input.attachments, {
+        prompt, label: `runAll-${action.id}`, autoSubmit: menu.autoSubmit
+      });
+      if (attachFailure) {
+        finishRun(historyId, tabId, effectiveUrl, attachFailure, tracking);
+        return;
+      }
+
+      const stepFailure = await sendLeadingMessages(tabId, chain.slice(0, -1), effectiveUrl, { label: `runAll-${action.id}-step`, reqId });
+      if (stepFailure) {
+        finishRun(historyId, tabId, effectiveUrl, stepFailure, tracking);
+        return;
+      }
+
+      // With a synthesis prompt, the answer is captured below instead
+      const watchResponse = await startResponseWatch(tabId, effectiveUrl, action, page, synthesize ? null : statusId);
+      const before = synthesize ? await readResponseState(tabId, effectiveUrl).catch(() => null) : null;
+
+      const result = await injectWithRetry(tabId, prompt, effectiveUrl, {
+        label: `runAll-${action.id}`,
         autoSubmit: menu.autoSubmit,
-        reqId
+        reqId,
+        startedAt,
+        historyId,
+        tracking
       });
+      finishRun(historyId, tabId, effectiveUrl, result, tracking);
+      if (!result.ok) return;
 
-      // Retry if needed
-      if (!ok1) {
-        setTimeout(() => tryInjectWithTiming(tabId, prompt, effectiveUrl, {
-          label: `runAll-${action.id}-attempt#2`,
-          autoSubmit: menu.autoSubmit,
-          reqId
-        }), 1200);
+      watchResponse();
+
+      // Only a submitted prompt gets an answer to synthesize: waiting on a 'send-disabled' or
+      // unsent one would only end with the response timeout
+      if (synthesize && result.status === 'submitted') {
+        const text = await waitForResponse(tabId, effectiveUrl, before?.count || 0, { label: `runAll-${action.id}` });
+        if (text) setRunStage(statusId, 'answered', { response: text });
+        return { title: action.title, text };
       }
     } catch (e) {
       console.warn(`[Background] Failed to inject prompt for ${action.title}:`, e);
+      finishRun(historyId, tabId, effectiveUrl, toInjectionResult('script-error', { error: e.message }), tracking);
     }
   });
 
-  await Promise.all(promises);
+  const responses = await Promise.all(promises);
   debugLog(`[Background] All actions launched for menu "${menu.name}"`);
-}
 
-// ====== RUN ALL ACTIONS HANDLER (V2 fallback) ======
-async function runAllActionsV2(selectionText, config) {
-  const enabledActions = (config.actions || [])
-    .filter(action => action.enabled)
-    .sort((a, b) => a.order - b.order);
+  if (synthesize) {
+    await runSynthesis(menu, responses.filter(response => response?.text), {
+      selection, page, answers, claimedTabIds, index: enabledActions.length
+    });
+  }
+}
+
+// ====== RUN ALL SYNTHESIS ======
+// Send the menu's synthesis prompt, with every Run All answer in {{results}}, to one final tab
+// (menu.synthesisUrl, or the menu's URL) and switch to it. claimedTabIds and index continue
+// Run All's tab strategy so the synthesis doesn't take over one of the Run All tabs.
+async function runSynthesis(menu, results, { selection, page, answers, claimedTabIds, index }) {
+  if (results.length === 0) {
+    console.warn(`[Background] No answers to synthesize for menu "${menu.name}"`);
+    return;
+  }
+
+  const synthesisUrl = menu.synthesisUrl?.trim() || menu.customGptUrl;
+  const action = { id: 'synthesis', title: 'Synthesis' };
+  const messages = buildSynthesisMessages(menu.synthesisPrompt, results, {
+    link: selection.link,
+    image: selection.image,
+    page, menu, action, answers
+  }, getPromptBudget(menu, synthesisUrl));
+  const prompt = messages[messages.length - 1];
+  debugLog(`[Background] Synthesizing ${results.length} answers for "${menu.name}" in`, synthesisUrl);
+
+  const apiMode = menu.executionMode === 'api';
+  const tracking = { statusId: await trackRun(menu, action, apiMode ? getMenuApiUrl(menu) : synthesisUrl) };
+  if (apiMode) {
+    const historyId = await recordRun({ action, menu, page, selection, answers, messages, providerUrl: getMenuApiUrl(menu) });
+    await runApiAction(toAnswerTurns(messages.slice(0, -1), [prompt]), { action, menu, historyId, statusId: tracking.statusId });
+    return;
+  }
+  if (getProviderForUrl(synthesisUrl).endpoint) {
+    const historyId = await recordRun({ action, menu, page, selection, answers, messages, providerUrl: synthesisUrl });
+    await runEndpointAction(synthesisUrl, toAnswerTurns(messages.slice(0, -1), [prompt]), { action, menu, historyId, statusId: tracking.statusId });
+    return;
+  }
+
+  let tabId;
+  const startedAt = Date.now();
+  try {
+    const openedId = await openProviderTab(synthesisUrl, menu.tabStrategy, { active: true, index, claimedTabIds });
+    tabId = await waitForProviderPage(openedId, synthesisUrl, 20000);
+  } catch (e) {
+    console.warn('[Background] Failed to open the synthesis tab:', e);
+    setRunStage(tracking.statusId, 'failed', { error: 'The tab could not be opened' });
+    return;
+  }
+  setRunStage(tracking.statusId, 'waiting', { tabId });
+
+  const historyId = await recordRun({ action, menu, page, selection, answers, messages, providerUrl: synthesisUrl });
+  const reqId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const partFailure = await sendLeadingMessages(tabId, messages.slice(0, -1), synthesisUrl, { label: 'synthesis-part', reqId });
+  if (partFailure) {
+    finishRun(historyId, tabId, synthesisUrl, partFailure, tracking);
+    return;
+  }
+
+  const watchResponse = await startResponseWatch(tabId, synthesisUrl, action, page, tracking.statusId);
+  const result = await injectWithRetry(tabId, prompt, synthesisUrl, {
+    label: 'synthesis',
+    autoSubmit: menu.autoSubmit,
+    reqId,
+    startedAt,
+    historyId,
+    tracking
+  });
+  finishRun(historyId, tabId, synthesisUrl, result, tracking);
+  if (result.ok) watchResponse();
+}
+
+// ====== RUN ALL ACTIONS HANDLER (V2 fallback) ======
+async function runAllActionsV2(selectionText, config, page = {}) {
+  const menu = { name: config.globalSettings?.contextMenuTitle };
+  const enabledActions = (config.actions || [])
+    .filter(action => action.enabled)
+    .sort((a, b) => a.order - b.order);
 
   debugLog(`[Background] Run All: Found ${enabledActions.length} enabled actions:`, enabledActions.map(a => a.title));
 
+  // Ask once for every {{ask:...}} value used by any of the actions
+  const answers = await collectAskValues(page.tabId, getAskFields(...enabledActions.map(action => action.prompt)), `Run All: ${menu.name}`);
+  if (!answers) return;
+
   const tabCreationPromises = enabledActions.map(async (action) => {
     try {
       const tab = await chrome.tabs.create({
@@ -554,24 +1286,16 @@ async function runAllActionsV2(selectionText, config) {
   const tabData = results.filter(r => r !== null);
 
   const promises = tabData.map(async ({ action, tabId }) => {
-    const prompt = `${action.prompt} ${selectionText}`;
+    const prompt = renderPrompt(action.prompt, { selection: selectionText, page, menu, action, answers });
 
     try {
       const reqId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
-      const ok1 = await tryInjectWithTiming(tabId, prompt, config.globalSettings?.customGptUrl, {
-        label: `runAll-${action.id}-attempt#1`,
+      await injectWithRetry(tabId, prompt, config.globalSettings?.customGptUrl, {
+        label: `runAll-${action.id}`,
         autoSubmit: config.globalSettings?.autoSubmit,
         reqId
       });
-
-      if (!ok1) {
-        setTimeout(() => tryInjectWithTiming(tabId, prompt, config.globalSettings?.customGptUrl, {
-          label: `runAll-${action.id}-attempt#2`,
-          autoSubmit: config.globalSettings?.autoSubmit,
-          reqId
-        }), 1200);
-      }
     } catch (e) {
       console.warn(`[Background] Failed to inject prompt for ${action.title}:`, e);
     }
@@ -581,22 +1305,327 @@ async function runAllActionsV2(selectionText, config) {
   debugLog('[Background] All actions launched');
 }
 
-// ====== TAB/TITLE HELPERS ======
-async function openOrFocusGptTab(customGptUrl, clearContext) {
-  debugLog('[Background] openOrFocusGptTab called with URL:', customGptUrl);
-  const created = await chrome.tabs.create({
-    url: `${customGptUrl}?fresh=${Date.now()}`,
-    active: true
+// ====== COMPARE PROVIDERS ======
+// Sends one action's prompt to each of the menu's compareProviders at once, in new background tabs,
+// and collects the answers on the comparison page (compare.html) as each one completes.
+// Sessions are kept in chrome.storage.session under `compare_<id>`:
+// { id, title, menuName, prompt, startedAt, results: [{ providerUrl, name, tabId, status, text, error, elapsedMs }] }
+// where status is 'waiting', 'done' or 'failed' and elapsedMs is the time from submitting to the complete answer.
+const COMPARE_KEY_PREFIX = 'compare_';
+const MAX_COMPARE_SESSIONS = 10;
+
+// Results are read, changed and written back, so updates from parallel providers are queued
+let compareWriteQueue = Promise.resolve();
+
+function updateCompareResult(sessionId, index, changes) {
+  const key = `${COMPARE_KEY_PREFIX}${sessionId}`;
+  const run = compareWriteQueue.then(async () => {
+    const { [key]: session } = await chrome.storage.session.get(key);
+    if (!session) return; // Dropped as one of the oldest sessions
+    session.results[index] = { ...session.results[index], ...changes };
+    await chrome.storage.session.set({ [key]: session });
+  });
+  compareWriteQueue = run.catch(() => {});
+  return run;
+}
+
+async function saveCompareSession(session) {
+  const stored = await chrome.storage.session.get(null);
+  const oldKeys = Object.keys(stored)
+    .filter(key => key.startsWith(COMPARE_KEY_PREFIX))
+    .sort((a, b) => stored[b].startedAt - stored[a].startedAt)
+    .slice(MAX_COMPARE_SESSIONS - 1);
+  if (oldKeys.length) await chrome.storage.session.remove(oldKeys);
+  await chrome.storage.session.set({ [`${COMPARE_KEY_PREFIX}${session.id}`]: session });
+}
+
+async function compareAction(action, selection, menu, config, page = {}) {
+  if (!getActionContexts(action).includes(selection.context)) {
+    console.warn(`[Background] Action "${action.title}" does not support the ${selection.context} context`);
+    return;
+  }
+
+  const answers = await collectAskValues(page.tabId, getAskFields(action.prompt, ...(action.steps || [])), action.title);
+  if (!answers) return;
+
+  const input = await prepareSelectionInput(selection, action);
+  const values = {
+    selection: input.text,
+    link: selection.link,
+    image: selection.image,
+    page, menu, action, answers
+  };
+  const providerUrls = menu.compareProviders;
+  const session = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    title: action.title,
+    menuName: menu.name,
+    prompt: renderPrompt(action.prompt, values),
+    startedAt: Date.now(),
+    results: providerUrls.map(providerUrl => ({
+      providerUrl,
+      name: getProviderForUrl(providerUrl).titleMatch,
+      status: 'waiting'
+    }))
+  };
+  await saveCompareSession(session);
+  debugLog(`[Background] Comparing "${action.title}" across`, providerUrls);
+
+  await chrome.tabs.create({ url: chrome.runtime.getURL(`compare.html?id=${session.id}`), active: true });
+
+  await Promise.all(providerUrls.map((providerUrl, index) => runCompareProvider(session.id, index, providerUrl, {
+    action, menu, page, selection, answers, input, values
+  })));
+}
+
+async function runCompareProvider(sessionId, index, providerUrl, { action, menu, page, selection, answers, input, values }) {
+  const provider = getProviderForUrl(providerUrl);
+  const label = `compare-${action.id}-${provider.titleMatch}`;
+  try {
+    const tab = await chrome.tabs.create({ url: providerUrl, active: false });
+    const tabId = await waitForProviderPage(tab.id, providerUrl, 20000);
+    await updateCompareResult(sessionId, index, { tabId });
+
+    const messages = buildPromptMessages(action.prompt, values, provider.maxPromptChars);
+    const chain = [messages[messages.length - 1], ...renderActionSteps(action, values)];
+    const historyId = await recordRun({ action, menu, page, selection, answers, messages: [...messages.slice(0, -1), ...chain], providerUrl });
+
+    const sent = await sendComparePrompt(tabId, providerUrl, messages.slice(0, -1), chain, input.attachments, label, historyId);
+    finishRun(historyId, tabId, providerUrl, sent);
+    // An unsent prompt (e.g. 'send-disabled') gets no answer, so don't wait out the response timeout
+    if (sent.status !== 'submitted') throw new Error(sent.error || 'The prompt was not sent');
+
+    const sentAt = Date.now();
+    const text = await waitForResponse(tabId, providerUrl, sent.previousCount, { label });
+    if (!text) throw new Error('No answer came back');
+    await updateCompareResult(sessionId, index, { status: 'done', text, elapsedMs: Date.now() - sentAt });
+  } catch (e) {
+    console.warn('[Background] Comparison failed for', label, e);
+    await updateCompareResult(sessionId, index, { status: 'failed', error: e.message });
+  }
+}
+
+// Send the parts, attachments and steps, then the last message. Comparisons always submit,
+// since the answer only comes once the prompt is sent. Returns the injection result (see
+// INJECTION RESULTS) with previousCount, the number of answers in the conversation before
+// the last message.
+async function sendComparePrompt(tabId, tabUrl, leadingParts, chain, attachments, label, historyId) {
+  const reqId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const partFailure = await sendLeadingMessages(tabId, leadingParts, tabUrl, { label: `${label}-part`, reqId });
+  if (partFailure) return partFailure;
+  const prompt = chain[chain.length - 1];
+  const attachFailure = await attachRunFiles(tabId, tabUrl, attachments, { prompt, label, autoSubmit: true });
+  if (attachFailure) return attachFailure;
+  const stepFailure = await sendLeadingMessages(tabId, chain.slice(0, -1), tabUrl, { label: `${label}-step`, reqId });
+  if (stepFailure) return stepFailure;
+
+  const before = await readResponseState(tabId, tabUrl).catch(() => null);
+  const result = await injectWithRetry(tabId, prompt, tabUrl, { label, autoSubmit: true, reqId, historyId });
+  return { ...result, previousCount: before?.count || 0 };
+}
+
+// ====== ANSWER PAGE SESSIONS ======
+// Runs that get no tab, on an endpoint provider or through a menu's API mode, show their answer
+// on the answer page (answer.html). Sessions are kept in chrome.storage.session under `answer_<id>`:
+// { id, title, menuName, providerName, model, startedAt, status, error, usage, turns: [{ prompt, text }] }
+// where status is 'streaming', 'done', 'failed' or 'stopped' and usage ({ inputTokens, outputTokens },
+// summed over the turns) is only known for APIs that report it. Every message (parts, the prompt,
+// chain steps) is one turn, sent with the answers to the turns before it.
+const ANSWER_KEY_PREFIX = 'answer_';
+const MAX_ANSWER_SESSIONS = 10;
+const ANSWER_SAVE_INTERVAL_MS = 250;
+
+// Session id -> AbortController, for the answer page's Stop button
+const answerControllers = new Map();
+
+// Streamed text is saved every ANSWER_SAVE_INTERVAL_MS, so writes are queued to keep them in order
+let answerWriteQueue = Promise.resolve();
+
+function writeAnswerSession(session) {
+  const snapshot = structuredClone(session);
+  const run = answerWriteQueue.then(() => chrome.storage.session.set({ [`${ANSWER_KEY_PREFIX}${session.id}`]: snapshot }));
+  answerWriteQueue = run.catch(() => {});
+  return run;
+}
+
+async function saveAnswerSession(session) {
+  const stored = await chrome.storage.session.get(null);
+  const oldKeys = Object.keys(stored)
+    .filter(key => key.startsWith(ANSWER_KEY_PREFIX))
+    .sort((a, b) => stored[b].startedAt - stored[a].startedAt)
+    .slice(MAX_ANSWER_SESSIONS - 1);
+  if (oldKeys.length) await chrome.storage.session.remove(oldKeys);
+  await writeAnswerSession(session);
+}
+
+// One turn per message; attachments go with the first message after the parts, as they do in a tab
+function toAnswerTurns(leadingParts, chain, attachments = []) {
+  return [...leadingParts, ...chain].map((prompt, index) => ({
+    prompt,
+    attachments: index === leadingParts.length ? attachments : []
+  }));
+}
+
+// Open the answer page for the turns and fill it in as `send(turns, { signal, onDelta })` answers.
+// send calls onDelta(turnIndex, text) with each new piece of an answer and resolves with
+// { text, usage } for the last one. Returns that answer, or '' if it failed or was stopped.
+// The answer is also delivered to the page per action.responseMode.
+async function runAnswerSession(turns, send, { action, menu, page, historyId, statusId, providerName, model, active = true }) {
+  const session = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    title: action.title,
+    menuName: menu.name,
+    providerName,
+    model,
+    startedAt: Date.now(),
+    status: 'streaming',
+    error: '',
+    usage: null,
+    turns: turns.map(turn => ({ prompt: turn.prompt, text: '' }))
+  };
+  await saveAnswerSession(session);
+  const answerTab = await chrome.tabs.create({ url: chrome.runtime.getURL(`answer.html?id=${session.id}`), active });
+  setRunStage(statusId, 'submitted', { tabId: answerTab.id });
+
+  const controller = new AbortController();
+  answerControllers.set(session.id, controller);
+  let savedAt = Date.now();
+  let answer = '';
+  try {
+    const result = await send(turns, {
+      signal: controller.signal,
+      onDelta: (index, text) => {
+        session.turns[index].text += text;
+        if (Date.now() - savedAt >= ANSWER_SAVE_INTERVAL_MS) {
+          savedAt = Date.now();
+          writeAnswerSession(session);
+        }
+      }
+    });
+    answer = result.text;
+    session.usage = result.usage || null;
+    session.status = 'done';
+  } catch (e) {
+    if (controller.signal.aborted) {
+      session.status = 'stopped';
+    } else {
+      console.warn(`[Background] Request to ${providerName} failed for`, action.id, e);
+      session.status = 'failed';
+      session.error = e.message;
+    }
+  } finally {
+    answerControllers.delete(session.id);
+  }
+  await writeAnswerSession(session);
+  if (session.status === 'done') {
+    setRunStage(statusId, 'answered', { response: answer });
+  } else {
+    setRunStage(statusId, 'failed', { error: session.error || 'Stopped' });
+  }
+  await updateHistoryEntry(historyId, { status: session.status === 'done' ? 'sent' : 'failed' })
+    .catch(e => console.warn('[Background] Could not update history entry', historyId, e));
+
+  const mode = action.responseMode || 'none';
+  if (answer && session.status === 'done' && mode !== 'none' && page?.tabId) {
+    await deliverResponse(page.tabId, answer, { title: action.title, mode });
+  }
+  return session.status === 'done' ? answer : '';
+}
+
+// ====== ENDPOINT PROVIDERS ======
+// Custom providers of type 'endpoint' (an OpenAI-compatible API such as Ollama) get no tab: the
+// prompt is POSTed with llm-endpoint.js and the answer streams into the answer page.
+
+// Send the turns one after another in a single conversation. onDelta(turnIndex, text) gets the
+// answers as they stream; the last answer is returned.
+async function sendEndpointConversation(url, turns, { signal, onDelta = () => {} } = {}) {
+  const { model } = getProviderForUrl(url);
+  const messages = [];
+  let answer = '';
+  for (const [index, turn] of turns.entries()) {
+    messages.push({ role: 'user', content: toMessageContent(turn.prompt, turn.attachments) });
+    answer = await streamChatCompletion(url, {
+      model, messages, signal,
+      onDelta: text => onDelta(index, text)
+    });
+    messages.push({ role: 'assistant', content: answer });
+  }
+  return answer;
+}
+
+async function runEndpointAction(url, turns, options) {
+  const { name, model } = getProviderForUrl(url);
+  return runAnswerSession(turns, async (turns, sendOptions) => ({
+    text: await sendEndpointConversation(url, turns, sendOptions)
+  }), { ...options, providerName: name, model });
+}
+
+// ====== API MODE ======
+// Menus with executionMode 'api' send their prompts to an official API (cloud-api.js) with the
+// user's key instead of a tab, using the menu's model, temperature and system prompt.
+
+function getMenuApiUrl(menu) {
+  return CLOUD_APIS[menu.apiProvider]?.baseUrl || '';
+}
+
+// Longest message sent in one go. APIs take far longer prompts than chat pages, so API menus
+// send each message whole.
+function getPromptBudget(menu, url) {
+  return menu.executionMode === 'api' ? null : getProviderForUrl(url).maxPromptChars;
+}
+
+// The menu's API needs a key and host access, both given on the API Keys page.
+// Without them, that page is opened and false is returned.
+async function ensureApiAccess(menu) {
+  const api = CLOUD_APIS[menu.apiProvider];
+  const keys = await getApiKeys();
+  if (api && keys[menu.apiProvider] && await chrome.permissions.contains({ origins: [api.origin] })) return true;
+
+  console.warn(`[Background] No key or access for the ${api?.name || menu.apiProvider} API used by "${menu.name}"`);
+  await chrome.tabs.create({ url: chrome.runtime.getURL('api-keys.html') });
+  return false;
+}
+
+// Send the turns one after another in a single conversation; usage is summed over the turns
+async function sendApiConversation(menu, turns, { signal, onDelta = () => {} } = {}) {
+  const { [menu.apiProvider]: apiKey } = await getApiKeys();
+  const messages = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let answer = '';
+  for (const [index, turn] of turns.entries()) {
+    messages.push({ role: 'user', text: turn.prompt, attachments: turn.attachments });
+    const result = await callCloudApi(menu.apiProvider, {
+      apiKey,
+      model: menu.apiModel,
+      temperature: menu.apiTemperature ?? null,
+      systemPrompt: menu.apiSystemPrompt || '',
+      messages, signal
+    });
+    answer = result.text;
+    usage.inputTokens += result.usage.inputTokens;
+    usage.outputTokens += result.usage.outputTokens;
+    onDelta(index, answer);
+    messages.push({ role: 'assistant', text: answer });
+  }
+  return { text: answer, usage };
+}
+
+async function runApiAction(turns, options) {
+  const { menu } = options;
+  return runAnswerSession(turns, (turns, sendOptions) => sendApiConversation(menu, turns, sendOptions), {
+    ...options, providerName: CLOUD_APIS[menu.apiProvider].name, model: menu.apiModel
   });
-  debugLog('[Background] Tab created with ID:', created.id);
+}
 
-  // Derive titleMatch from URL via provider config
-  const provider = getProviderForUrl(customGptUrl);
-  const titleMatch = provider.titleMatch;
-  debugLog('[Background] Waiting for title to match:', titleMatch);
+// ====== TAB/TITLE HELPERS ======
+// clearContext: start a new chat; otherwise continue the conversation last used for conversationKey
+async function openOrFocusGptTab(customGptUrl, clearContext, tabStrategy = 'newTab', conversationKey = '') {
+  debugLog('[Background] openOrFocusGptTab called with URL:', customGptUrl, 'strategy:', tabStrategy, 'new chat:', clearContext);
+  const openedId = await openConversationTab(customGptUrl, { newChat: clearContext, tabStrategy, conversationKey });
+  debugLog('[Background] Tab opened with ID:', openedId);
 
   // Wait for tab to be ready before returning
-  const result = await waitForTitleMatch(created.id, titleMatch, 20000);
+  const result = await waitForProviderPage(openedId, customGptUrl, 20000);
   debugLog('[Background] Tab ready with ID:', result);
   return result;
 }
@@ -609,6 +1638,183 @@ async function openOrFocusGptTabV2(config, { clear = false } = {}) {
   return await waitForTitleMatch(created.id, config.globalSettings?.gptTitleMatch || 'ChatGPT', 20000);
 }
 
+// ====== CONVERSATIONS ======
+// The tab each menu last used is remembered (in chrome.storage.session, keyed by conversationKey)
+// so "continue" runs can send their prompt to the same conversation
+const CONVERSATION_TAB_PREFIX = 'conversationTab_';
+
+async function openConversationTab(url, { newChat = true, tabStrategy = 'newTab', conversationKey = '', active = true, index = 0, claimedTabIds = new Set() } = {}) {
+  if (!newChat && conversationKey) {
+    const tabId = await focusConversationTab(conversationKey, url, { active, claimedTabIds });
+    if (tabId) return tabId;
+    debugLog('[Background] No conversation to continue for', conversationKey, '- starting a new chat');
+  }
+
+  const tabId = await openProviderTab(url, tabStrategy, { active, index, claimedTabIds });
+  if (conversationKey) {
+    await chrome.storage.session.set({ [`${CONVERSATION_TAB_PREFIX}${conversationKey}`]: tabId });
+  }
+  return tabId;
+}
+
+// Switch to the remembered tab if it is still open on the same AI assistant, and wait until it
+// has finished any answer in progress. Returns its ID, or null when there is nothing to continue.
+async function focusConversationTab(conversationKey, url, { active, claimedTabIds }) {
+  const storageKey = `${CONVERSATION_TAB_PREFIX}${conversationKey}`;
+  const { [storageKey]: tabId } = await chrome.storage.session.get(storageKey);
+  if (!tabId || claimedTabIds.has(tabId)) return null;
+
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  // The user may have closed the tab or browsed away from the AI assistant since
+  if (!tab?.url || new URL(tab.url).host !== new URL(url).host) return null;
+
+  claimedTabIds.add(tab.id);
+  if (active) {
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  }
+  await waitForProviderReady(tab.id, tab.url, { label: `continue-${conversationKey}` });
+  return tab.id;
+}
+
+// Start a new conversation in a reused tab with the provider's new-chat control (no page load)
+// when the menu uses the provider's start page. Returns false if no control was clicked.
+async function clickNewChatControl(tabId, url) {
+  const provider = getProviderForUrl(url);
+  if (!provider.newChat?.selectors?.length || getProviderScopePath(url) !== '/') return false;
+
+  const results = await injectProviderDom(tabId).then(() => chrome.scripting.executeScript({
+    target: { tabId },
+    func: (selectors) => {
+      const control = window.__CHATGPT_CP_DOM.findVisible(selectors);
+      control?.click();
+      return !!control;
+    },
+    args: [provider.newChat.selectors],
+    world: "MAIN"
+  })).catch(e => {
+    debugLog('[Background] Could not look for the new-chat control:', e.message);
+    return null;
+  });
+  return results?.[0]?.result === true;
+}
+
+// ====== TAB STRATEGIES ======
+// Where a menu's AI tab opens (menu.tabStrategy, see TAB_STRATEGIES in config.js). Every strategy
+// loads the URL afresh. Returns the tab's ID once it is loading the URL.
+// index and claimedTabIds let Run All open one tab per action: popups are cascaded by index,
+// and a reused tab is claimed so the next action doesn't take it too.
+const AI_WINDOW_KEY = 'aiWindowId';
+const POPUP_WIDTH = 520;
+const POPUP_CASCADE_PX = 32;
+
+async function openProviderTab(url, strategy = 'newTab', { active = true, index = 0, claimedTabIds = new Set() } = {}) {
+  const freshUrl = `${url}?fresh=${Date.now()}`;
+
+  if (strategy === 'reuse') {
+    const tab = await findProviderTab(url, claimedTabIds);
+    if (tab) {
+      claimedTabIds.add(tab.id);
+      if (active) {
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+      }
+      if (await clickNewChatControl(tab.id, url)) {
+        // Give the page a moment to switch to the empty conversation
+        await new Promise(resolve => setTimeout(resolve, 800));
+        return tab.id;
+      }
+
+      // The old page's title would already match, so wait for the new page to load
+      const newChatUrl = getProviderScopePath(url) === '/' && getProviderForUrl(url).newChat?.url;
+      const loaded = waitForTabComplete(tab.id);
+      await chrome.tabs.update(tab.id, { url: newChatUrl ? `${newChatUrl}?fresh=${Date.now()}` : freshUrl });
+      await loaded;
+      return tab.id;
+    }
+  }
+
+  if (strategy === 'aiWindow') {
+    return openInAiWindow(freshUrl, active);
+  }
+
+  if (strategy === 'popup') {
+    // Docked to the right edge of the current window, over its full height
+    const current = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+    const offset = index * POPUP_CASCADE_PX;
+    const bounds = current ? {
+      left: Math.max(current.left + current.width - POPUP_WIDTH - offset, current.left),
+      top: current.top + offset,
+      width: POPUP_WIDTH,
+      height: Math.max(current.height - offset, 300)
+    } : { width: POPUP_WIDTH };
+    const popup = await chrome.windows.create({ url: freshUrl, type: 'popup', focused: active, ...bounds });
+    return popup.tabs[0].id;
+  }
+
+  const created = await chrome.tabs.create({ url: freshUrl, active });
+  return created.id;
+}
+
+// '/' for a provider's start page (e.g. https://chatgpt.com or https://chat.mistral.ai/chat), otherwise the path of a
+// custom GPT, Gem or project URL, whose conversations live under it
+function getProviderScopePath(url) {
+  const path = new URL(url).pathname.replace(/\/$/, '') || '/';
+  return ['/', '/app', '/new', '/chat'].includes(path) ? '/' : path;
+}
+
+// An open tab showing the menu's URL. A provider's start page matches any of its tabs;
+// a deeper URL (a custom GPT, Gem or project) only matches tabs under it.
+async function findProviderTab(url, claimedTabIds) {
+  const target = new URL(url);
+  const targetPath = getProviderScopePath(url);
+  const tabs = await chrome.tabs.query({ url: `${target.origin}/*` });
+  return tabs
+    .filter(tab => !claimedTabIds.has(tab.id) && new URL(tab.url).pathname.startsWith(targetPath))
+    // Prefer the tab used most recently
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0] || null;
+}
+
+// Runs started together (Run All) wait while the first one creates the AI window
+let aiWindowOpening = null;
+
+async function openInAiWindow(url, active) {
+  while (aiWindowOpening) await aiWindowOpening.catch(() => {});
+
+  const { [AI_WINDOW_KEY]: windowId } = await chrome.storage.session.get(AI_WINDOW_KEY);
+  const aiWindow = windowId ? await chrome.windows.get(windowId).catch(() => null) : null;
+  if (aiWindow) {
+    const tab = await chrome.tabs.create({ windowId: aiWindow.id, url, active: true });
+    if (active) await chrome.windows.update(aiWindow.id, { focused: true });
+    return tab.id;
+  }
+
+  aiWindowOpening = chrome.windows.create({ url, focused: active });
+  try {
+    const created = await aiWindowOpening;
+    await chrome.storage.session.set({ [AI_WINDOW_KEY]: created.id });
+    return created.tabs[0].id;
+  } finally {
+    aiWindowOpening = null;
+  }
+}
+
+// Resolve once the tab has finished loading (or after timeoutMs)
+function waitForTabComplete(tabId, timeoutMs = 20000) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, timeoutMs);
+    function done() {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve();
+    }
+    function onUpdated(id, info) {
+      if (id === tabId && info.status === 'complete') done();
+    }
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+}
+
 function waitForTitleMatch(tabId, titleSubstring, timeoutMs = 20000) {
   return new Promise((resolve, reject) => {
     const start = Date.now();
@@ -634,42 +1840,70 @@ function waitForTitleMatch(tabId, titleSubstring, timeoutMs = 20000) {
   });
 }
 
-// ====== MODAL OVERLAY FUNCTION (to be injected) ======
-function createModalOverlayFunction() {
-  return function showModalOverlay(message) {
-    // Remove any existing modal
-    const existingModal = document.getElementById('chatgpt-query-modal');
-    if (existingModal) {
-      existingModal.remove();
-    }
+// Built-in providers are ready once the tab title names them (e.g. "ChatGPT"); custom
+// providers once their readiness selector (or else an input selector) is on the page
+function waitForProviderPage(tabId, url, timeoutMs = 20000) {
+  const provider = getProviderForUrl(url);
+  if (!provider.custom) return waitForTitleMatch(tabId, provider.titleMatch, timeoutMs);
+  const selectors = provider.readySelector ? [provider.readySelector] : provider.inputSelectors;
+  return waitForSelector(tabId, selectors, timeoutMs);
+}
 
-    // Create modal overlay
-    const overlay = document.createElement('div');
-    overlay.id = 'chatgpt-query-modal';
-    overlay.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      background: rgba(0, 0, 0, 0.5);
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 2147483647;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-    `;
+async function waitForSelector(tabId, selectors, timeoutMs = 20000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    // Fails while the page is still loading; keep polling
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (selectors) => selectors.some(sel => {
+        try { return !!document.querySelector(sel); } catch { return false; }
+      }),
+      args: [selectors]
+    }).catch(() => null);
+    if (results?.[0]?.result) return tabId;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error("Timed out waiting for the provider's page");
+}
 
-    const dialog = document.createElement('div');
-    dialog.style.cssText = `
+// ====== IN-PAGE TOASTS (to be injected) ======
+// tryInjectWithTiming() reports each prompt in the provider tab with a toast instead of a
+// blocking alert(): a short success notice, or the reason the prompt couldn't be sent with
+// Copy prompt and Retry buttons. Injected as its own executeScript func (evaluating it from a
+// string inside the injection breaks on the providers' CSP). Runs in the isolated world, so the
+// prompt isn't exposed to the page and Retry can message background.js (RETRY_INJECTION).
+// toast: { kind: 'success' | 'error', title, message, reason, prompt, retryId }
+const TOAST_SUCCESS_MS = 4000;
+
+function createToastFunction() {
+  return function showRunToast(toast, successMs) {
+    const HOST_ID = 'chatgpt-query-toast';
+    const COLORS = { success: '#137333', error: '#cc0033' };
+
+    // One toast at a time: a retry or the next message replaces the last one
+    document.getElementById(HOST_ID)?.remove();
+    const host = document.createElement('div');
+    host.id = HOST_ID;
+    const root = host.attachShadow({ mode: 'open' });
+
+    const box = document.createElement('div');
+    box.setAttribute('role', toast.kind === 'error' ? 'alert' : 'status');
+    box.style.cssText = `
+      position: fixed;
+      top: 16px;
+      right: 16px;
+      width: 360px;
+      max-width: calc(100vw - 32px);
       background: white;
+      border-left: 4px solid ${COLORS[toast.kind] || COLORS.error};
       border-radius: 8px;
       box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-      max-width: 500px;
-      width: 90%;
-      padding: 0;
-      display: flex;
-      flex-direction: column;
+      padding: 12px 16px;
+      z-index: 2147483647;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      font-size: 13px;
+      line-height: 1.5;
+      color: #202124;
     `;
 
     const header = document.createElement('div');
@@ -677,136 +1911,298 @@ function createModalOverlayFunction() {
       display: flex;
       align-items: center;
       justify-content: space-between;
-      padding: 20px 24px;
-      border-bottom: 1px solid #dadce0;
+      gap: 8px;
     `;
 
-    const title = document.createElement('h3');
-    title.textContent = 'Notice';
+    const title = document.createElement('strong');
+    title.textContent = toast.title;
     title.style.cssText = `
-      margin: 0;
-      font-size: 18px;
+      font-size: 14px;
       font-weight: 500;
-      color: #202124;
+      color: ${COLORS[toast.kind] || COLORS.error};
     `;
 
     const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
     closeBtn.textContent = '×';
+    closeBtn.setAttribute('aria-label', 'Close');
     closeBtn.style.cssText = `
       background: none;
       border: none;
-      font-size: 24px;
+      font-size: 20px;
       line-height: 1;
       cursor: pointer;
       color: #5f6368;
-      opacity: 0.6;
-      padding: 0;
-      width: 32px;
-      height: 32px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      border-radius: 50%;
-      transition: background-color 0.2s, opacity 0.2s;
-    `;
-    closeBtn.onmouseover = () => {
-      closeBtn.style.backgroundColor = '#f1f3f4';
-      closeBtn.style.opacity = '1';
-    };
-    closeBtn.onmouseout = () => {
-      closeBtn.style.backgroundColor = 'transparent';
-      closeBtn.style.opacity = '0.6';
-    };
-
-    const body = document.createElement('div');
-    body.style.cssText = `
-      padding: 24px;
+      padding: 0 4px;
     `;
+    closeBtn.onclick = () => host.remove();
+    header.append(title, closeBtn);
+    box.appendChild(header);
 
     const messageEl = document.createElement('p');
-    messageEl.textContent = message;
+    messageEl.textContent = toast.message;
     messageEl.style.cssText = `
-      margin: 0;
+      margin: 4px 0 0;
       color: #5f6368;
-      line-height: 1.6;
     `;
+    box.appendChild(messageEl);
+
+    if (toast.reason) {
+      const reasonEl = document.createElement('code');
+      reasonEl.className = 'toast-reason';
+      reasonEl.textContent = toast.reason;
+      reasonEl.style.cssText = `
+        display: inline-block;
+        margin-top: 6px;
+        padding: 1px 6px;
+        background: #f1f3f4;
+        border-radius: 4px;
+        font-size: 11px;
+        color: #5f6368;
+      `;
+      box.appendChild(reasonEl);
+    }
+
+    function createButton(label) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.style.cssText = `
+        background: white;
+        color: #1a73e8;
+        border: 1px solid #dadce0;
+        border-radius: 4px;
+        padding: 6px 12px;
+        font-size: 13px;
+        font-weight: 500;
+        cursor: pointer;
+      `;
+      return button;
+    }
 
     const footer = document.createElement('div');
     footer.style.cssText = `
       display: flex;
       justify-content: flex-end;
-      gap: 12px;
-      padding: 16px 24px;
-      border-top: 1px solid #dadce0;
+      gap: 8px;
+      margin-top: 10px;
     `;
 
-    const okBtn = document.createElement('button');
-    okBtn.textContent = 'OK';
-    okBtn.style.cssText = `
-      background: #1a73e8;
-      color: white;
-      border: none;
-      border-radius: 4px;
-      padding: 8px 16px;
-      font-size: 14px;
-      font-weight: 500;
-      cursor: pointer;
-      min-width: 80px;
-      transition: background-color 0.2s;
-    `;
-    okBtn.onmouseover = () => {
-      okBtn.style.backgroundColor = '#1557b0';
-    };
-    okBtn.onmouseout = () => {
-      okBtn.style.backgroundColor = '#1a73e8';
-    };
+    if (toast.prompt) {
+      const copyBtn = createButton('Copy prompt');
+      copyBtn.className = 'toast-copy';
+      copyBtn.onclick = async () => {
+        try {
+          await navigator.clipboard.writeText(toast.prompt);
+        } catch {
+          // Pages can block the Clipboard API; fall back to a selected textarea
+          const area = document.createElement('textarea');
+          area.value = toast.prompt;
+          area.style.cssText = 'position: fixed; opacity: 0;';
+          root.appendChild(area);
+          area.select();
+          document.execCommand('copy');
+          area.remove();
+        }
+        copyBtn.textContent = 'Copied';
+      };
+      footer.appendChild(copyBtn);
+    }
 
-    const closeModal = () => {
-      overlay.remove();
-      document.removeEventListener('keydown', handleEscape);
-    };
+    if (toast.retryId) {
+      const retryBtn = createButton('Retry');
+      retryBtn.className = 'toast-retry';
+      retryBtn.onclick = async () => {
+        retryBtn.disabled = true;
+        retryBtn.textContent = 'Retrying...';
+        // A successful retry replaces this toast with its own
+        const response = await chrome.runtime.sendMessage({ type: 'RETRY_INJECTION', retryId: toast.retryId }).catch(() => null);
+        if (!response?.ok && host.isConnected) {
+          messageEl.textContent = response?.expired
+            ? 'This prompt can no longer be retried. Copy it and paste it into the message box.'
+            : toast.message;
+          retryBtn.disabled = !!response?.expired;
+          retryBtn.textContent = 'Retry';
+        }
+      };
+      footer.appendChild(retryBtn);
+    }
 
-    const handleEscape = (e) => {
-      if (e.key === 'Escape') {
-        closeModal();
-      }
-    };
+    if (footer.children.length) box.appendChild(footer);
+    root.appendChild(box);
+    (document.body || document.documentElement).appendChild(host);
 
-    closeBtn.onclick = closeModal;
-    okBtn.onclick = closeModal;
-    overlay.onclick = (e) => {
-      if (e.target === overlay) {
-        closeModal();
-      }
+    if (toast.kind === 'success') {
+      setTimeout(() => host.remove(), successMs);
+    }
+  };
+}
+
+// What each failure reason tells the user
+const INJECTION_FAILURES = {
+  'editor-not-found': {
+    title: 'Prompt not inserted',
+    message: 'The message box was not found on this page. Copy the prompt and paste it yourself, or retry once the page has loaded.',
+    retry: true
+  },
+  'login-required': {
+    title: 'Sign in required',
+    message: 'This page asks you to sign in. Sign in, then retry or paste the copied prompt.',
+    retry: true
+  },
+  'send-disabled': {
+    // The prompt is in the message box already, so retrying would insert it twice
+    title: 'Prompt not sent',
+    message: 'The prompt was inserted, but the send button stayed disabled. Check the message and send it yourself.',
+    retry: false
+  },
+  'attach-failed': {
+    // The prompt refers to the files, so it isn't sent without them
+    title: 'Files not attached',
+    message: 'The selection file or image could not be attached on this page, so the prompt was not sent.',
+    retry: false
+  }
+};
+
+// Prompts whose toast offers Retry, by retry id (kept in memory only; the toast falls back to copying).
+// Each keeps its run's historyId and tracking, so a Retry that gets through updates the run.
+const MAX_PENDING_RETRIES = 20;
+const pendingRetries = new Map();
+
+function rememberRetry(retry) {
+  const retryId = `retry_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  pendingRetries.set(retryId, retry);
+  if (pendingRetries.size > MAX_PENDING_RETRIES) {
+    pendingRetries.delete(pendingRetries.keys().next().value);
+  }
+  return retryId;
+}
+
+async function retryInjection(retryId) {
+  const retry = pendingRetries.get(retryId);
+  if (!retry) return { ok: false, expired: true };
+  pendingRetries.delete(retryId);
+  const result = await tryInjectWithTiming(retry.tabId, retry.prompt, retry.tabUrl, {
+    label: `${retry.label}-retry`,
+    autoSubmit: retry.autoSubmit,
+    reqId: retryId,
+    historyId: retry.historyId,
+    tracking: retry.tracking
+  });
+  finishRun(retry.historyId, retry.tabId, retry.tabUrl, result, retry.tracking);
+  return { ok: result.ok, status: result.status };
+}
+
+// Show an injection result (see INJECTION RESULTS) in the provider tab. Duplicates and
+// script errors get no toast: the former was handled already, the latter can't be shown.
+async function showInjectionToast(tabId, result, { prompt, tabUrl, label, autoSubmit, historyId = null, tracking = {} }) {
+  let toast;
+  const failure = INJECTION_FAILURES[result.status];
+  if (failure) {
+    toast = {
+      kind: 'error',
+      title: failure.title,
+      message: failure.message,
+      reason: result.status,
+      prompt,
+      retryId: failure.retry ? rememberRetry({ tabId, prompt, tabUrl, label, autoSubmit, historyId, tracking }) : null
     };
+  } else if (result.status === 'submitted') {
+    toast = { kind: 'success', title: 'Prompt sent', message: 'The answer will appear in this conversation.' };
+  } else if (result.status === 'inserted') {
+    toast = { kind: 'success', title: 'Prompt inserted', message: 'Review it and send it when you are ready.' };
+  } else {
+    return;
+  }
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: createToastFunction(),
+      args: [toast, TOAST_SUCCESS_MS]
+    });
+  } catch (e) {
+    console.warn('[Background] Could not show the toast in tab', tabId, e);
+  }
+}
+
+// ====== INJECTION RESULTS ======
+// tryInjectWithTiming() returns { ok, status, selector, sendSelector, timings, error, attempts }.
+// status is one of INJECTION_STATUSES; ok is true when the prompt ended up in the editor.
+// selector / sendSelector: the inputSelectors and sendButtonSelectors entries that matched.
+// timings (ms, null for phases not reached): tabReady, from the caller's startedAt (e.g. when the
+// tab was opened, so it includes earlier messages of the run) until the script ran in the tab;
+// editorFound, searching for the editor; inserted, typing the prompt; submitted, sending it.
+const INJECTION_STATUSES = {
+  'submitted': { ok: true, error: '' },
+  'inserted': { ok: true, error: '' },
+  'send-disabled': { ok: true, error: 'The prompt was inserted, but the send button stayed disabled' },
+  'skipped-duplicate': { ok: false, error: 'The same request was already handled in this tab' },
+  'editor-not-found': { ok: false, error: 'No input selector matched a visible editor' },
+  'login-required': { ok: false, error: 'The provider asks you to sign in' },
+  'attach-failed': { ok: false, error: 'The files could not be attached' },
+  'script-error': { ok: false, error: 'The script could not run in the tab' }
+};
 
-    document.addEventListener('keydown', handleEscape);
-
-    // Assemble modal
-    header.appendChild(title);
-    header.appendChild(closeBtn);
-    body.appendChild(messageEl);
-    footer.appendChild(okBtn);
-    dialog.appendChild(header);
-    dialog.appendChild(body);
-    dialog.appendChild(footer);
-    overlay.appendChild(dialog);
-
-    // Add to page
-    document.body.appendChild(overlay);
-    okBtn.focus();
+// Statuses worth one more try after a pause: the page may still have been loading
+const RETRY_STATUSES = ['editor-not-found', 'script-error'];
+const INJECTION_RETRY_DELAY_MS = 1200;
+
+function toInjectionResult(status, { selector = '', sendSelector = '', timings = {}, error = '' } = {}) {
+  return {
+    ok: INJECTION_STATUSES[status].ok,
+    status,
+    selector,
+    sendSelector,
+    timings: { tabReady: null, editorFound: null, inserted: null, submitted: null, ...timings },
+    error: error || INJECTION_STATUSES[status].error,
+    attempts: 1
   };
 }
 
-// ====== INJECTION (returns true if inserted/submitted, else false) ======
-async function tryInjectWithTiming(tabId, prompt, tabUrl, { label = "", autoSubmit = false, reqId = "" } = {}) {
+// Send the prompt, and once more (with a new request id, so the page doesn't skip it as a
+// duplicate) when the first attempt's status is one of RETRY_STATUSES. Only the final
+// attempt's toast is shown.
+async function injectWithRetry(tabId, prompt, tabUrl, { label = '', autoSubmit = false, reqId = '', startedAt = null, historyId = null, tracking = {} } = {}) {
+  const first = await tryInjectWithTiming(tabId, prompt, tabUrl, {
+    label: `${label}-attempt#1`, autoSubmit, reqId, startedAt, notify: false
+  });
+  if (first.ok || !RETRY_STATUSES.includes(first.status)) {
+    await showInjectionToast(tabId, first, { prompt, tabUrl, label, autoSubmit, historyId, tracking });
+    return first;
+  }
+
+  debugLog('[Background] Injection attempt #1 failed:', first.status, '- retrying in', INJECTION_RETRY_DELAY_MS, 'ms');
+  await new Promise(resolve => setTimeout(resolve, INJECTION_RETRY_DELAY_MS));
+  const second = await tryInjectWithTiming(tabId, prompt, tabUrl, {
+    label: `${label}-attempt#2`, autoSubmit, reqId: `${reqId}-retry`, startedAt, historyId, tracking
+  });
+  return { ...second, attempts: 2 };
+}
+
+// ====== INJECTION ======
+// Sign-in controls that explain a missing editor (reason 'login-required')
+const LOGIN_SELECTORS = [
+  "button[data-testid='login-button']",
+  "a[href*='/login']",
+  "a[href*='/signin']",
+  "a[href*='accounts.google.com/ServiceLogin']",
+  "a[href*='login.microsoftonline.com']"
+];
+
+// Type the prompt into the provider's editor (and submit it with autoSubmit). Returns an
+// injection result (see INJECTION RESULTS); with notify, the result is shown as a toast in the tab,
+// whose Retry updates the run's history entry (historyId) and side panel entry (tracking).
+async function tryInjectWithTiming(tabId, prompt, tabUrl, { label = "", autoSubmit = false, reqId = "", startedAt = null, notify = true, historyId = null, tracking = {} } = {}) {
   debugLog('[Background] tryInjectWithTiming called:', { tabId, label, autoSubmit, reqId, promptLength: prompt.length });
   const provider = getProviderForUrl(tabUrl);
+  const tabReady = startedAt ? Date.now() - startedAt : null;
   try {
     debugLog('[Background] Executing script in tab', tabId);
+    await injectProviderDom(tabId);
     const results = await chrome.scripting.executeScript({
       target: { tabId },
-      func: (text, label, shouldSubmit, requestId, inputSels, sendSels) => {
+      func: (text, label, shouldSubmit, requestId, inputSels, sendSels, submitStrategy, loginSels) => {
         console.log("[ChatGPT-CP]", label, "inject start (debounced)", { requestId, shouldSubmit });
 
         // ---- page-level debounce: if same reqId already handled in last 10s, skip ----
@@ -819,47 +2215,20 @@ async function tryInjectWithTiming(tabId, prompt, tabUrl, { label = "", autoSubm
         }
         g.lastReqId = requestId; g.lastReqAt = now;
 
+        const { isVisible, queryDeepAll, nearestVisibleCE, findEditor } = window.__CHATGPT_CP_DOM;
         const SELECTORS_ORDERED = inputSels;
         const MAX_TRIES = 40, INTERVAL = 200;
+        // What matched and how long each phase took (ms), reported back with the result
+        const start = Date.now();
+        const found = { selector: "", sendSelector: "" };
+        const phases = { editorFound: null, inserted: null, submitted: null };
 
-        function isVisible(el) {
-          if (!el || !el.ownerDocument || !el.isConnected) return false;
-          const cs = getComputedStyle(el);
-          if (cs.display === "none" || cs.visibility === "hidden" || parseFloat(cs.opacity) === 0) return false;
-          const r = el.getBoundingClientRect(); if (r.width === 0 || r.height === 0) return false;
-          let n = el; while (n && n !== document.documentElement) {
-            if (n.getAttribute && n.getAttribute("aria-hidden") === "true") return false;
-            n = n.parentElement || n.parentNode?.host || null;
-          }
-          return true;
-        }
-        function queryDeepAll(root, sel) {
-          const out = [];
-          try { root.querySelectorAll(sel)?.forEach(n => out.push(n)); } catch {}
-          const tw = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
-          let n; while ((n = tw.nextNode())) if (n.shadowRoot) out.push(...queryDeepAll(n.shadowRoot, sel));
-          return out;
-        }
-        function nearestVisibleCE(fromEl) {
-          const form = fromEl.closest && fromEl.closest("form");
-          const q = "div[contenteditable='true'][role='textbox'], div[contenteditable='true'][data-testid^='composer'], [contenteditable='true']";
-          const pool = form ? form.querySelectorAll(q) : document.querySelectorAll(q);
-          for (const el of pool) if (isVisible(el)) return el;
-          return null;
-        }
         function pickEditor() {
-          for (const sel of SELECTORS_ORDERED) {
-            const els = queryDeepAll(document, sel);
-            const vis = els.filter(isVisible);
-            if (vis.length) { console.log("[ChatGPT-CP]", label, "matched visible:", sel, vis[0]); return vis[0]; }
-            if (els.length) {
-              console.log("[ChatGPT-CP]", label, "matched but hidden:", sel, els[0]);
-              if (els[0].tagName === "TEXTAREA") {
-                const ce = nearestVisibleCE(els[0]); if (ce) return ce;
-              }
-            } else { console.log("[ChatGPT-CP]", label, "not found:", sel); }
-          }
-          return null;
+          const match = findEditor(SELECTORS_ORDERED);
+          if (!match) return null;
+          console.log("[ChatGPT-CP]", label, match.fallback ? "matched hidden textarea, using nearby editor:" : "matched visible:", match.selector, match.el);
+          found.selector = match.selector;
+          return match.el;
         }
         function insertIntoCE(el, val) {
           el.focus();
@@ -915,11 +2284,14 @@ async function tryInjectWithTiming(tabId, prompt, tabUrl, { label = "", autoSubm
           const sels = sendSels;
           for (const s of sels) {
             const c = queryDeepAll(document, s).filter(isVisible);
-            if (c.length) { console.log("[ChatGPT-CP]", label, "send button via", s, c[0]); return c[0]; }
+            if (c.length) { console.log("[ChatGPT-CP]", label, "send button via", s, c[0]); found.sendSelector = s; return c[0]; }
           }
           return null;
         }
         async function submit(editorEl) {
+          if (submitStrategy === "enter") return enter(editorEl);
+          if (submitStrategy === "ctrlEnter") return enter(editorEl, { ctrlKey: true });
+
           // Wait for button to exist (up to 2 seconds)
           const btn = await waitForSendButton(2000, 100);
 
@@ -937,7 +2309,8 @@ async function tryInjectWithTiming(tabId, prompt, tabUrl, { label = "", autoSubm
                 }
                 if (++tries >= max) {
                   console.log("[ChatGPT-CP]", label, "send disabled; fallback Enter");
-                  resolve(enter(editorEl));
+                  enter(editorEl);
+                  resolve("send-disabled");
                   return;
                 }
                 setTimeout(tick, 200);
@@ -947,10 +2320,10 @@ async function tryInjectWithTiming(tabId, prompt, tabUrl, { label = "", autoSubm
           }
           return enter(editorEl);
         }
-        function enter(editorEl) {
+        function enter(editorEl, modifiers = {}) {
           try {
             editorEl.focus();
-            const opts = { bubbles: true, cancelable: true, key: "Enter", code: "Enter", keyCode: 13, which: 13 };
+            const opts = { bubbles: true, cancelable: true, key: "Enter", code: "Enter", keyCode: 13, which: 13, ...modifiers };
             editorEl.dispatchEvent(new KeyboardEvent("keydown", opts));
             editorEl.dispatchEvent(new KeyboardEvent("keyup", opts));
             console.log("[ChatGPT-CP]", label, "sent Enter");
@@ -962,53 +2335,512 @@ async function tryInjectWithTiming(tabId, prompt, tabUrl, { label = "", autoSubm
           return false;
         }
 
+        // Signed-out pages often have no editor: a login URL or a visible sign-in control
+        function loginRequired() {
+          if (/\/(log-?in|sign-?in|auth)\b/i.test(location.pathname)) return true;
+          return loginSels.some(sel => queryDeepAll(document, sel).some(isVisible));
+        }
+        function editorText(el) {
+          return (("value" in el ? el.value : el.innerText) || "").trim();
+        }
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        // After inserting: submit if asked, and check that a disabled send button didn't keep the prompt back
+        async function complete(editor) {
+          console.log("[ChatGPT-CP]", label, "inserted");
+          const report = { inserted: true, submitted: false, skipped: false, reason: "", ...found, phases };
+          if (!shouldSubmit) return report;
+          const submitStart = Date.now();
+          await sleep(500);
+          const result = await submit(editor);
+          console.log("[ChatGPT-CP]", label, "submission completed:", result);
+          if (result === "send-disabled") {
+            await sleep(1000);
+            if (editorText(editor)) return { ...report, reason: "send-disabled" };
+          }
+          if (result) phases.submitted = Date.now() - submitStart;
+          return { ...report, submitted: !!result };
+        }
+
         // Attempt insert (+ optional submit) with short retries
         let tries = 0;
         const MAX_TRIES_LOCAL = MAX_TRIES;
         const tryOnce = () => {
           const editor = pickEditor();
-          if (editor && setValue(editor, text)) {
-            console.log("[ChatGPT-CP]", label, "inserted");
-            if (shouldSubmit) {
-              setTimeout(async () => {
-                const result = await submit(editor);
-                console.log("[ChatGPT-CP]", label, "submission completed:", result);
-              }, 500);
-            }
-            return { inserted: true, submitted: false, skipped: false };
-          }
-          return null;
+          if (!editor) return null;
+          const foundAt = Date.now();
+          if (!setValue(editor, text)) return null;
+          phases.editorFound = foundAt - start;
+          phases.inserted = Date.now() - foundAt;
+          return editor;
         };
         const immediate = tryOnce();
-        if (immediate) return immediate;
+        if (immediate) return complete(immediate);
 
         return new Promise((resolve) => {
           const timer = setInterval(() => {
-            const r = tryOnce();
-            if (r) { clearInterval(timer); resolve(r); }
+            const editor = tryOnce();
+            if (editor) { clearInterval(timer); resolve(complete(editor)); }
             else if (++tries >= MAX_TRIES_LOCAL) {
               clearInterval(timer);
-              console.warn("[ChatGPT-CP]", label, "editor not found — giving up");
-              alert("Could not auto-insert text. Please paste manually.");
-              resolve({ inserted: false, submitted: false, skipped: false });
+              const reason = loginRequired() ? "login-required" : "editor-not-found";
+              console.warn("[ChatGPT-CP]", label, "editor not found — giving up:", reason);
+              resolve({ inserted: false, submitted: false, skipped: false, reason, ...found, phases });
             }
           }, INTERVAL);
         });
       },
-      args: [prompt, label, autoSubmit, reqId, provider.inputSelectors, provider.sendButtonSelectors],
+      args: [
+        prompt, label, autoSubmit, reqId, provider.inputSelectors, provider.sendButtonSelectors,
+        provider.submitStrategy || "button", LOGIN_SELECTORS
+      ],
       world: "MAIN" // ensure we're in the page's main world
     });
 
     // Normalize return (MV3 returns array of {result})
     const res = Array.isArray(results) && results[0] && results[0].result;
     debugLog('[Background] Script execution result:', res);
-    const ok = !!(res && (res.inserted || res.submitted) && !res.skipped);
-    debugLog('[Background] Returning success status:', ok);
-    return ok;
+    let status;
+    if (!res) status = 'script-error';
+    else if (res.skipped) status = 'skipped-duplicate';
+    else status = res.reason || (res.submitted ? 'submitted' : res.inserted ? 'inserted' : 'editor-not-found');
+
+    const result = toInjectionResult(status, {
+      selector: res?.selector,
+      sendSelector: res?.sendSelector,
+      timings: { tabReady, ...res?.phases },
+      error: res ? '' : 'The script returned no result'
+    });
+    debugLog('[Background] Injection result:', result);
+    if (notify) await showInjectionToast(tabId, result, { prompt, tabUrl, label, autoSubmit, historyId, tracking });
+    return result;
   } catch (e) {
     console.error("[Background] executeScript failed:", e);
-    return false;
+    return toInjectionResult('script-error', { timings: { tabReady }, error: e.message });
+  }
+}
+
+// ====== PROVIDER DIAGNOSTICS ======
+// The options page's Test Provider button: opens the menu's URL in a background tab and runs the
+// editor and send-button discovery of tryInjectWithTiming() without typing or sending anything.
+// The report lists which inputSelectors and sendButtonSelectors matched, whether the matches were
+// visible, and how long the page and the editor took to be ready. The tab is left open to inspect.
+const DIAGNOSTIC_PAGE_TIMEOUT_MS = 20000;
+const DIAGNOSTIC_EDITOR_TIMEOUT_MS = 8000; // tryInjectWithTiming's 40 tries, 200 ms apart
+const DIAGNOSTIC_SEND_BUTTON_TIMEOUT_MS = 2000;
+
+async function diagnoseProvider(url) {
+  const provider = getProviderForUrl(url);
+  if (provider.endpoint) {
+    return { ok: false, error: `"${provider.name}" is an endpoint provider: prompts are sent to its API, not typed into a tab` };
+  }
+  if (!await ensureProviderAccess(url)) {
+    return { ok: false, error: `Grant access to ${provider.permissionOrigin} on the Custom Providers page first` };
+  }
+
+  const submitStrategy = provider.submitStrategy || 'button';
+  const report = {
+    ok: false,
+    provider: provider.name || provider.titleMatch,
+    url,
+    tabId: null,
+    submitStrategy,
+    pageReady: false,
+    pageMs: null,
+    editorMs: null,
+    editor: null,
+    sendButton: null,
+    inputSelectors: [],
+    sendButtonSelectors: [],
+    error: ''
+  };
+
+  const start = Date.now();
+  const tab = await chrome.tabs.create({ url, active: false });
+  report.tabId = tab.id;
+  try {
+    await waitForProviderPage(tab.id, url, DIAGNOSTIC_PAGE_TIMEOUT_MS);
+    report.pageReady = true;
+  } catch (e) {
+    report.error = provider.custom
+      ? 'The page never showed the readiness or input selectors'
+      : `The tab title never contained "${provider.titleMatch}"`;
+  }
+  report.pageMs = Date.now() - start;
+
+  try {
+    await injectProviderDom(tab.id);
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: async (inputSels, sendSels, findSendButton, editorTimeoutMs, sendTimeoutMs) => {
+        const INTERVAL = 200;
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        // The same discovery as tryInjectWithTiming() (provider-dom.js)
+        const { isVisible, queryDeepAll, findEditor } = window.__CHATGPT_CP_DOM;
+
+        function pickEditor() {
+          const match = findEditor(inputSels);
+          return match && { selector: match.selector, fallback: match.fallback };
+        }
+        function pickSendButton() {
+          const sel = sendSels.find(s => queryDeepAll(document, s).some(isVisible));
+          return sel ? { selector: sel } : null;
+        }
+        function describe(sels) {
+          return sels.map(selector => {
+            const els = queryDeepAll(document, selector);
+            const visible = els.filter(isVisible);
+            return {
+              selector,
+              found: els.length,
+              visible: visible.length,
+              disabled: !!visible[0] && (visible[0].disabled || visible[0].getAttribute("aria-disabled") === "true")
+            };
+          });
+        }
+
+        const start = Date.now();
+        let editor = pickEditor();
+        while (!editor && Date.now() - start < editorTimeoutMs) {
+          await sleep(INTERVAL);
+          editor = pickEditor();
+        }
+        const editorMs = editor ? Date.now() - start : null;
+
+        let sendButton = null;
+        if (findSendButton) {
+          const sendStart = Date.now();
+          sendButton = pickSendButton();
+          while (!sendButton && Date.now() - sendStart < sendTimeoutMs) {
+            await sleep(100);
+            sendButton = pickSendButton();
+          }
+        }
+        console.log("[ChatGPT-CP] diagnostics", { editor, editorMs, sendButton });
+        return { editor, editorMs, sendButton, inputSelectors: describe(inputSels), sendButtonSelectors: describe(sendSels) };
+      },
+      args: [
+        provider.inputSelectors,
+        provider.sendButtonSelectors || [],
+        submitStrategy === 'button',
+        DIAGNOSTIC_EDITOR_TIMEOUT_MS,
+        DIAGNOSTIC_SEND_BUTTON_TIMEOUT_MS
+      ],
+      world: "MAIN"
+    });
+    Object.assign(report, results?.[0]?.result || {});
+  } catch (e) {
+    console.warn('[Background] Provider diagnostics could not run in the tab:', e);
+    report.error ||= `The page could not be inspected: ${e.message}`;
+  }
+
+  if (!report.editor && !report.error) report.error = 'No input selector matched a visible editor';
+  report.ok = report.pageReady && !!report.editor;
+  return report;
+}
+
+// ====== MESSAGE SEQUENCES ======
+// Parts of a long selection (buildPromptMessages() in templates.js) and the steps of prompt
+// chains (action.steps) are sent one after another in the same conversation, each once the
+// provider has answered the previous one
+const MESSAGE_READY_TIMEOUT_MS = 120_000;
+const MESSAGE_READY_SETTLE_MS = 1500;
+const MESSAGE_READY_POLL_MS = 500;
+const MESSAGE_READY_QUIET_POLLS = 3;
+
+// Send and submit messages that come before the last one (parts of a long selection, or the
+// prompt and steps of a prompt chain), each after the provider has finished answering the
+// previous one. The last message is then sent as usual. Returns the injection result of the
+// message that couldn't be sent, or null once all were sent.
+async function sendLeadingMessages(tabId, messages, tabUrl, { label = '', reqId = '' } = {}) {
+  for (let i = 0; i < messages.length; i++) {
+    const messageLabel = `${label}-${i + 1}`;
+    const result = await tryInjectWithTiming(tabId, messages[i], tabUrl, {
+      label: messageLabel,
+      autoSubmit: true,
+      reqId: `${reqId}-${label}-${i + 1}`
+    });
+    if (!result.ok) {
+      console.warn('[Background] Could not send message', i + 1, 'of', messages.length + 1, `(${label}):`, result.status);
+      return result;
+    }
+    if (!await waitForProviderReady(tabId, tabUrl, { label: messageLabel })) {
+      console.warn('[Background] Provider not ready after message', i + 1, `(${label}), continuing anyway`);
+    }
+  }
+  return null;
+}
+
+// Follow-up prompts of a prompt chain (action.steps), rendered with the action's values
+function renderActionSteps(action, values) {
+  return (action.steps || [])
+    .filter(step => step?.trim())
+    .map(step => renderStep(step, values));
+}
+
+// Wait until the provider has taken the last message (the composer is empty) and finished
+// answering it (no busy indicator such as the stop button). Like waitForResponse(), this polls
+// from here with short probes, which keeps the service worker alive. Returns false on timeout.
+async function waitForProviderReady(tabId, tabUrl, { label = '', timeoutMs = MESSAGE_READY_TIMEOUT_MS } = {}) {
+  // Submission happens shortly after insertion, and the busy indicator takes a moment to show
+  await new Promise(resolve => setTimeout(resolve, MESSAGE_READY_SETTLE_MS));
+  const start = Date.now();
+  let quietPolls = 0;
+
+  while (Date.now() - start < timeoutMs) {
+    let state;
+    try {
+      state = await readComposerState(tabId, tabUrl);
+    } catch (e) {
+      console.warn('[Background] Stopped waiting for provider, tab unavailable:', label, e.message);
+      return false;
+    }
+
+    quietPolls = state.empty && !state.busy ? quietPolls + 1 : 0;
+    if (quietPolls >= MESSAGE_READY_QUIET_POLLS) {
+      debugLog('[Background] Provider ready for the next message:', label);
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, MESSAGE_READY_POLL_MS));
+  }
+
+  console.warn('[Background] Provider still busy after', timeoutMs, 'ms:', label);
+  return false;
+}
+
+// Whether the provider's composer is empty, and whether it shows a busy indicator
+async function readComposerState(tabId, tabUrl) {
+  const provider = getProviderForUrl(tabUrl);
+  await injectProviderDom(tabId);
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (inputSels, busySels) => {
+      const { isVisible, queryDeepAll, findVisible } = window.__CHATGPT_CP_DOM;
+      const el = findVisible(inputSels);
+      const empty = !!el && !(("value" in el ? el.value : el.innerText) || "").trim();
+      return {
+        empty,
+        busy: busySels.some(sel => queryDeepAll(document, sel).some(isVisible))
+      };
+    },
+    args: [provider.inputSelectors, provider.busySelectors || []],
+    world: "MAIN"
+  });
+  return results?.[0]?.result || { empty: false, busy: false };
+}
+
+// ====== RESPONSE CAPTURE ======
+// Actions with a responseMode other than 'none' wait for the AI's answer in the provider tab
+// and bring it back to the page they ran on (response-card.js)
+const RESPONSE_TIMEOUT_MS = 5 * 60_000;
+const RESPONSE_POLL_MS = 1000;
+const RESPONSE_STABLE_POLLS = 3;
+
+// Call before sending the prompt: remembers how many answers the conversation already has
+// and returns a function that starts watching for the new one. The answer goes back to the page
+// per action.responseMode and, when the provider's answers can be read, to the run's side panel
+// entry (statusId). A no-op when neither applies.
+async function startResponseWatch(tabId, tabUrl, action, page, statusId = null) {
+  const mode = action.responseMode || 'none';
+  const deliver = mode !== 'none' && !!page?.tabId;
+  const show = !!statusId && getProviderForUrl(tabUrl).responseSelectors?.length > 0;
+  if (!deliver && !show) return () => {};
+
+  const before = await readResponseState(tabId, tabUrl).catch(() => null);
+  return () => {
+    waitForResponse(tabId, tabUrl, before?.count || 0, { label: action.id })
+      .then(text => {
+        if (!text) return;
+        if (show) setRunStage(statusId, 'answered', { response: text });
+        if (deliver) return deliverResponse(page.tabId, text, { title: action.title, mode });
+      })
+      .catch(e => console.warn('[Background] Failed to capture response for', action.id, e));
+  };
+}
+
+// Number of assistant messages, the text of the newest one, and whether one is being written
+async function readResponseState(tabId, tabUrl) {
+  const provider = getProviderForUrl(tabUrl);
+  await injectProviderDom(tabId);
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (responseSels, busySels) => {
+      const { isVisible, queryDeepAll } = window.__CHATGPT_CP_DOM;
+
+      let responses = [];
+      for (const sel of responseSels) {
+        responses = queryDeepAll(document, sel);
+        if (responses.length) break;
+      }
+      const last = responses[responses.length - 1];
+      return {
+        count: responses.length,
+        text: last ? (last.innerText || last.textContent || "").trim() : "",
+        busy: busySels.some(sel => queryDeepAll(document, sel).some(isVisible))
+      };
+    },
+    args: [provider.responseSelectors || [], provider.busySelectors || []],
+    world: "MAIN"
+  });
+  return results?.[0]?.result || { count: 0, text: '', busy: false };
+}
+
+// Poll the provider tab until a new answer has appeared and stopped changing.
+// Polling from here (rather than waiting inside the page) keeps the service worker alive.
+// Returns the answer's text, or null on timeout or when the tab is gone.
+async function waitForResponse(tabId, tabUrl, previousCount, { label = '', timeoutMs = RESPONSE_TIMEOUT_MS } = {}) {
+  const start = Date.now();
+  let lastText = '';
+  let stablePolls = 0;
+
+  while (Date.now() - start < timeoutMs) {
+    await new Promise(resolve => setTimeout(resolve, RESPONSE_POLL_MS));
+    let state;
+    try {
+      state = await readResponseState(tabId, tabUrl);
+    } catch (e) {
+      console.warn('[Background] Stopped waiting for response, tab unavailable:', label, e.message);
+      return null;
+    }
+
+    if (state.count > previousCount && state.text && !state.busy) {
+      stablePolls = state.text === lastText ? stablePolls + 1 : 0;
+      if (stablePolls >= RESPONSE_STABLE_POLLS) {
+        debugLog('[Background] Response captured for', label, `(${state.text.length} characters)`);
+        return state.text;
+      }
+    } else {
+      stablePolls = 0;
+    }
+    lastText = state.text;
+  }
+
+  console.warn('[Background] No response within', timeoutMs, 'ms for', label);
+  return null;
+}
+
+// Show the answer in the source tab, or copy it there (response-card.js)
+async function deliverResponse(sourceTabId, text, { title = '', mode = 'overlay' } = {}) {
+  try {
+    await chrome.tabs.sendMessage(sourceTabId, { type: 'SHOW_RESPONSE', title, text, mode }, { frameId: 0 });
+  } catch (e) {
+    console.warn('[Background] Could not deliver response to tab', sourceTabId, e);
+  }
+}
+
+// ====== RUN HISTORY ======
+const CONVERSATION_URL_TIMEOUT_MS = 60_000;
+
+// Add a history entry for a run (see run-history.js). Returns its id, or null when history is off.
+// messages: everything sent to the provider, in order (parts, prompt, steps)
+async function recordRun({ action, menu, page, selection, answers, messages, providerUrl }) {
+  // Attachments (images, screenshots, selection files) are too large to keep
+  const { attachments, ...storedSelection } = selection;
+  try {
+    return await addHistoryEntry({
+      menuId: menu.id,
+      menuName: menu.name,
+      actionId: action.id,
+      actionTitle: action.title,
+      sourceUrl: page.url || '',
+      sourceTitle: page.title || '',
+      selection: storedSelection,
+      answers,
+      prompt: messages.join('\n\n'),
+      providerUrl
+    });
+  } catch (e) {
+    console.warn('[Background] Could not record run in history:', e);
+    return null;
+  }
+}
+
+// Record whether the prompt was delivered (result: an injection result, see INJECTION RESULTS)
+// and, once the provider has created it, the conversation URL. The entry keeps the injection's
+// status, selectors and timings for diagnostics. tracking ({ statusId }) moves the run's side
+// panel entry on as well.
+async function finishRun(historyId, tabId, tabUrl, result, tracking = {}) {
+  if (result.ok) {
+    setRunStage(tracking.statusId, result.status === 'submitted' ? 'submitted' : 'inserted',
+      result.status === 'send-disabled' ? { error: result.error } : {});
+  } else {
+    setRunStage(tracking.statusId, 'failed', { error: result.error });
   }
+  if (!historyId) return;
+  try {
+    const { ok, ...injection } = result;
+    // Only submitted prompts count as sent: 'inserted' and 'send-disabled' leave sending to the user
+    const status = !ok ? 'failed' : result.status === 'submitted' ? 'sent' : 'inserted';
+    await updateHistoryEntry(historyId, { status, injection });
+    if (!ok) return;
+    // The user may still send an inserted prompt, which creates the conversation
+    const conversationUrl = await waitForConversationUrl(tabId, tabUrl);
+    if (conversationUrl) await updateHistoryEntry(historyId, { conversationUrl });
+  } catch (e) {
+    console.warn('[Background] Could not update history entry', historyId, e);
+  }
+}
+
+// ====== RUN STATUS ======
+// The side panel's live list of runs (see run-status.js)
+async function trackRun(menu, action, providerUrl) {
+  try {
+    return await startRunStatus({ menuName: menu.name, actionTitle: action.title, providerUrl });
+  } catch (e) {
+    console.warn('[Background] Could not track run:', e);
+    return null;
+  }
+}
+
+function setRunStage(statusId, stage, changes = {}) {
+  if (!statusId) return;
+  updateRunStatus(statusId, { stage, ...changes })
+    .catch(e => console.warn('[Background] Could not update run status', statusId, e));
+}
+
+// Providers move from their start page to the conversation's own URL (e.g. chatgpt.com/c/<id>)
+// shortly after the first message is submitted
+async function waitForConversationUrl(tabId, tabUrl, timeoutMs = CONVERSATION_URL_TIMEOUT_MS) {
+  const pattern = getProviderForUrl(tabUrl).conversationUrlPattern;
+  if (!pattern) return '';
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch {
+      return ''; // Tab was closed
+    }
+    if (pattern.test(tab.url || '')) return tab.url;
+    await new Promise(r => setTimeout(r, 1000));
+  }
+  return '';
+}
+
+// Run a history entry's action again with the same selection and {{ask:...}} answers
+async function rerunHistoryEntry(id) {
+  const entry = await getHistoryEntry(id);
+  if (!entry) return { ok: false, error: 'This run is no longer in the history.' };
+
+  const config = await loadConfig();
+  const menu = (config.menus || []).find(m => m.id === entry.menuId);
+  const action = menu?.actions.find(a => a.id === entry.actionId);
+  if (!action) return { ok: false, error: `The action "${entry.actionTitle}" no longer exists.` };
+
+  // Attachments aren't kept: fetch a right-clicked image again, but a screenshot can't be retaken
+  const selection = { ...entry.selection };
+  if (selection.context === 'screenshot') {
+    return { ok: false, error: 'Screenshots are not kept in the history. Capture the region again instead.' };
+  }
+  if (selection.context === 'image' && selection.image?.url) {
+    const attachment = await fetchImageAttachment(selection.image.url);
+    if (attachment) selection.attachments = [attachment];
+  }
+
+  const page = { title: entry.sourceTitle, url: entry.sourceUrl };
+  executeAction(action, selection, menu, config, page, { answers: entry.answers || {} });
+  return { ok: true };
 }
 
 // ====== MESSAGE LISTENER FOR SHORTCUTS ======
@@ -1024,8 +2856,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.type === 'EXECUTE_SHORTCUT') {
     // Content script triggered a shortcut
-    if (message.selectionText) {
-      handleShortcutExecution(message.actionId, message.selectionText);
+    // message.selection carries { text, html, markdown }; older senders only send selectionText.
+    // message.pageContent is sent instead for page-source actions when nothing is selected,
+    // and message.screenshot for screenshot actions (the region is selected from here).
+    const page = { title: sender.tab?.title || '', url: sender.tab?.url || '', tabId: sender.tab?.id };
+    if (message.screenshot) {
+      captureScreenshotRegion(sender.tab).then(selection => {
+        if (selection) handleShortcutExecution(message.actionId, selection, page);
+      });
+      return false;
+    }
+
+    const selection = message.pageContent
+      ? pageContentToSelection(message.pageContent)
+      : normalizeSelection(message.selection || { text: message.selectionText });
+    if (selection.text) {
+      handleShortcutExecution(message.actionId, selection, page);
     } else {
       console.error('[Background] No selection text in shortcut message');
     }
@@ -1033,8 +2879,81 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// ====== MESSAGE LISTENER FOR THE POPUP ======
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'GET_SCREENSHOT_ACTIONS') {
+    // Popup listing the screenshot actions it can start
+    loadConfig().then(config => {
+      const actions = (config.menus || []).flatMap(menu => menu.actions
+        .filter(action => action.enabled && getActionContexts(action).includes('screenshot'))
+        .sort((a, b) => a.order - b.order)
+        .map(action => ({ menuId: menu.id, actionId: action.id, menuName: menu.name, title: action.title })));
+      sendResponse({ actions });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (message.type === 'RUN_SCREENSHOT_ACTION') {
+    // The popup grants activeTab for the active tab, which captureVisibleTab needs.
+    // It closes once the run has started so the region can be dragged on the page.
+    chrome.tabs.get(message.tabId).then(async (tab) => {
+      sendResponse({ started: true });
+      const selection = await captureScreenshotRegion(tab);
+      if (!selection) return;
+      const page = { title: tab.title || '', url: tab.url || '', tabId: tab.id };
+      await handleShortcutExecution(message.actionId, selection, page);
+    }).catch(e => {
+      console.error('[Background] Failed to run screenshot action from the popup:', e);
+      sendResponse({ started: false });
+    });
+    return true; // Keep channel open for async response
+  }
+});
+
+// ====== MESSAGE LISTENER FOR THE OPTIONS PAGE ======
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'DIAGNOSE_PROVIDER') {
+    diagnoseProvider(message.url).then(sendResponse).catch(e => {
+      console.error('[Background] Provider diagnostics failed:', e);
+      sendResponse({ ok: false, error: e.message });
+    });
+    return true; // Keep channel open for async response
+  }
+});
+
+// ====== MESSAGE LISTENER FOR IN-PAGE TOASTS ======
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'RETRY_INJECTION') {
+    retryInjection(message.retryId).then(sendResponse).catch(e => {
+      console.error('[Background] Retry failed:', e);
+      sendResponse({ ok: false });
+    });
+    return true; // Keep channel open for async response
+  }
+});
+
+// ====== MESSAGE LISTENER FOR THE ANSWER PAGE ======
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'STOP_ANSWER') {
+    answerControllers.get(message.id)?.abort();
+    sendResponse({ ok: answerControllers.has(message.id) });
+    return false;
+  }
+});
+
+// ====== MESSAGE LISTENER FOR THE HISTORY PAGE ======
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'RERUN_HISTORY_ENTRY') {
+    rerunHistoryEntry(message.id).then(sendResponse).catch(e => {
+      console.error('[Background] Failed to re-run history entry:', e);
+      sendResponse({ ok: false, error: e.message });
+    });
+    return true; // Keep channel open for async response
+  }
+});
+
 // ====== SHORTCUT EXECUTION HANDLER ======
-async function handleShortcutExecution(actionId, selectionText) {
+async function handleShortcutExecution(actionId, selection, page = {}) {
   try {
     const config = await loadConfig();
 
@@ -1052,7 +2971,7 @@ async function handleShortcutExecution(actionId, selectionText) {
 
         // Handle "Run All" shortcut
         if (actId === 'runAll') {
-          await runAllActions(selectionText, menu, config);
+          await runAllActions(selection, menu, config, page);
           return;
         }
 
@@ -1064,7 +2983,7 @@ async function handleShortcutExecution(actionId, selectionText) {
         }
 
         // Execute the action
-        await executeAction(action, selectionText, menu, config);
+        await executeAction(action, selection, menu, config, page);
       } else {
         console.warn('[Background] Invalid shortcut action ID format:', actionId);
       }
@@ -1073,7 +2992,7 @@ async function handleShortcutExecution(actionId, selectionText) {
     else {
       // Handle "Run All" shortcut
       if (actionId === 'runAll') {
-        await runAllActionsV2(selectionText, config);
+        await runAllActionsV2(selection.text, config, page);
         return;
       }
 
@@ -1085,7 +3004,7 @@ async function handleShortcutExecution(actionId, selectionText) {
       }
 
       // Execute the action
-      await executeActionV2(action, selectionText, config);
+      await executeActionV2(action, selection.text, config, page);
     }
   } catch (e) {
     console.error('[Background] Failed to handle shortcut execution:', e);
@@ -45,6 +45,18 @@ cp config.js "$BUILD_TEMP/"
 cp debug.js "$BUILD_TEMP/"
 cp default-config.json "$BUILD_TEMP/"
 cp shortcuts.js "$BUILD_TEMP/"
+cp ask-dialog.js "$BUILD_TEMP/"
+cp region-select.js "$BUILD_TEMP/"
+cp response-card.js "$BUILD_TEMP/"
+cp page-capture.js "$BUILD_TEMP/"
+cp provider-dom.js "$BUILD_TEMP/"
+cp templates.js "$BUILD_TEMP/"
+cp selection.js "$BUILD_TEMP/"
+cp run-history.js "$BUILD_TEMP/"
+cp run-status.js "$BUILD_TEMP/"
+cp providers.js "$BUILD_TEMP/"
+cp llm-endpoint.js "$BUILD_TEMP/"
+cp cloud-api.js "$BUILD_TEMP/"
 
 # Options page files
 cp options.html "$BUILD_TEMP/"
@@ -56,6 +68,36 @@ cp popup.html "$BUILD_TEMP/"
 cp popup.css "$BUILD_TEMP/"
 cp popup.js "$BUILD_TEMP/"
 
+# Run history page files
+cp history.html "$BUILD_TEMP/"
+cp history.css "$BUILD_TEMP/"
+cp history.js "$BUILD_TEMP/"
+
+# Compare providers page files
+cp compare.html "$BUILD_TEMP/"
+cp compare.css "$BUILD_TEMP/"
+cp compare.js "$BUILD_TEMP/"
+
+# Custom providers page files
+cp custom-providers.html "$BUILD_TEMP/"
+cp custom-providers.css "$BUILD_TEMP/"
+cp custom-providers.js "$BUILD_TEMP/"
+
+# API keys page files
+cp api-keys.html "$BUILD_TEMP/"
+cp api-keys.css "$BUILD_TEMP/"
+cp api-keys.js "$BUILD_TEMP/"
+
+# Answer page files (endpoint providers and API menus)
+cp answer.html "$BUILD_TEMP/"
+cp answer.css "$BUILD_TEMP/"
+cp answer.js "$BUILD_TEMP/"
+
+# Side panel files
+cp sidepanel.html "$BUILD_TEMP/"
+cp sidepanel.css "$BUILD_TEMP/"
+cp sidepanel.js "$BUILD_TEMP/"
+
 # Icons
 mkdir -p "$BUILD_TEMP/icons"
 cp icons/*.png "$BUILD_TEMP/icons/"
@@ -0,0 +1,175 @@
+// ====== CLOUD APIS ======
+// The official chat APIs a menu can call instead of typing its prompts into a tab
+// (menu.executionMode 'api', see config.js). Each call sends the whole conversation and
+// returns the answer with its token usage. Keys are kept in chrome.storage.local under
+// 'apiKeys' ({ openai, anthropic, gemini }) so they are never synced.
+
+import { toMessageContent, decodeBase64Text } from './llm-endpoint.js';
+
+const API_KEYS_KEY = 'apiKeys';
+
+// origin: the host access requested when a key is saved
+// maxTemperature: highest temperature the API accepts
+// models: suggested in the menu editor; any model the API knows can be entered
+const CLOUD_APIS = {
+  openai: {
+    name: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    origin: 'https://api.openai.com/*',
+    maxTemperature: 2,
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1', 'gpt-4.1-mini']
+  },
+  anthropic: {
+    name: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    origin: 'https://api.anthropic.com/*',
+    maxTemperature: 1,
+    models: ['claude-3-5-haiku-latest', 'claude-sonnet-4-0', 'claude-opus-4-0']
+  },
+  gemini: {
+    name: 'Google Gemini',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    origin: 'https://generativelanguage.googleapis.com/*',
+    maxTemperature: 2,
+    models: ['gemini-2.0-flash', 'gemini-2.5-flash', 'gemini-2.5-pro']
+  }
+};
+
+// Anthropic requires a limit on the answer's length
+const ANTHROPIC_MAX_TOKENS = 4096;
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// ====== WIRE FORMATS ======
+// Messages are { role: 'user' | 'assistant', text, attachments } with attachments as
+// { name, type, data } (base64). Each API gets them in its own shape.
+
+function toOpenAIRequest(baseUrl, apiKey, { model, temperature, systemPrompt, messages }) {
+  return {
+    url: `${baseUrl}/chat/completions`,
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body: {
+      model,
+      messages: [
+        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+        ...messages.map(message => ({ role: message.role, content: toMessageContent(message.text, message.attachments) }))
+      ],
+      ...(temperature !== null ? { temperature } : {})
+    },
+    read: json => ({
+      text: json.choices?.[0]?.message?.content || '',
+      usage: { inputTokens: json.usage?.prompt_tokens || 0, outputTokens: json.usage?.completion_tokens || 0 }
+    })
+  };
+}
+
+function toAnthropicContent(message) {
+  if (!message.attachments?.length) return message.text;
+  return [
+    ...message.attachments.map(file => (file.type.startsWith('image/')
+      ? { type: 'image', source: { type: 'base64', media_type: file.type, data: file.data } }
+      : { type: 'text', text: `${file.name}:\n${decodeBase64Text(file.data)}` })),
+    { type: 'text', text: message.text }
+  ];
+}
+
+function toAnthropicRequest(baseUrl, apiKey, { model, temperature, systemPrompt, messages }) {
+  return {
+    url: `${baseUrl}/messages`,
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      // Calls come from the extension, not a server
+      'anthropic-dangerous-direct-browser-access': 'true'
+    },
+    body: {
+      model,
+      max_tokens: ANTHROPIC_MAX_TOKENS,
+      ...(systemPrompt ? { system: systemPrompt } : {}),
+      ...(temperature !== null ? { temperature } : {}),
+      messages: messages.map(message => ({ role: message.role, content: toAnthropicContent(message) }))
+    },
+    read: json => ({
+      text: (json.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: { inputTokens: json.usage?.input_tokens || 0, outputTokens: json.usage?.output_tokens || 0 }
+    })
+  };
+}
+
+function toGeminiRequest(baseUrl, apiKey, { model, temperature, systemPrompt, messages }) {
+  return {
+    url: `${baseUrl}/models/${encodeURIComponent(model)}:generateContent`,
+    headers: { 'x-goog-api-key': apiKey },
+    body: {
+      contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [
+          { text: message.text },
+          ...(message.attachments || []).map(file => ({ inline_data: { mime_type: file.type, data: file.data } }))
+        ]
+      })),
+      ...(systemPrompt ? { systemInstruction: { parts: [{ text: systemPrompt }] } } : {}),
+      ...(temperature !== null ? { generationConfig: { temperature } } : {})
+    },
+    read: json => ({
+      text: (json.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''),
+      usage: { inputTokens: json.usageMetadata?.promptTokenCount || 0, outputTokens: json.usageMetadata?.candidatesTokenCount || 0 }
+    })
+  };
+}
+
+const REQUEST_BUILDERS = {
+  openai: toOpenAIRequest,
+  anthropic: toAnthropicRequest,
+  gemini: toGeminiRequest
+};
+
+// ====== CALLS ======
+// Send one request and return { text, usage: { inputTokens, outputTokens } }.
+// baseUrl replaces the API's own address (e.g. for a local mock server).
+// Throws with the API's error message on non-2xx responses, and when `signal` aborts.
+async function callCloudApi(apiId, { apiKey, model, temperature = null, systemPrompt = '', messages, signal, baseUrl }) {
+  const api = CLOUD_APIS[apiId];
+  if (!api) throw new Error(`Unknown API "${apiId}"`);
+
+  const request = REQUEST_BUILDERS[apiId](baseUrl || api.baseUrl, apiKey, { model, temperature, systemPrompt, messages });
+  const response = await fetch(request.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...request.headers },
+    body: JSON.stringify(request.body),
+    signal
+  });
+
+  const json = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = json?.error?.message || (typeof json?.error === 'string' ? json.error : '');
+    throw new Error(`${api.name} returned ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return request.read(json || {});
+}
+
+// ====== KEYS ======
+async function getApiKeys() {
+  const result = await chrome.storage.local.get(API_KEYS_KEY);
+  return result[API_KEYS_KEY] || {};
+}
+
+// An empty key removes the stored one
+async function saveApiKey(apiId, key) {
+  if (!CLOUD_APIS[apiId]) throw new Error(`Unknown API "${apiId}"`);
+  const keys = await getApiKeys();
+  if (key) {
+    keys[apiId] = key;
+  } else {
+    delete keys[apiId];
+  }
+  await chrome.storage.local.set({ [API_KEYS_KEY]: keys });
+}
+
+// ====== EXPORTS ======
+export {
+  API_KEYS_KEY,
+  CLOUD_APIS,
+  callCloudApi,
+  getApiKeys,
+  saveApiKey
+};
@@ -0,0 +1,92 @@
+// ====== COMPARE PROVIDERS PAGE ======
+// Shows the answers of one comparison side by side (compare.html?id=<session id>).
+// background.js (compareAction) keeps the session in chrome.storage.session and fills in each
+// provider's result as its answer completes; this page re-renders on every change.
+
+const sessionId = new URLSearchParams(location.search).get('id');
+const sessionKey = `compare_${sessionId}`;
+
+const titleHeading = document.getElementById('compare-title');
+const missingNotice = document.getElementById('compare-missing');
+const promptDetails = document.getElementById('compare-prompt');
+const promptText = document.getElementById('compare-prompt-text');
+const resultsContainer = document.getElementById('compare-results');
+
+function formatElapsed(ms) {
+  return ms < 60_000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.floor(ms / 60_000)} min ${Math.round((ms % 60_000) / 1000)} s`;
+}
+
+function getStatusText(result) {
+  if (result.status === 'done') return `Answered in ${formatElapsed(result.elapsedMs)}`;
+  if (result.status === 'failed') return `Failed: ${result.error || 'unknown error'}`;
+  return 'Waiting for the answer...';
+}
+
+function createButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `btn-secondary ${className}`;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createResultColumn(result) {
+  const column = document.createElement('section');
+  column.className = `compare-result compare-result-${result.status}`;
+
+  const header = document.createElement('div');
+  header.className = 'compare-result-header';
+  const name = document.createElement('h2');
+  name.textContent = result.name;
+  const status = document.createElement('span');
+  status.className = 'compare-result-status';
+  status.textContent = getStatusText(result);
+  header.append(name, status);
+
+  const answer = document.createElement('div');
+  answer.className = 'compare-result-text';
+  answer.textContent = result.text || '';
+
+  const buttons = document.createElement('div');
+  buttons.className = 'compare-result-buttons';
+  if (result.text) {
+    const copyButton = createButton('Copy', 'compare-copy', () => {
+      navigator.clipboard.writeText(result.text)
+        .then(() => { copyButton.textContent = 'Copied'; })
+        .catch(() => { copyButton.textContent = 'Copy failed'; });
+    });
+    buttons.appendChild(copyButton);
+  }
+  if (result.tabId) {
+    buttons.appendChild(createButton('Open Tab', 'compare-open-tab', () => {
+      chrome.tabs.update(result.tabId, { active: true }).catch(() => {
+        chrome.tabs.create({ url: result.providerUrl });
+      });
+    }));
+  }
+
+  column.append(header, answer, buttons);
+  return column;
+}
+
+function render(session) {
+  if (!session) {
+    missingNotice.classList.remove('hidden');
+    promptDetails.classList.add('hidden');
+    resultsContainer.replaceChildren();
+    return;
+  }
+
+  titleHeading.textContent = `Compare: ${session.title}`;
+  document.title = `Compare: ${session.title}`;
+  promptText.textContent = session.prompt;
+  resultsContainer.style.gridTemplateColumns = `repeat(${session.results.length}, minmax(0, 1fr))`;
+  resultsContainer.replaceChildren(...session.results.map(createResultColumn));
+}
+
+chrome.storage.session.get(sessionKey).then(result => render(result[sessionKey]));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes[sessionKey]) render(changes[sessionKey].newValue);
+});
@@ -1,8 +1,61 @@
 import { debugLogSync as debugLog } from './debug.js';
+import { SYNTHESIS_VARIABLES, getUnknownTemplateVariables } from './templates.js';
+import { PROVIDER_URL_PREFIXES, COMPARE_PROVIDERS, isProviderUrl, getCustomProviders } from './providers.js';
+import { CLOUD_APIS } from './cloud-api.js';
 
 // ====== CONFIG VERSION ======
 const CURRENT_CONFIG_VERSION = 3;
 
+// How an action inserts the selection into its prompt (optional, defaults to 'text')
+const SELECTION_FORMATS = ['text', 'markdown', 'html'];
+
+// When the selection is uploaded as a file attachment instead of being put in the prompt
+// (optional, defaults to 'never'); 'long' means over SELECTION_FILE_THRESHOLD characters
+const SELECTION_FILE_MODES = ['never', 'long', 'always'];
+const SELECTION_FILE_THRESHOLD = 10000;
+
+// Whether the AI's answer is brought back to the page the action ran on (optional, defaults to 'none')
+const RESPONSE_MODES = ['none', 'overlay', 'clipboard'];
+
+// Where a menu's AI tab opens (optional, defaults to 'newTab'): a new tab every run, an open tab
+// already showing the menu's URL, a new tab in one window kept for AI tabs, or a popup window
+// docked to the side of the current window
+const TAB_STRATEGIES = ['newTab', 'reuse', 'aiWindow', 'popup'];
+
+// Whether a run starts a new chat or continues the conversation the menu last used
+// (optional menu.conversationMode; an action's own conversationMode overrides its menu's).
+// Menus without one follow globalSettings.clearContext.
+const CONVERSATION_MODES = ['new', 'continue'];
+
+function getConversationMode(action, menu, globalSettings) {
+  return action?.conversationMode || menu?.conversationMode || (globalSettings?.clearContext === false ? 'continue' : 'new');
+}
+
+// How a menu sends its prompts (optional menu.executionMode, defaults to 'tab'): typed into the
+// AI assistant's tab, or sent to an official API (menu.apiProvider, one of CLOUD_APIS) with the
+// user's key. API menus also carry apiModel, apiTemperature (optional, null for the API's default)
+// and apiSystemPrompt (optional).
+const EXECUTION_MODES = ['tab', 'api'];
+
+// Follow-up prompts an action sends after its prompt, in the same conversation (optional)
+const MAX_ACTION_STEPS = 10;
+
+// Providers a menu can send one prompt to at once for a side-by-side comparison (optional
+// menu.compareProviders, defaults to none; at least two turn on the "Compare Providers" submenu).
+// Only built-in providers can be compared (see COMPARE_PROVIDERS in providers.js).
+const COMPARE_PROVIDER_URLS = COMPARE_PROVIDERS.map(provider => provider.url);
+
+// Right-click targets an action can be shown for (optional, defaults to ['selection']).
+// 'screenshot' asks the user to drag a region of the page instead and can't be combined with the others.
+const ACTION_CONTEXTS = ['selection', 'link', 'image', 'page', 'editable', 'screenshot'];
+
+function getActionContexts(action) {
+  if (Array.isArray(action.contexts) && action.contexts.length > 0) {
+    return action.contexts.filter(context => ACTION_CONTEXTS.includes(context));
+  }
+  return ['selection'];
+}
+
 // ====== LOAD DEFAULT CONFIG ======
 let DEFAULT_CONFIG = null;
 
@@ -112,8 +165,11 @@ function migrateV2toV3(v2Config) {
 }
 
 // ====== VALIDATION ======
-function validateConfig(config) {
+// customProviders: the user's custom providers (providers.js), whose URLs menus may use
+// allowUnknownVariables: don't report unknown {{...}} template variables (see getConfig())
+function validateConfig(config, customProviders = [], { allowUnknownVariables = false } = {}) {
   const errors = [];
+  const unknownVariables = allowUnknownVariables ? () => [] : getUnknownTemplateVariables;
 
   // Validate structure
   if (!config || typeof config !== 'object') {
@@ -126,7 +182,7 @@ function validateConfig(config) {
 
   // V3 validation (multi-menu format)
   if (configVersion >= 3) {
-    return validateV3Config(config);
+    return validateV3Config(config, customProviders, unknownVariables);
   }
 
   // V2 validation (legacy single-menu format)
@@ -166,6 +222,10 @@ function validateConfig(config) {
       }
       if (!action.prompt?.trim()) {
         errors.push(`Action ${index + 1}: Prompt is required`);
+      } else {
+        unknownVariables(action.prompt).forEach(name => {
+          errors.push(`Action ${index + 1}: Unknown template variable {{${name}}}`);
+        });
       }
       if (action.shortcut && action.shortcut.trim()) {
         // Accept both PC key names and Mac symbols
@@ -203,8 +263,9 @@ function validateConfig(config) {
 }
 
 // ====== V3 VALIDATION ======
-function validateV3Config(config) {
+function validateV3Config(config, customProviders, unknownVariables) {
   const errors = [];
+  const providerUrlHint = `${PROVIDER_URL_PREFIXES.join(', ')}, or match a custom provider`;
 
   // Validate menus array
   if (!Array.isArray(config.menus)) {
@@ -254,9 +315,8 @@ function validateV3Config(config) {
     }
 
     // Custom GPT URL validation
-    const ALLOWED_MENU_URL_PREFIXES = ['https://chatgpt.com', 'https://gemini.google.com', 'https://claude.ai'];
-    if (!ALLOWED_MENU_URL_PREFIXES.some(prefix => menu.customGptUrl?.startsWith(prefix))) {
-      errors.push(`${menuLabel}: Custom GPT URL must start with https://chatgpt.com, https://gemini.google.com, or https://claude.ai`);
+    if (!isProviderUrl(menu.customGptUrl, customProviders)) {
+      errors.push(`${menuLabel}: Custom GPT URL must start with ${providerUrlHint}`);
     }
 
     // Boolean validations
@@ -267,6 +327,69 @@ function validateV3Config(config) {
       errors.push(`${menuLabel}: runAllEnabled must be true or false`);
     }
 
+    if (menu.tabStrategy !== undefined && !TAB_STRATEGIES.includes(menu.tabStrategy)) {
+      errors.push(`${menuLabel}: tabStrategy must be one of ${TAB_STRATEGIES.join(', ')}`);
+    }
+    if (menu.conversationMode !== undefined && !CONVERSATION_MODES.includes(menu.conversationMode)) {
+      errors.push(`${menuLabel}: conversationMode must be one of ${CONVERSATION_MODES.join(', ')}`);
+    }
+
+    // API mode validation (optional): prompts go to an official API instead of a tab
+    if (menu.executionMode !== undefined && !EXECUTION_MODES.includes(menu.executionMode)) {
+      errors.push(`${menuLabel}: executionMode must be one of ${EXECUTION_MODES.join(', ')}`);
+    } else if (menu.executionMode === 'api') {
+      const api = CLOUD_APIS[menu.apiProvider];
+      if (!api) {
+        errors.push(`${menuLabel}: apiProvider must be one of ${Object.keys(CLOUD_APIS).join(', ')}`);
+      }
+      if (!menu.apiModel?.trim()) {
+        errors.push(`${menuLabel}: Choose a model for the API`);
+      } else if (menu.apiModel.length > 100) {
+        errors.push(`${menuLabel}: Model name must be 100 characters or less`);
+      }
+      if (menu.apiTemperature !== undefined && menu.apiTemperature !== null) {
+        const max = api?.maxTemperature ?? 2;
+        if (typeof menu.apiTemperature !== 'number' || menu.apiTemperature < 0 || menu.apiTemperature > max) {
+          errors.push(`${menuLabel}: Temperature must be between 0 and ${max}`);
+        }
+      }
+      if (menu.apiSystemPrompt !== undefined && typeof menu.apiSystemPrompt !== 'string') {
+        errors.push(`${menuLabel}: apiSystemPrompt must be text`);
+      }
+    }
+
+    // Synthesis validation (optional): after Run All, a final prompt with every action's answer
+    if (menu.synthesisPrompt !== undefined && typeof menu.synthesisPrompt !== 'string') {
+      errors.push(`${menuLabel}: synthesisPrompt must be text`);
+    } else if (menu.synthesisPrompt?.trim()) {
+      unknownVariables(menu.synthesisPrompt, SYNTHESIS_VARIABLES).forEach(name => {
+        errors.push(name === 'selection'
+          ? `${menuLabel}: Use {{results}} instead of {{selection}} in the synthesis prompt`
+          : `${menuLabel}: Unknown template variable {{${name}}} in the synthesis prompt`);
+      });
+    }
+    if (menu.synthesisUrl?.trim() && !isProviderUrl(menu.synthesisUrl.trim(), customProviders)) {
+      errors.push(`${menuLabel}: Synthesis URL must start with ${providerUrlHint}`);
+    }
+
+    // Compare providers validation (optional)
+    if (menu.compareProviders !== undefined) {
+      if (!Array.isArray(menu.compareProviders)) {
+        errors.push(`${menuLabel}: compareProviders must be an array`);
+      } else {
+        const unknown = menu.compareProviders.filter(url => !COMPARE_PROVIDER_URLS.includes(url));
+        if (unknown.length > 0) {
+          errors.push(`${menuLabel}: Unknown compare provider ${unknown.join(', ')}`);
+        }
+        if (new Set(menu.compareProviders).size !== menu.compareProviders.length) {
+          errors.push(`${menuLabel}: compareProviders lists a provider more than once`);
+        }
+        if (menu.compareProviders.length === 1) {
+          errors.push(`${menuLabel}: Pick at least two providers to compare`);
+        }
+      }
+    }
+
     // Order validation
     if (typeof menu.order !== 'number') {
       errors.push(`${menuLabel}: order must be a number`);
@@ -308,6 +431,31 @@ function validateV3Config(config) {
         }
         if (!action.prompt?.trim()) {
           errors.push(`${actionLabel}: Prompt is required`);
+        } else {
+          // Template variables must be known, e.g. {{selection}} or {{page.url}}
+          unknownVariables(action.prompt).forEach(name => {
+            errors.push(`${actionLabel}: Unknown template variable {{${name}}}`);
+          });
+        }
+
+        // Prompt chain steps validation
+        if (action.steps !== undefined) {
+          if (!Array.isArray(action.steps)) {
+            errors.push(`${actionLabel}: steps must be a list of prompts`);
+          } else {
+            if (action.steps.length > MAX_ACTION_STEPS) {
+              errors.push(`${actionLabel}: Maximum ${MAX_ACTION_STEPS} steps allowed`);
+            }
+            action.steps.forEach((step, stepIndex) => {
+              if (typeof step !== 'string' || !step.trim()) {
+                errors.push(`${actionLabel}: Step ${stepIndex + 1} is empty`);
+                return;
+              }
+              unknownVariables(step).forEach(name => {
+                errors.push(`${actionLabel}: Unknown template variable {{${name}}} in step ${stepIndex + 1}`);
+              });
+            });
+          }
         }
 
         // Shortcut validation
@@ -324,8 +472,40 @@ function validateV3Config(config) {
 
         // Optional per-action URL override validation
         if (action.customGptUrl && action.customGptUrl.trim()) {
-          if (!ALLOWED_MENU_URL_PREFIXES.some(prefix => action.customGptUrl.startsWith(prefix))) {
-            errors.push(`${actionLabel}: Action URL override must start with https://chatgpt.com or https://gemini.google.com`);
+          if (!isProviderUrl(action.customGptUrl, customProviders)) {
+            errors.push(`${actionLabel}: Action URL override must start with ${providerUrlHint}`);
+          }
+        }
+
+        if (action.selectionFormat !== undefined && !SELECTION_FORMATS.includes(action.selectionFormat)) {
+          errors.push(`${actionLabel}: selectionFormat must be one of ${SELECTION_FORMATS.join(', ')}`);
+        }
+
+        if (action.selectionFile !== undefined && !SELECTION_FILE_MODES.includes(action.selectionFile)) {
+          errors.push(`${actionLabel}: selectionFile must be one of ${SELECTION_FILE_MODES.join(', ')}`);
+        }
+
+        if (action.responseMode !== undefined && !RESPONSE_MODES.includes(action.responseMode)) {
+          errors.push(`${actionLabel}: responseMode must be one of ${RESPONSE_MODES.join(', ')}`);
+        }
+        // '' means "use the menu's setting"
+        if (action.conversationMode && !CONVERSATION_MODES.includes(action.conversationMode)) {
+          errors.push(`${actionLabel}: conversationMode must be one of ${CONVERSATION_MODES.join(', ')}`);
+        }
+
+        if (action.contexts !== undefined) {
+          if (!Array.isArray(action.contexts) || action.contexts.length === 0) {
+            errors.push(`${actionLabel}: contexts must list at least one of ${ACTION_CONTEXTS.join(', ')}`);
+          } else {
+            action.contexts
+              .filter(context => !ACTION_CONTEXTS.includes(context))
+              .forEach(context => errors.push(`${actionLabel}: Unknown context "${context}"`));
+            if (new Set(action.contexts).size !== action.contexts.length) {
+              errors.push(`${actionLabel}: contexts must not contain duplicates`);
+            }
+            if (action.contexts.includes('screenshot') && action.contexts.length > 1) {
+              errors.push(`${actionLabel}: screenshot can't be combined with other contexts`);
+            }
           }
         }
 
@@ -374,8 +554,10 @@ async function getConfig() {
       await chrome.storage.sync.set({ config: migratedConfig });
     }
 
-    // Validate migrated config
-    const errors = validateConfig(migratedConfig);
+    // Validate migrated config. Unknown template variables don't make it unusable: a prompt
+    // saved before they were checked may hold literal double braces, which are sent as they are.
+    // The options page reports them (getConfigErrors) so they get fixed before the next save.
+    const errors = validateConfig(migratedConfig, await getCustomProviders(), { allowUnknownVariables: true });
     if (errors.length > 0) {
       console.error('[Config] Validation failed, using defaults:', errors);
       return JSON.parse(JSON.stringify(defaultConfig));
@@ -389,10 +571,18 @@ async function getConfig() {
   }
 }
 
+// Everything wrong with the stored config, for the options page to show, including what made
+// getConfig() fall back to the defaults
+async function getConfigErrors() {
+  const { config } = await chrome.storage.sync.get('config');
+  if (!config) return [];
+  return validateConfig(migrateConfigVersion(config), await getCustomProviders());
+}
+
 // ====== SAVE CONFIGURATION ======
 async function saveConfig(config) {
   // Validate before saving
-  const errors = validateConfig(config);
+  const errors = validateConfig(config, await getCustomProviders());
   if (errors.length > 0) {
     throw new Error(`Validation failed: ${errors.join('; ')}`);
   }
@@ -420,4 +610,4 @@ async function migrateConfig() {
 }
 
 // ====== EXPORTS ======
-export { validateConfig, getConfig, saveConfig, migrateConfig };
+export { SELECTION_FORMATS, SELECTION_FILE_MODES, SELECTION_FILE_THRESHOLD, RESPONSE_MODES, TAB_STRATEGIES, CONVERSATION_MODES, EXECUTION_MODES, MAX_ACTION_STEPS, COMPARE_PROVIDER_URLS, ACTION_CONTEXTS, getActionContexts, getConversationMode, validateConfig, getConfig, getConfigErrors, saveConfig, migrateConfig };
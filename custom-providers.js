@@ -0,0 +1,239 @@
+// ====== CUSTOM PROVIDERS PAGE ======
+// Add, edit and delete custom providers (see providers.js) and grant the host access
+// background.js needs to send prompts to them.
+
+import { getConfig, validateConfig } from './config.js';
+import {
+  getPermissionOrigin,
+  findCustomProvider,
+  validateCustomProviders,
+  getCustomProviders,
+  saveCustomProviders
+} from './providers.js';
+
+const providersList = document.getElementById('providers-list');
+const providersEmpty = document.getElementById('providers-empty');
+const addProviderButton = document.getElementById('add-provider');
+const providerTemplate = document.getElementById('provider-template');
+const errorBanner = document.getElementById('error-banner');
+const warningBanner = document.getElementById('warning-banner');
+const successBanner = document.getElementById('success-banner');
+
+let providers = [];  // As saved
+let config = null;   // For checking which menus use a provider
+
+// ====== HELPERS ======
+function showError(message) {
+  errorBanner.textContent = message;
+  errorBanner.classList.remove('hidden');
+  warningBanner.classList.add('hidden');
+  successBanner.classList.add('hidden');
+}
+
+function showWarning(message) {
+  warningBanner.textContent = message;
+  warningBanner.classList.remove('hidden');
+  errorBanner.classList.add('hidden');
+  successBanner.classList.add('hidden');
+}
+
+function showSuccess(message) {
+  successBanner.textContent = message;
+  successBanner.classList.remove('hidden');
+  errorBanner.classList.add('hidden');
+  warningBanner.classList.add('hidden');
+
+  setTimeout(() => {
+    successBanner.classList.add('hidden');
+  }, 3000);
+}
+
+function splitLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function hasAccess(urlPattern) {
+  const origin = getPermissionOrigin(urlPattern);
+  return origin ? chrome.permissions.contains({ origins: [origin] }) : Promise.resolve(false);
+}
+
+// Names of the menus with a menu, action or synthesis URL that goes to this provider
+function getMenusUsing(provider) {
+  return (config?.menus || [])
+    .filter(menu => [menu.customGptUrl, menu.synthesisUrl, ...(menu.actions || []).map(action => action.customGptUrl)]
+      .some(url => url?.trim() && findCustomProvider(url.trim(), providers)?.id === provider.id))
+    .map(menu => menu.name);
+}
+
+// ====== CARDS ======
+function readCard(card) {
+  const type = card.querySelector('.provider-type').value;
+  if (type === 'endpoint') {
+    return {
+      id: card.dataset.id,
+      name: card.querySelector('.provider-name').value.trim(),
+      type,
+      urlPattern: card.querySelector('.provider-url-pattern').value.trim(),
+      model: card.querySelector('.provider-model').value.trim()
+    };
+  }
+  return {
+    id: card.dataset.id,
+    name: card.querySelector('.provider-name').value.trim(),
+    type,
+    urlPattern: card.querySelector('.provider-url-pattern').value.trim(),
+    readySelector: card.querySelector('.provider-ready-selector').value.trim(),
+    inputSelectors: splitLines(card.querySelector('.provider-input-selectors').value),
+    sendButtonSelectors: splitLines(card.querySelector('.provider-send-selectors').value),
+    submitStrategy: card.querySelector('.provider-submit-strategy').value
+  };
+}
+
+async function updateAccess(card) {
+  const urlPattern = card.querySelector('.provider-url-pattern').value.trim();
+  const access = card.querySelector('.provider-access');
+  const grantButton = card.querySelector('.provider-grant');
+  const granted = await hasAccess(urlPattern);
+
+  access.textContent = getPermissionOrigin(urlPattern) ? (granted ? 'Access granted' : 'No access') : '';
+  access.className = `provider-access ${granted ? 'granted' : 'missing'}`;
+  grantButton.classList.toggle('hidden', granted || !getPermissionOrigin(urlPattern));
+}
+
+// Endpoints only need a URL pattern and a model
+function updateTypeFields(card) {
+  const endpoint = card.querySelector('.provider-type').value === 'endpoint';
+  card.querySelector('.provider-endpoint-fields').classList.toggle('hidden', !endpoint);
+  card.querySelector('.provider-chat-fields').classList.toggle('hidden', endpoint);
+}
+
+function createCard(provider) {
+  const card = providerTemplate.content.firstElementChild.cloneNode(true);
+  card.dataset.id = provider.id;
+  card.querySelector('.provider-title').textContent = provider.name || 'New Provider';
+  card.querySelector('.provider-name').value = provider.name || '';
+  card.querySelector('.provider-type').value = provider.type || 'chat';
+  card.querySelector('.provider-url-pattern').value = provider.urlPattern || '';
+  card.querySelector('.provider-ready-selector').value = provider.readySelector || '';
+  card.querySelector('.provider-input-selectors').value = (provider.inputSelectors || []).join('\n');
+  card.querySelector('.provider-send-selectors').value = (provider.sendButtonSelectors || []).join('\n');
+  card.querySelector('.provider-submit-strategy').value = provider.submitStrategy || 'button';
+  card.querySelector('.provider-model').value = provider.model || '';
+
+  card.querySelector('.provider-type').addEventListener('change', () => updateTypeFields(card));
+  card.querySelector('.provider-url-pattern').addEventListener('input', () => updateAccess(card));
+  card.querySelector('.provider-grant').addEventListener('click', () => grantAccess(card));
+  card.querySelector('.provider-save').addEventListener('click', () => handleSave(card));
+  card.querySelector('.provider-delete').addEventListener('click', () => handleDelete(card));
+
+  updateTypeFields(card);
+  updateAccess(card);
+  return card;
+}
+
+function updateEmptyState() {
+  providersEmpty.classList.toggle('hidden', providersList.children.length > 0);
+}
+
+function renderList() {
+  providersList.replaceChildren(...providers.map(createCard));
+  updateEmptyState();
+}
+
+// ====== ACTIONS ======
+function handleAdd() {
+  const card = createCard({ id: `provider_${Date.now()}_${Math.random().toString(36).slice(2, 7)}` });
+  providersList.appendChild(card);
+  updateEmptyState();
+  card.querySelector('.provider-name').focus();
+}
+
+async function handleSave(card) {
+  const provider = readCard(card);
+  const updated = providers.some(p => p.id === provider.id)
+    ? providers.map(p => (p.id === provider.id ? provider : p))
+    : [...providers, provider];
+
+  // A changed URL pattern must still cover the menus that use this provider
+  const errors = [...validateCustomProviders(updated), ...(config ? validateConfig(config, updated) : [])];
+  if (errors.length > 0) {
+    showError('Could not save: ' + errors.join('; '));
+    return;
+  }
+
+  try {
+    await saveCustomProviders(updated);
+  } catch (e) {
+    showError('Failed to save: ' + e.message);
+    return;
+  }
+  providers = updated;
+  card.querySelector('.provider-title').textContent = provider.name;
+
+  if (await hasAccess(provider.urlPattern)) {
+    showSuccess(`Provider "${provider.name}" saved`);
+  } else {
+    showWarning(`Provider "${provider.name}" saved. Click Grant Access so prompts can be sent to ${getPermissionOrigin(provider.urlPattern)}.`);
+  }
+}
+
+async function handleDelete(card) {
+  const saved = providers.find(p => p.id === card.dataset.id);
+  if (!saved) {
+    card.remove();
+    updateEmptyState();
+    return;
+  }
+
+  const usedBy = getMenusUsing(saved);
+  if (usedBy.length > 0) {
+    showError(`"${saved.name}" is used by ${usedBy.map(name => `"${name}"`).join(', ')}. Change their URLs before deleting it.`);
+    return;
+  }
+  if (!confirm(`Delete the provider "${saved.name}"?`)) return;
+
+  const updated = providers.filter(p => p.id !== saved.id);
+  await saveCustomProviders(updated);
+  providers = updated;
+  card.remove();
+  updateEmptyState();
+
+  // Give up host access no other provider needs
+  const origin = getPermissionOrigin(saved.urlPattern);
+  if (!updated.some(p => getPermissionOrigin(p.urlPattern) === origin)) {
+    await chrome.permissions.remove({ origins: [origin] }).catch(() => {});
+  }
+  showSuccess(`Provider "${saved.name}" deleted`);
+}
+
+// Must run straight from the click: Chrome only shows the permission prompt for a user gesture
+async function grantAccess(card) {
+  const origin = getPermissionOrigin(card.querySelector('.provider-url-pattern').value.trim());
+  if (!origin) return;
+  try {
+    const granted = await chrome.permissions.request({ origins: [origin] });
+    if (!granted) showWarning(`Access to ${origin} was not granted. Prompts can't be sent to this provider without it.`);
+  } catch (e) {
+    showError('Could not request access: ' + e.message);
+  }
+  updateAccess(card);
+}
+
+// ====== INITIALIZATION ======
+async function init() {
+  [providers, config] = await Promise.all([getCustomProviders(), getConfig()]);
+  renderList();
+
+  addProviderButton.addEventListener('click', handleAdd);
+
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area === 'sync' && changes.config) config = await getConfig();
+  });
+
+  // Access can also be granted or removed from the browser's extension settings
+  const refreshAccess = () => providersList.querySelectorAll('.provider-card').forEach(updateAccess);
+  chrome.permissions.onAdded.addListener(refreshAccess);
+  chrome.permissions.onRemoved.addListener(refreshAccess);
+}
+
+init();
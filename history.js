@@ -0,0 +1,231 @@
+// ====== RUN HISTORY PAGE ======
+// Lists runs recorded by background.js (see run-history.js), newest first, with search,
+// menu/provider filters, re-run and links to the conversation.
+
+import {
+  HISTORY_KEY,
+  getHistory,
+  getHistorySettings,
+  saveHistorySettings,
+  clearHistory
+} from './run-history.js';
+
+const searchInput = document.getElementById('history-search');
+const menuFilter = document.getElementById('history-menu-filter');
+const providerFilter = document.getElementById('history-provider-filter');
+const historyList = document.getElementById('history-list');
+const historyCount = document.getElementById('history-count');
+const historyEmpty = document.getElementById('history-empty');
+const retentionSelect = document.getElementById('history-retention');
+const clearButton = document.getElementById('history-clear');
+const errorBanner = document.getElementById('error-banner');
+const successBanner = document.getElementById('success-banner');
+
+const STATUS_LABELS = { pending: 'Sending', sent: 'Sent', inserted: 'Not sent yet', failed: 'Failed' };
+
+let entries = [];
+
+// ====== HELPERS ======
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url || '';
+  }
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function showError(message) {
+  errorBanner.textContent = message;
+  errorBanner.classList.remove('hidden');
+  successBanner.classList.add('hidden');
+}
+
+function showSuccess(message) {
+  successBanner.textContent = message;
+  successBanner.classList.remove('hidden');
+  errorBanner.classList.add('hidden');
+
+  setTimeout(() => {
+    successBanner.classList.add('hidden');
+  }, 3000);
+}
+
+// Keep the filter's current choice while replacing its options
+function fillFilter(select, allLabel, options) {
+  const current = select.value;
+  select.replaceChildren(new Option(allLabel, ''));
+  options.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+  select.value = options.some(([value]) => value === current) ? current : '';
+}
+
+// ====== RENDERING ======
+function renderFilters() {
+  const menus = new Map(entries.map(entry => [entry.menuId, entry.menuName]));
+  fillFilter(menuFilter, 'All menus', [...menus].sort((a, b) => a[1].localeCompare(b[1])));
+
+  const providers = [...new Set(entries.map(entry => getHost(entry.providerUrl)))].sort();
+  fillFilter(providerFilter, 'All providers', providers.map(host => [host, host]));
+}
+
+function getFilteredEntries() {
+  const query = searchInput.value.trim().toLowerCase();
+  return entries.filter(entry => {
+    if (menuFilter.value && entry.menuId !== menuFilter.value) return false;
+    if (providerFilter.value && getHost(entry.providerUrl) !== providerFilter.value) return false;
+    if (!query) return true;
+    return [entry.prompt, entry.actionTitle, entry.menuName, entry.sourceUrl, entry.sourceTitle, entry.conversationUrl]
+      .some(field => (field || '').toLowerCase().includes(query));
+  });
+}
+
+function createEntryElement(entry) {
+  const item = document.createElement('div');
+  item.className = 'history-entry';
+  item.dataset.id = entry.id;
+
+  const header = document.createElement('div');
+  header.className = 'history-entry-header';
+
+  const title = document.createElement('span');
+  title.className = 'history-entry-title';
+  title.textContent = `${entry.menuName} › ${entry.actionTitle}`;
+
+  const status = document.createElement('span');
+  status.className = `history-status history-status-${entry.status}`;
+  status.textContent = STATUS_LABELS[entry.status] || entry.status;
+
+  const time = document.createElement('span');
+  time.className = 'history-entry-time';
+  time.textContent = formatTime(entry.timestamp);
+
+  header.append(title, status, time);
+
+  const details = document.createElement('div');
+  details.className = 'history-entry-details';
+  details.append(`Sent to ${getHost(entry.providerUrl)}`);
+  if (entry.sourceUrl) {
+    const source = document.createElement('a');
+    source.href = entry.sourceUrl;
+    source.target = '_blank';
+    source.rel = 'noopener noreferrer';
+    source.textContent = entry.sourceTitle || entry.sourceUrl;
+    details.append(' from ', source);
+  }
+
+  const injection = entry.injection ? createInjectionElement(entry.injection) : null;
+
+  const prompt = document.createElement('details');
+  prompt.className = 'history-entry-prompt';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Prompt';
+  const promptText = document.createElement('pre');
+  promptText.textContent = entry.prompt;
+  prompt.append(summary, promptText);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'history-entry-buttons';
+
+  const rerunButton = document.createElement('button');
+  rerunButton.type = 'button';
+  rerunButton.className = 'btn-secondary history-rerun';
+  rerunButton.textContent = 'Re-run';
+  rerunButton.addEventListener('click', () => rerunEntry(entry));
+  buttons.appendChild(rerunButton);
+
+  if (entry.conversationUrl) {
+    const openButton = document.createElement('button');
+    openButton.type = 'button';
+    openButton.className = 'btn-secondary history-open-conversation';
+    openButton.textContent = 'Open Conversation';
+    openButton.addEventListener('click', () => chrome.tabs.create({ url: entry.conversationUrl }));
+    buttons.appendChild(openButton);
+  }
+
+  item.append(header, details, ...(injection ? [injection] : []), prompt, buttons);
+  return item;
+}
+
+// How the prompt went into the tab: status code, the selectors that matched and the time per phase
+function createInjectionElement(injection) {
+  const element = document.createElement('div');
+  element.className = `history-entry-injection history-injection-${injection.status}`;
+
+  const parts = [injection.status];
+  if (injection.error) parts.push(injection.error);
+  if (injection.selector) parts.push(`editor: ${injection.selector}`);
+  if (injection.sendSelector) parts.push(`send button: ${injection.sendSelector}`);
+  const timings = Object.entries(injection.timings || {})
+    .filter(([, ms]) => ms !== null && ms !== undefined)
+    .map(([phase, ms]) => `${phase} ${(ms / 1000).toFixed(1)} s`);
+  if (timings.length) parts.push(timings.join(', '));
+  if (injection.attempts > 1) parts.push(`${injection.attempts} attempts`);
+
+  element.textContent = parts.join(' · ');
+  return element;
+}
+
+function renderList() {
+  const filtered = getFilteredEntries();
+  historyList.replaceChildren(...filtered.map(createEntryElement));
+  historyEmpty.classList.toggle('hidden', entries.length > 0);
+  historyCount.textContent = entries.length
+    ? `Showing ${filtered.length} of ${entries.length} runs`
+    : '';
+  clearButton.disabled = entries.length === 0;
+}
+
+async function loadHistory() {
+  entries = await getHistory();
+  renderFilters();
+  renderList();
+}
+
+// ====== ACTIONS ======
+async function rerunEntry(entry) {
+  const response = await chrome.runtime.sendMessage({ type: 'RERUN_HISTORY_ENTRY', id: entry.id });
+  if (response?.ok) {
+    showSuccess(`Running "${entry.actionTitle}" again`);
+  } else {
+    showError(response?.error || 'Could not re-run this action.');
+  }
+}
+
+async function handleRetentionChange() {
+  const retentionDays = Number(retentionSelect.value);
+  if (retentionDays === 0 && entries.length
+    && !confirm('Turning history off also deletes the runs already listed. Continue?')) {
+    retentionSelect.value = String((await getHistorySettings()).retentionDays);
+    return;
+  }
+  await saveHistorySettings({ retentionDays });
+  showSuccess('History setting saved');
+}
+
+async function handleClear() {
+  if (!confirm('Delete all runs from the history?')) return;
+  await clearHistory();
+  showSuccess('History cleared');
+}
+
+// ====== INITIALIZATION ======
+async function init() {
+  retentionSelect.value = String((await getHistorySettings()).retentionDays);
+  await loadHistory();
+
+  searchInput.addEventListener('input', renderList);
+  menuFilter.addEventListener('change', renderList);
+  providerFilter.addEventListener('change', renderList);
+  retentionSelect.addEventListener('change', handleRetentionChange);
+  clearButton.addEventListener('click', handleClear);
+
+  // Runs recorded while the page is open (and their status updates) show up right away
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[HISTORY_KEY]) loadHistory();
+  });
+}
+
+init();
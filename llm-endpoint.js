@@ -0,0 +1,105 @@
+// ====== LLM ENDPOINTS ======
+// Sends prompts straight to an OpenAI-compatible chat completions API, such as Ollama
+// (http://localhost:11434/v1) or a llama.cpp server (http://localhost:8080/v1), instead of
+// typing them into a chat tab. background.js uses it for custom providers of type 'endpoint'.
+
+// The menu URL is the API base; a full /chat/completions URL is used as is
+function getCompletionsUrl(baseUrl) {
+  const url = baseUrl.trim().replace(/\/+$/, '');
+  return url.endsWith('/chat/completions') ? url : `${url}/chat/completions`;
+}
+
+function decodeBase64Text(data) {
+  return new TextDecoder().decode(Uint8Array.from(atob(data), char => char.charCodeAt(0)));
+}
+
+// A user message's content: plain text, or text plus attachments ({ name, type, data } with
+// base64 data) as content parts. Images are sent as data URLs; other files are sent as their text.
+function toMessageContent(text, attachments = []) {
+  if (attachments.length === 0) return text;
+  return [
+    { type: 'text', text },
+    ...attachments.map(file => (file.type.startsWith('image/')
+      ? { type: 'image_url', image_url: { url: `data:${file.type};base64,${file.data}` } }
+      : { type: 'text', text: `${file.name}:\n${decodeBase64Text(file.data)}` }))
+  ];
+}
+
+// Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+function parseStreamLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('data:')) return null;
+  const data = trimmed.slice(5).trim();
+  if (data === '[DONE]') return { done: true };
+  try {
+    return { delta: JSON.parse(data).choices?.[0]?.delta?.content || '' };
+  } catch {
+    return null;
+  }
+}
+
+async function readErrorDetail(response) {
+  try {
+    const body = await response.text();
+    try {
+      const json = JSON.parse(body);
+      return json.error?.message || json.error || body;
+    } catch {
+      return body;
+    }
+  } catch {
+    return '';
+  }
+}
+
+// POST messages ([{ role, content }]) and stream the reply. onDelta gets each new piece of text as
+// it arrives; the full reply is returned. Servers that ignore `stream` and answer with a single JSON
+// body work too. Throws on network errors, non-2xx responses and when `signal` aborts.
+async function streamChatCompletion(baseUrl, { model, messages, signal, onDelta = () => {} }) {
+  const response = await fetch(getCompletionsUrl(baseUrl), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model, messages, stream: true }),
+    signal
+  });
+
+  if (!response.ok) {
+    const detail = await readErrorDetail(response);
+    throw new Error(`${response.status} ${response.statusText}${detail ? `: ${String(detail).slice(0, 200)}` : ''}`.trim());
+  }
+
+  if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    const text = (await response.json()).choices?.[0]?.message?.content || '';
+    onDelta(text);
+    return text;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+
+    for (const line of lines) {
+      const event = parseStreamLine(line);
+      if (event?.done) return text;
+      if (event?.delta) {
+        text += event.delta;
+        onDelta(event.delta);
+      }
+    }
+    if (done) return text;
+  }
+}
+
+// ====== EXPORTS ======
+export {
+  getCompletionsUrl,
+  decodeBase64Text,
+  toMessageContent,
+  streamChatCompletion
+};
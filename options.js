@@ -1,5 +1,7 @@
-import { getConfig, saveConfig, validateConfig } from './config.js';
+import { getConfig, getConfigErrors, saveConfig, validateConfig, getActionContexts, getConversationMode, MAX_ACTION_STEPS } from './config.js';
 import { isDebugEnabled, setDebugEnabled, debugLogSync as debugLog } from './debug.js';
+import { CUSTOM_PROVIDERS_KEY, COMPARE_PROVIDERS, getCustomProviders, isProviderUrl } from './providers.js';
+import { CLOUD_APIS } from './cloud-api.js';
 
 // ====== DOM ELEMENTS ======
 // Menu management
@@ -15,10 +17,27 @@ const menuTemplate = document.getElementById('menu-template');
 const menuNameInput = document.getElementById('menuName');
 const customGptUrlInput = document.getElementById('customGptUrl');
 const autoSubmitCheckbox = document.getElementById('autoSubmit');
+const tabStrategySelect = document.getElementById('tabStrategy');
+const conversationModeSelect = document.getElementById('conversationMode');
+const executionModeSelect = document.getElementById('executionMode');
+const apiGroup = document.getElementById('apiGroup');
+const apiProviderSelect = document.getElementById('apiProvider');
+const apiModelInput = document.getElementById('apiModel');
+const apiModelSuggestions = document.getElementById('apiModelSuggestions');
+const apiTemperatureInput = document.getElementById('apiTemperature');
+const apiSystemPromptInput = document.getElementById('apiSystemPrompt');
+const providerTestGroup = document.getElementById('providerTestGroup');
+const testProviderButton = document.getElementById('test-provider');
+const testProviderStatus = document.getElementById('test-provider-status');
+const providerDiagnostics = document.getElementById('provider-diagnostics');
 const runAllEnabledCheckbox = document.getElementById('runAllEnabled');
 const runAllShortcutInput = document.getElementById('runAllShortcut');
 const runAllShortcutBtn = document.getElementById('runAllShortcutBtn');
 const runAllShortcutGroup = document.getElementById('runAllShortcutGroup');
+const synthesisGroup = document.getElementById('synthesisGroup');
+const synthesisPromptInput = document.getElementById('synthesisPrompt');
+const synthesisUrlInput = document.getElementById('synthesisUrl');
+const compareProvidersContainer = document.getElementById('compareProviders');
 
 // Actions
 const actionsListContainer = document.getElementById('actions-list');
@@ -30,6 +49,9 @@ const saveButton = document.getElementById('save');
 const revertButton = document.getElementById('revert-changes');
 const revertAllButton = document.getElementById('revert-all-changes');
 const exportButton = document.getElementById('export-config');
+const historyButton = document.getElementById('open-history');
+const providersButton = document.getElementById('open-providers');
+const apiKeysButton = document.getElementById('open-api-keys');
 const importButton = document.getElementById('import-config');
 const importFileInput = document.getElementById('import-file-input');
 
@@ -197,6 +219,7 @@ function extractRawShortcut(displayValue) {
 
 // ====== STATE ======
 let currentConfig = null;
+let customProviders = [];        // Menu URLs may match one of these (see providers.js)
 let selectedMenuId = null;
 let draggedElement = null;
 let draggedMenuElement = null;
@@ -205,6 +228,7 @@ let dirtyMenus = new Set();       // Set of menuIds with unsaved changes
 
 // ====== INITIALIZATION ======
 document.addEventListener('DOMContentLoaded', async () => {
+  renderCompareProviderOptions();
   await loadAndRender();
   attachEventListeners();
 
@@ -216,6 +240,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 // ====== LOAD AND RENDER ======
 async function loadAndRender() {
   try {
+    customProviders = await getCustomProviders();
     currentConfig = await getConfig();
 
     // Render menu list
@@ -234,6 +259,12 @@ async function loadAndRender() {
     // Hide banners and reload reminder
     hideAllBanners();
     reloadReminder.classList.add('hidden');
+
+    // Saving checks the whole config, so point out what is wrong with the stored one up front
+    const configErrors = await getConfigErrors();
+    if (configErrors.length > 0) {
+      showError('Your saved configuration has problems to fix before saving: ' + configErrors.join('; '));
+    }
   } catch (e) {
     showError('Failed to load configuration: ' + e.message);
   }
@@ -357,11 +388,24 @@ function loadMenuDetails(menuId) {
   menuNameInput.value = menu.name;
   customGptUrlInput.value = menu.customGptUrl;
   autoSubmitCheckbox.checked = menu.autoSubmit;
+  tabStrategySelect.value = menu.tabStrategy || 'newTab';
+  conversationModeSelect.value = getConversationMode(null, menu, currentConfig.globalSettings);
+  executionModeSelect.value = menu.executionMode || 'tab';
+  apiProviderSelect.value = menu.apiProvider || 'openai';
+  apiModelInput.value = menu.apiModel || '';
+  apiTemperatureInput.value = menu.apiTemperature ?? '';
+  apiSystemPromptInput.value = menu.apiSystemPrompt || '';
   runAllEnabledCheckbox.checked = menu.runAllEnabled;
   updateShortcutDisplay(runAllShortcutInput, menu.runAllShortcut || '');
+  synthesisPromptInput.value = menu.synthesisPrompt || '';
+  synthesisUrlInput.value = menu.synthesisUrl || '';
+  setCompareProviders(menu.compareProviders || []);
 
   // Show/hide Run All shortcut based on checkbox
   toggleRunAllShortcutVisibility();
+  toggleApiGroupVisibility();
+  updateModelSuggestions();
+  clearProviderDiagnostics();
 
   // Render actions for this menu
   renderActions(menu);
@@ -383,8 +427,14 @@ function syncFormToConfig() {
   menu.name = menuNameInput.value.trim();
   menu.customGptUrl = customGptUrlInput.value.trim();
   menu.autoSubmit = autoSubmitCheckbox.checked;
+  menu.tabStrategy = tabStrategySelect.value;
+  applyConversationMode(menu);
+  Object.assign(menu, getApiSettings());
   menu.runAllEnabled = runAllEnabledCheckbox.checked;
   menu.runAllShortcut = extractRawShortcut(runAllShortcutInput.value);
+  menu.synthesisPrompt = synthesisPromptInput.value.trim();
+  menu.synthesisUrl = synthesisUrlInput.value.trim();
+  menu.compareProviders = getCompareProviders();
 
   // Update actions from DOM
   menu.actions = [];
@@ -399,11 +449,80 @@ function syncFormToConfig() {
       order: index + 1,
       customGptUrl: item.querySelector('.action-custom-url-enabled').checked
         ? (item.querySelector('.action-custom-url')?.value || '').trim()
-        : ''
+        : '',
+      selectionFormat: item.querySelector('.action-selection-format').value,
+      selectionFile: item.querySelector('.action-selection-file').value,
+      responseMode: item.querySelector('.action-response-mode').value,
+      conversationMode: item.querySelector('.action-conversation-mode').value,
+      steps: getActionSteps(item),
+      contexts: getCheckedContexts(item)
     });
   });
 }
 
+// ====== PROMPT CHAIN STEPS ======
+// Add a follow-up step row to an action; returns its textarea
+function addStepRow(actionItem, value = '') {
+  const stepsContainer = actionItem.querySelector('.action-steps');
+  const row = document.createElement('div');
+  row.className = 'action-step';
+
+  const number = document.createElement('span');
+  number.className = 'action-step-number';
+
+  const textarea = document.createElement('textarea');
+  textarea.className = 'action-step-prompt';
+  textarea.rows = 1;
+  textarea.placeholder = 'e.g. Now list the risks';
+  textarea.value = value;
+  textarea.addEventListener('input', checkForChanges);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'btn-icon action-step-remove';
+  removeBtn.title = 'Remove step';
+  removeBtn.textContent = '×';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    renumberSteps(stepsContainer);
+    checkForChanges();
+  });
+
+  row.appendChild(number);
+  row.appendChild(textarea);
+  row.appendChild(removeBtn);
+  stepsContainer.appendChild(row);
+  renumberSteps(stepsContainer);
+  return textarea;
+}
+
+// Steps are numbered after the action's prompt, which is step 1
+function renumberSteps(stepsContainer) {
+  stepsContainer.querySelectorAll('.action-step-number').forEach((number, index) => {
+    number.textContent = `${index + 2}.`;
+  });
+}
+
+// Non-empty follow-up steps of an action, in order
+function getActionSteps(actionItem) {
+  return Array.from(actionItem.querySelectorAll('.action-step-prompt'))
+    .map(textarea => textarea.value.trim())
+    .filter(Boolean);
+}
+
+// Right-click contexts ticked for an action (see ACTION_CONTEXTS in config.js)
+// Keyboard shortcuts don't grant activeTab, so screenshots taken from a shortcut need access
+// to the page; ask while the user is ticking the box (requests need a user gesture)
+function requestScreenshotPermission() {
+  chrome.permissions.request({ origins: ['<all_urls>'] })
+    .then(granted => debugLog('[Options] Screenshot permission granted:', granted))
+    .catch(e => console.warn('[Options] Could not request screenshot permission:', e));
+}
+
+function getCheckedContexts(actionItem) {
+  return Array.from(actionItem.querySelectorAll('.action-context:checked')).map(checkbox => checkbox.value);
+}
+
 function captureFormState() {
   if (!selectedMenuId) return null;
 
@@ -412,8 +531,14 @@ function captureFormState() {
     menuName: menuNameInput.value.trim(),
     customGptUrl: customGptUrlInput.value.trim(),
     autoSubmit: autoSubmitCheckbox.checked,
+    tabStrategy: tabStrategySelect.value,
+    conversationMode: conversationModeSelect.value,
+    ...getApiSettings(),
     runAllEnabled: runAllEnabledCheckbox.checked,
     runAllShortcut: extractRawShortcut(runAllShortcutInput.value),
+    synthesisPrompt: synthesisPromptInput.value.trim(),
+    synthesisUrl: synthesisUrlInput.value.trim(),
+    compareProviders: getCompareProviders(),
     actions: []
   };
 
@@ -429,7 +554,13 @@ function captureFormState() {
       enabled: item.querySelector('.action-enabled').checked,
       customGptUrl: item.querySelector('.action-custom-url-enabled').checked
         ? (item.querySelector('.action-custom-url')?.value || '').trim()
-        : ''
+        : '',
+      selectionFormat: item.querySelector('.action-selection-format').value,
+      selectionFile: item.querySelector('.action-selection-file').value,
+      responseMode: item.querySelector('.action-response-mode').value,
+      conversationMode: item.querySelector('.action-conversation-mode').value,
+      steps: getActionSteps(item),
+      contexts: getCheckedContexts(item)
     });
   });
 
@@ -444,10 +575,22 @@ function compareFormStates(state1, state2) {
   if (state1.menuName !== state2.menuName) return true;
   if (state1.customGptUrl !== state2.customGptUrl) return true;
   if (state1.autoSubmit !== state2.autoSubmit) return true;
+  if ((state1.tabStrategy || 'newTab') !== (state2.tabStrategy || 'newTab')) return true;
+  if (getConversationMode(null, state1, currentConfig.globalSettings) !== getConversationMode(null, state2, currentConfig.globalSettings)) return true;
+  if ((state1.executionMode || 'tab') !== (state2.executionMode || 'tab')) return true;
+  if ((state1.apiProvider || 'openai') !== (state2.apiProvider || 'openai')) return true;
+  if ((state1.apiModel || '') !== (state2.apiModel || '')) return true;
+  if ((state1.apiTemperature ?? null) !== (state2.apiTemperature ?? null)) return true;
+  if ((state1.apiSystemPrompt || '') !== (state2.apiSystemPrompt || '')) return true;
   if (state1.runAllEnabled !== state2.runAllEnabled) return true;
   if (state1.runAllShortcut !== state2.runAllShortcut) return true;
+  if ((state1.synthesisPrompt || '') !== (state2.synthesisPrompt || '')) return true;
+  if ((state1.synthesisUrl || '') !== (state2.synthesisUrl || '')) return true;
+  if ((state1.compareProviders || []).join() !== (state2.compareProviders || []).join()) return true;
 
   // Compare actions (order, count, and content)
+  // Stored actions may predate `contexts`
+  const contextsKey = (action) => [...(action.contexts || getActionContexts(action))].sort().join();
   if (state1.actions.length !== state2.actions.length) return true;
 
   for (let i = 0; i < state1.actions.length; i++) {
@@ -461,6 +604,12 @@ function compareFormStates(state1, state2) {
     if (a1.shortcut !== a2.shortcut) return true;
     if (a1.enabled !== a2.enabled) return true;
     if (a1.customGptUrl !== a2.customGptUrl) return true;
+    if ((a1.selectionFormat || 'text') !== (a2.selectionFormat || 'text')) return true;
+    if ((a1.selectionFile || 'never') !== (a2.selectionFile || 'never')) return true;
+    if ((a1.responseMode || 'none') !== (a2.responseMode || 'none')) return true;
+    if ((a1.conversationMode || '') !== (a2.conversationMode || '')) return true;
+    if ((a1.steps || []).join('\n\n') !== (a2.steps || []).join('\n\n')) return true;
+    if (contextsKey(a1) !== contextsKey(a2)) return true;
   }
 
   return false; // No differences
@@ -530,8 +679,17 @@ function handleAddMenu() {
     name: `New Menu ${currentConfig.menus.length + 1}`,
     customGptUrl: 'https://chatgpt.com/g/g-<<YOUR CUSTOM GPT URL>>',
     autoSubmit: true,
+    tabStrategy: 'newTab',
+    executionMode: 'tab',
+    apiProvider: 'openai',
+    apiModel: '',
+    apiTemperature: null,
+    apiSystemPrompt: '',
     runAllEnabled: false,
     runAllShortcut: '',
+    synthesisPrompt: '',
+    synthesisUrl: '',
+    compareProviders: [],
     order: currentConfig.menus.length + 1,
     actions: []
   };
@@ -697,8 +855,18 @@ async function handleRevertAll() {
             name: menu.name,
             customGptUrl: menu.customGptUrl,
             autoSubmit: menu.autoSubmit,
+            tabStrategy: menu.tabStrategy || 'newTab',
+            conversationMode: menu.conversationMode,
+            executionMode: menu.executionMode || 'tab',
+            apiProvider: menu.apiProvider || 'openai',
+            apiModel: menu.apiModel || '',
+            apiTemperature: menu.apiTemperature ?? null,
+            apiSystemPrompt: menu.apiSystemPrompt || '',
             runAllEnabled: menu.runAllEnabled,
             runAllShortcut: menu.runAllShortcut,
+            synthesisPrompt: menu.synthesisPrompt || '',
+            synthesisUrl: menu.synthesisUrl || '',
+            compareProviders: menu.compareProviders || [],
             actions: menu.actions.map(a => ({ ...a }))
           });
         }
@@ -797,6 +965,15 @@ function createActionElement(action, index) {
   titleInput.value = action.title;
   promptInput.value = action.prompt;
   enabledCheckbox.checked = action.enabled;
+  actionItem.querySelector('.action-selection-format').value = action.selectionFormat || 'text';
+  actionItem.querySelector('.action-selection-file').value = action.selectionFile || 'never';
+  actionItem.querySelector('.action-response-mode').value = action.responseMode || 'none';
+  actionItem.querySelector('.action-conversation-mode').value = action.conversationMode || '';
+  (action.steps || []).forEach(step => addStepRow(actionItem, step));
+  const contexts = getActionContexts(action);
+  actionItem.querySelectorAll('.action-context').forEach(checkbox => {
+    checkbox.checked = contexts.includes(checkbox.value);
+  });
 
   const customUrlCheckbox = actionItem.querySelector('.action-custom-url-enabled');
   const customUrlInput = actionItem.querySelector('.action-custom-url');
@@ -863,6 +1040,36 @@ function attachActionEventListeners(actionItem) {
   });
 
   enabledCheckbox.addEventListener('change', checkForChanges);
+  actionItem.querySelector('.action-selection-format').addEventListener('change', checkForChanges);
+  actionItem.querySelector('.action-selection-file').addEventListener('change', checkForChanges);
+  actionItem.querySelector('.action-response-mode').addEventListener('change', checkForChanges);
+  actionItem.querySelector('.action-conversation-mode').addEventListener('change', checkForChanges);
+  const addStepBtn = actionItem.querySelector('.action-add-step');
+  addStepBtn.addEventListener('click', () => {
+    if (actionItem.querySelectorAll('.action-step').length >= MAX_ACTION_STEPS) {
+      showError(`Maximum ${MAX_ACTION_STEPS} steps per action`);
+      return;
+    }
+    addStepRow(actionItem).focus();
+    checkForChanges();
+  });
+  const contextCheckboxes = actionItem.querySelectorAll('.action-context');
+  contextCheckboxes.forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      // A screenshot action drags a region instead of reading what was clicked, so it stands alone
+      if (checkbox.checked) {
+        contextCheckboxes.forEach(other => {
+          if (other !== checkbox && (checkbox.value === 'screenshot' || other.value === 'screenshot')) {
+            other.checked = false;
+          }
+        });
+      }
+      if (checkbox.checked && checkbox.value === 'screenshot') {
+        requestScreenshotPermission();
+      }
+      checkForChanges();
+    });
+  });
   const customUrlCheckbox = actionItem.querySelector('.action-custom-url-enabled');
   const customUrlInput = actionItem.querySelector('.action-custom-url');
   const quickFill = actionItem.querySelector('.action-quick-fill');
@@ -959,7 +1166,13 @@ function handleAddAction() {
     shortcut: '',
     enabled: true,
     order: actionsListContainer.children.length + 1,
-    customGptUrl: ''
+    customGptUrl: '',
+    selectionFormat: 'text',
+    selectionFile: 'never',
+    responseMode: 'none',
+    conversationMode: '',
+    steps: [],
+    contexts: ['selection']
   };
 
   const actionElement = createActionElement(newAction, actionsListContainer.children.length);
@@ -1244,8 +1457,14 @@ async function handleSave() {
     menu.name = menuName;
     menu.customGptUrl = customGptUrlInput.value.trim();
     menu.autoSubmit = autoSubmitCheckbox.checked;
+    menu.tabStrategy = tabStrategySelect.value;
+    applyConversationMode(menu);
+    Object.assign(menu, getApiSettings());
     menu.runAllEnabled = runAllEnabledCheckbox.checked;
     menu.runAllShortcut = extractRawShortcut(runAllShortcutInput.value);
+    menu.synthesisPrompt = synthesisPromptInput.value.trim();
+    menu.synthesisUrl = synthesisUrlInput.value.trim();
+    menu.compareProviders = getCompareProviders();
 
     // Collect actions from DOM
     menu.actions = [];
@@ -1281,7 +1500,13 @@ async function handleSave() {
         order: index + 1,
         customGptUrl: item.querySelector('.action-custom-url-enabled').checked
           ? (item.querySelector('.action-custom-url')?.value || '').trim()
-          : ''
+          : '',
+        selectionFormat: item.querySelector('.action-selection-format').value,
+        selectionFile: item.querySelector('.action-selection-file').value,
+        responseMode: item.querySelector('.action-response-mode').value,
+        conversationMode: item.querySelector('.action-conversation-mode').value,
+        steps: getActionSteps(item),
+        contexts: getCheckedContexts(item)
       });
     });
 
@@ -1315,7 +1540,7 @@ async function handleSave() {
     }
 
     // Validate entire config
-    const errors = validateConfig(currentConfig);
+    const errors = validateConfig(currentConfig, customProviders);
     if (errors.length > 0) {
       showError('Validation failed: ' + errors.join('; '));
       return;
@@ -1425,7 +1650,7 @@ async function handleImportFile(e) {
       }
     }
 
-    const errors = validateConfig(importedConfig);
+    const errors = validateConfig(importedConfig, customProviders);
     if (errors.length > 0) {
       showError('Invalid configuration file: ' + errors.join('; '));
       importFileInput.value = '';
@@ -1628,11 +1853,193 @@ document.addEventListener('keydown', (e) => {
 });
 
 // ====== RUN ALL VISIBILITY TOGGLE ======
+// The Run All shortcut and synthesis settings only apply with Run All enabled
+// The API settings only apply when the menu calls an API, and Test Provider only when it doesn't
+function toggleApiGroupVisibility() {
+  apiGroup.style.display = executionModeSelect.value === 'api' ? '' : 'none';
+  providerTestGroup.style.display = executionModeSelect.value === 'api' ? 'none' : '';
+}
+
+function updateModelSuggestions() {
+  const api = CLOUD_APIS[apiProviderSelect.value];
+  apiModelSuggestions.replaceChildren(...api.models.map(model => new Option(model, model)));
+  apiModelInput.placeholder = api.models[0];
+  apiTemperatureInput.max = api.maxTemperature;
+}
+
+// Switching APIs swaps a suggested model for the new API's first one, but keeps a typed-in model
+function handleApiProviderChange() {
+  const suggested = Object.values(CLOUD_APIS).flatMap(api => api.models);
+  if (!apiModelInput.value.trim() || suggested.includes(apiModelInput.value.trim())) {
+    apiModelInput.value = CLOUD_APIS[apiProviderSelect.value].models[0];
+  }
+  updateModelSuggestions();
+  checkForChanges();
+}
+
+// A menu only keeps a conversation mode of its own when it differs from the global Clear Context
+// setting, so menus left at the default keep following that setting when it changes
+function applyConversationMode(menu) {
+  const mode = conversationModeSelect.value;
+  if (mode === getConversationMode(null, null, currentConfig.globalSettings)) {
+    delete menu.conversationMode;
+  } else {
+    menu.conversationMode = mode;
+  }
+}
+
+function getApiSettings() {
+  const temperature = apiTemperatureInput.value.trim();
+  return {
+    executionMode: executionModeSelect.value,
+    apiProvider: apiProviderSelect.value,
+    apiModel: apiModelInput.value.trim(),
+    apiTemperature: temperature === '' ? null : Number(temperature),
+    apiSystemPrompt: apiSystemPromptInput.value.trim()
+  };
+}
+
 function toggleRunAllShortcutVisibility() {
   if (runAllEnabledCheckbox.checked) {
     runAllShortcutGroup.style.display = '';
+    synthesisGroup.style.display = '';
   } else {
     runAllShortcutGroup.style.display = 'none';
+    synthesisGroup.style.display = 'none';
+  }
+}
+
+// ====== COMPARE PROVIDERS ======
+// One checkbox per provider a comparison can use (COMPARE_PROVIDERS in providers.js)
+function renderCompareProviderOptions() {
+  compareProvidersContainer.replaceChildren(...COMPARE_PROVIDERS.map(provider => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'compare-provider';
+    checkbox.value = provider.url;
+    const name = document.createElement('span');
+    name.textContent = provider.name;
+    label.append(checkbox, name);
+    return label;
+  }));
+}
+
+// Checked providers in the order they're listed
+function getCompareProviders() {
+  return Array.from(compareProvidersContainer.querySelectorAll('.compare-provider'))
+    .filter(cb => cb.checked)
+    .map(cb => cb.value);
+}
+
+function setCompareProviders(urls) {
+  compareProvidersContainer.querySelectorAll('.compare-provider').forEach(cb => { cb.checked = urls.includes(cb.value); });
+}
+
+// ====== PROVIDER DIAGNOSTICS ======
+// Test Provider: background.js opens the URL in the field (saved or not) and reports which
+// editor and send button selectors matched (see diagnoseProvider())
+function clearProviderDiagnostics() {
+  providerDiagnostics.replaceChildren();
+  providerDiagnostics.classList.add('hidden');
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+function createSelectorTable(caption, rows, usedSelector) {
+  const table = document.createElement('table');
+  table.className = 'diagnostics-table';
+  table.createCaption().textContent = caption;
+  const head = table.createTHead().insertRow();
+  ['Selector', 'Matches', 'Visible'].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  rows.forEach(({ selector, found, visible, disabled }) => {
+    const row = body.insertRow();
+    if (selector === usedSelector) row.className = 'diagnostics-used';
+    row.insertCell().textContent = selector;
+    row.insertCell().textContent = found;
+    row.insertCell().textContent = visible ? `${visible}${disabled ? ' (disabled)' : ''}` : 'no';
+  });
+  return table;
+}
+
+function renderProviderDiagnostics(report) {
+  providerDiagnostics.replaceChildren();
+  providerDiagnostics.className = `provider-diagnostics ${report.ok ? 'diagnostics-ok' : 'diagnostics-failed'}`;
+
+  const summary = document.createElement('div');
+  summary.className = 'diagnostics-summary';
+  summary.textContent = report.ok
+    ? `✓ ${report.provider}: the editor was found${report.editor.fallback ? ' (an editable area next to a hidden textarea)' : ''}`
+    : `✗ ${report.provider ? `${report.provider}: ` : ''}${report.error}`;
+  providerDiagnostics.appendChild(summary);
+
+  if (report.pageMs !== null && report.pageMs !== undefined) {
+    const timing = document.createElement('div');
+    timing.className = 'diagnostics-timing';
+    timing.textContent = [
+      report.pageReady ? `Page ready after ${formatSeconds(report.pageMs)}` : `Page not ready after ${formatSeconds(report.pageMs)}`,
+      report.editorMs !== null ? `editor found ${formatSeconds(report.editorMs)} later` : 'no editor'
+    ].join(' · ');
+    providerDiagnostics.appendChild(timing);
+  }
+
+  if (report.inputSelectors?.length) {
+    providerDiagnostics.appendChild(createSelectorTable('Input selectors', report.inputSelectors, report.editor?.selector));
+  }
+
+  if (report.submitStrategy && report.submitStrategy !== 'button') {
+    const note = document.createElement('div');
+    note.className = 'diagnostics-note';
+    note.textContent = 'This provider submits by pressing Enter, so send button selectors are not used.';
+    providerDiagnostics.appendChild(note);
+  } else if (report.sendButtonSelectors?.length) {
+    providerDiagnostics.appendChild(createSelectorTable('Send button selectors', report.sendButtonSelectors, report.sendButton?.selector));
+    if (!report.sendButton) {
+      const note = document.createElement('div');
+      note.className = 'diagnostics-note';
+      note.textContent = 'No send button was visible. Some providers only show it once there is text; runs then press Enter instead.';
+      providerDiagnostics.appendChild(note);
+    }
+  }
+
+  if (report.tabId) {
+    const showTab = document.createElement('button');
+    showTab.type = 'button';
+    showTab.className = 'btn-secondary diagnostics-show-tab';
+    showTab.textContent = 'Show Tab';
+    showTab.addEventListener('click', () => {
+      chrome.tabs.update(report.tabId, { active: true }).catch(() => showError('The tested tab has been closed'));
+    });
+    providerDiagnostics.appendChild(showTab);
+  }
+}
+
+async function handleTestProvider() {
+  const url = customGptUrlInput.value.trim();
+  if (!isProviderUrl(url, customProviders)) {
+    showError('Enter a supported AI Assistant URL to test it');
+    return;
+  }
+
+  clearProviderDiagnostics();
+  testProviderButton.disabled = true;
+  testProviderStatus.textContent = 'Opening the provider in a background tab...';
+  try {
+    const report = await chrome.runtime.sendMessage({ type: 'DIAGNOSE_PROVIDER', url });
+    renderProviderDiagnostics(report || { ok: false, error: 'No answer from the extension' });
+  } catch (e) {
+    showError(`Could not test the provider: ${e.message}`);
+  } finally {
+    testProviderButton.disabled = false;
+    testProviderStatus.textContent = '';
   }
 }
 
@@ -1665,10 +2072,28 @@ function attachEventListeners() {
     checkForChanges();
   });
 
+  testProviderButton.addEventListener('click', handleTestProvider);
+
   // Change detection for menu configuration fields
   customGptUrlInput.addEventListener('input', checkForChanges);
   autoSubmitCheckbox.addEventListener('change', checkForChanges);
+  tabStrategySelect.addEventListener('change', checkForChanges);
+  conversationModeSelect.addEventListener('change', checkForChanges);
+  executionModeSelect.addEventListener('change', () => {
+    if (executionModeSelect.value === 'api' && !apiModelInput.value.trim()) {
+      apiModelInput.value = CLOUD_APIS[apiProviderSelect.value].models[0];
+    }
+    toggleApiGroupVisibility();
+    checkForChanges();
+  });
+  apiProviderSelect.addEventListener('change', handleApiProviderChange);
+  apiModelInput.addEventListener('input', checkForChanges);
+  apiTemperatureInput.addEventListener('input', checkForChanges);
+  apiSystemPromptInput.addEventListener('input', checkForChanges);
   runAllEnabledCheckbox.addEventListener('change', checkForChanges);
+  synthesisPromptInput.addEventListener('input', checkForChanges);
+  synthesisUrlInput.addEventListener('input', checkForChanges);
+  compareProvidersContainer.addEventListener('change', checkForChanges);
   runAllShortcutInput.addEventListener('input', (e) => {
     // Update display when shortcut changes (e.g., from import)
     // Extract the raw shortcut value and reformat it
@@ -1700,6 +2125,32 @@ function attachEventListeners() {
   });
   importFileInput.addEventListener('change', handleImportFile);
 
+  // Run history opens in its own tab
+  historyButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+    dropdownMenu.classList.add('hidden');
+    hamburgerButton.setAttribute('aria-expanded', 'false');
+  });
+
+  providersButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('custom-providers.html') });
+    dropdownMenu.classList.add('hidden');
+    hamburgerButton.setAttribute('aria-expanded', 'false');
+  });
+
+  apiKeysButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('api-keys.html') });
+    dropdownMenu.classList.add('hidden');
+    hamburgerButton.setAttribute('aria-expanded', 'false');
+  });
+
+  // Providers added on the Custom Providers page can be used right away
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[CUSTOM_PROVIDERS_KEY]) {
+      customProviders = changes[CUSTOM_PROVIDERS_KEY].newValue || [];
+    }
+  });
+
   // Hamburger menu
   hamburgerButton.addEventListener('click', (e) => {
     e.stopPropagation();
@@ -0,0 +1,323 @@
+// ====== PAGE CAPTURE (content script) ======
+// Reads what an action works on from the page: the current selection in every format an
+// action may ask for, the page's main content, or details of a right-clicked link, image or field.
+// Loaded ahead of shortcuts.js for keyboard shortcut runs, and injected on demand by
+// background.js (chrome.scripting) for context-menu runs. Only function declarations
+// live at the top level so the file can safely be injected more than once.
+
+// Capture the selection as { text, html, markdown }
+function captureSelection() {
+  const selection = window.getSelection?.();
+  if (!selection || selection.rangeCount === 0) {
+    return { text: '', html: '', markdown: '' };
+  }
+
+  const container = document.createElement('div');
+  for (let i = 0; i < selection.rangeCount; i++) {
+    container.appendChild(cloneRangeWithContext(selection.getRangeAt(i)));
+  }
+
+  return {
+    text: String(selection),
+    html: container.innerHTML,
+    markdown: htmlToMarkdown(container)
+  };
+}
+
+// Clone a range and re-wrap it in the structural elements it was cut out of,
+// so e.g. a few selected table rows or list items still convert to a table or list
+function cloneRangeWithContext(range) {
+  const STRUCTURAL_TAGS = ['PRE', 'CODE', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'UL', 'OL', 'BLOCKQUOTE',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'A'];
+
+  let fragment = range.cloneContents();
+  let node = range.commonAncestorContainer;
+  if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+
+  while (node && node !== document.body && node !== document.documentElement) {
+    if (STRUCTURAL_TAGS.includes(node.nodeName)) {
+      const wrapper = node.cloneNode(false);
+      wrapper.appendChild(fragment);
+      fragment = wrapper;
+    }
+    node = node.parentElement;
+  }
+  return fragment;
+}
+
+// ====== CLICKED ELEMENTS ======
+// Context-menu clicks only report URLs, so the link text and image alt text are looked up in the page
+
+function describeLink(url) {
+  const link = Array.from(document.querySelectorAll('a[href]')).find(a => a.href === url);
+  return { url, text: (link?.innerText || link?.textContent || '').replace(/\s+/g, ' ').trim() };
+}
+
+function describeImage(src) {
+  const image = Array.from(document.images).find(img => img.currentSrc === src || img.src === src);
+  return { url: src, alt: (image?.alt || image?.title || '').trim() };
+}
+
+// Read an image the extension couldn't fetch itself (blob: URLs, images only the page may load).
+// Resolves to { type, size, data } with base64 data, or null.
+async function fetchImageData(src) {
+  try {
+    const response = await fetch(src);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    return { type: blob.type, size: blob.size, data: dataUrl.slice(dataUrl.indexOf(',') + 1) };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Text of the focused input, textarea or contenteditable element (looking inside open shadow roots)
+function captureEditableText() {
+  let el = document.activeElement;
+  while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+
+  if (el?.tagName === 'INPUT' || el?.tagName === 'TEXTAREA') return el.value;
+  if (el?.isContentEditable) return el.innerText;
+  return '';
+}
+
+// ====== PAGE CONTENT ======
+// Readability-style extraction of the page's main content, used when nothing is selected.
+// Each format is cut to maxLength characters at the nearest paragraph, line or word break.
+function extractPageContent(maxLength = 20000) {
+  const clone = findMainContent().cloneNode(true);
+  clone.querySelectorAll(`script, style, noscript, template, iframe, svg, canvas, form, button, input, select,
+    textarea, nav, aside, footer, [role="navigation"], [role="complementary"], [aria-hidden="true"], [hidden]`)
+    .forEach(el => el.remove());
+
+  const text = htmlToMarkdown(clone, { plain: true });
+  const markdown = htmlToMarkdown(clone);
+  const html = clone.innerHTML.trim();
+
+  return {
+    title: document.title,
+    url: location.href,
+    text: truncateContent(text, maxLength),
+    html: truncateContent(html, maxLength),
+    markdown: truncateContent(markdown, maxLength),
+    length: text.length,
+    truncated: text.length > maxLength
+  };
+}
+
+// Pick the element holding the article: an <article>/<main> landmark when it has real
+// content, otherwise the container whose paragraphs score highest (long, comma-rich text,
+// few links), falling back to <body>
+function findMainContent() {
+  const body = document.body || document.documentElement;
+  const textLength = (el) => (el.innerText || el.textContent || '').trim().length;
+  const linkDensity = (el) => {
+    const length = textLength(el);
+    if (length === 0) return 1;
+    const linkLength = Array.from(el.querySelectorAll('a')).reduce((sum, a) => sum + textLength(a), 0);
+    return linkLength / length;
+  };
+
+  const landmark = Array.from(document.querySelectorAll('article, main, [role="main"]'))
+    .filter(el => textLength(el) > 500 && linkDensity(el) < 0.5)
+    .sort((a, b) => textLength(b) - textLength(a))[0];
+  if (landmark) return landmark;
+
+  const scores = new Map();
+  const addScore = (el, score) => {
+    if (el && el !== document.documentElement) scores.set(el, (scores.get(el) || 0) + score);
+  };
+  document.querySelectorAll('p, pre, blockquote, td').forEach(paragraph => {
+    const text = (paragraph.innerText || paragraph.textContent || '').trim();
+    if (text.length < 25) return;
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parentElement, score);
+    addScore(paragraph.parentElement?.parentElement, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, el) => {
+    const adjusted = score * (1 - linkDensity(el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  });
+  return best || body;
+}
+
+function truncateContent(content, maxLength) {
+  if (content.length <= maxLength) return content;
+
+  // Prefer a paragraph break, then a line break, then a space, as long as little is lost
+  const minCut = Math.floor(maxLength * 0.8);
+  let cut = content.lastIndexOf('\n\n', maxLength);
+  if (cut < minCut) cut = content.lastIndexOf('\n', maxLength);
+  if (cut < minCut) cut = content.lastIndexOf(' ', maxLength);
+  if (cut < minCut) cut = maxLength;
+  return content.slice(0, cut).trimEnd();
+}
+
+// ====== HTML → MARKDOWN ======
+// With { plain: true } the same structure is kept (paragraphs, list items, table rows)
+// but without Markdown markup, for plain-text output
+function htmlToMarkdown(root, { plain = false } = {}) {
+  return markdownFromNode(root, { listDepth: 0, pre: false, plain })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function markdownFromChildren(node, ctx) {
+  return Array.from(node.childNodes).map(child => markdownFromNode(child, ctx)).join('');
+}
+
+function markdownFromNode(node, ctx) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return ctx.pre ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+    return '';
+  }
+
+  const tag = node.nodeName.toLowerCase();
+  const children = () => markdownFromChildren(node, ctx);
+  const inline = (marker) => {
+    const content = children().trim();
+    return content && !ctx.plain ? `${marker}${content}${marker}` : content;
+  };
+
+  switch (tag) {
+    case 'script':
+    case 'style':
+    case 'noscript':
+    case 'template':
+    case 'button':
+      return '';
+    case 'br':
+      return '\n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return ctx.plain
+        ? `\n\n${children().trim()}\n\n`
+        : `\n\n${'#'.repeat(Number(tag[1]))} ${children().trim()}\n\n`;
+    case 'p':
+    case 'div':
+    case 'section':
+    case 'article':
+    case 'header':
+    case 'footer':
+    case 'main':
+    case 'figure':
+    case 'figcaption':
+    case 'dl':
+    case 'dt':
+    case 'dd':
+      return `\n\n${children().trim()}\n\n`;
+    case 'strong':
+    case 'b':
+      return inline('**');
+    case 'em':
+    case 'i':
+      return inline('_');
+    case 'del':
+    case 's':
+    case 'strike':
+      return inline('~~');
+    case 'code':
+      return ctx.pre ? children() : inline('`');
+    case 'pre':
+      return preToMarkdown(node, ctx);
+    case 'a': {
+      const text = children().trim();
+      const href = node.getAttribute('href');
+      if (ctx.plain || !href || href.startsWith('#') || href.startsWith('javascript:')) return text;
+      return `[${text || node.href}](${node.href})`;
+    }
+    case 'img': {
+      const src = node.getAttribute('src');
+      if (ctx.plain) return '';
+      return src ? `![${node.getAttribute('alt') || ''}](${node.src})` : '';
+    }
+    case 'ul':
+    case 'ol':
+      return listToMarkdown(node, ctx);
+    case 'blockquote': {
+      const content = children().replace(/\n{3,}/g, '\n\n').trim();
+      if (ctx.plain) return `\n\n${content}\n\n`;
+      return `\n\n${content.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`;
+    }
+    case 'table':
+      return tableToMarkdown(node, ctx);
+    default:
+      return children();
+  }
+}
+
+// Fenced code block, keeping the language from "language-xxx" / "lang-xxx" classes
+function preToMarkdown(pre, ctx) {
+  const codeEl = pre.querySelector('code') || pre;
+  const languageClass = `${codeEl.className || ''} ${pre.className || ''}`.match(/(?:language|lang)-([\w+#-]+)/);
+  const language = languageClass ? languageClass[1] : '';
+  const code = markdownFromChildren(pre, { ...ctx, listDepth: 0, pre: true }).replace(/\n+$/, '');
+  if (ctx.plain) return `\n\n${code}\n\n`;
+  const fence = code.includes('```') ? '~~~' : '```';
+  return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+}
+
+function listToMarkdown(list, ctx) {
+  const ordered = list.nodeName === 'OL';
+  let index = Number(list.getAttribute('start')) || 1;
+  const indent = '  '.repeat(ctx.listDepth);
+
+  const items = Array.from(list.children)
+    .filter(child => child.nodeName === 'LI')
+    .map(item => {
+      const marker = ordered ? `${index++}.` : '-';
+      const content = markdownFromChildren(item, { ...ctx, listDepth: ctx.listDepth + 1 })
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+      return `${indent}${marker} ${content}`;
+    });
+
+  // Nested lists sit directly under their parent item
+  return ctx.listDepth > 0 ? `\n${items.join('\n')}\n` : `\n\n${items.join('\n')}\n\n`;
+}
+
+// GitHub-flavoured table; the first row is used as the header
+function tableToMarkdown(table, ctx) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .filter(row => row.closest('table') === table)
+    .map(row => Array.from(row.children)
+      .filter(cell => cell.nodeName === 'TD' || cell.nodeName === 'TH')
+      .map(cell => markdownFromChildren(cell, ctx).replace(/\s*\n+\s*/g, ' ').replace(/\|/g, ctx.plain ? '|' : '\\|').trim()))
+    .filter(cells => cells.length > 0);
+
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const formatRow = (cells) => {
+    const padded = [...cells, ...Array(width - cells.length).fill('')];
+    return `| ${padded.join(' | ')} |`;
+  };
+
+  const lines = [
+    formatRow(rows[0]),
+    formatRow(Array(width).fill('---')),
+    ...rows.slice(1).map(formatRow)
+  ];
+  return `\n\n${lines.join('\n')}\n\n`;
+}
@@ -6,3 +6,44 @@ document.getElementById('version').textContent = `v${manifest.version}`;
 document.getElementById('settings-btn').addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
 });
+
+// Opening the side panel needs the click's user gesture, so the window is looked up beforehand
+let currentWindowId = null;
+chrome.windows.getCurrent().then(win => { currentWindowId = win.id; });
+
+document.getElementById('panel-btn').addEventListener('click', async () => {
+  if (currentWindowId === null) return;
+  await chrome.sidePanel.open({ windowId: currentWindowId });
+  window.close();
+});
+
+document.getElementById('history-btn').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  window.close();
+});
+
+// List screenshot actions; clicking one starts the region selection on the current tab
+chrome.runtime.sendMessage({ type: 'GET_SCREENSHOT_ACTIONS' }, (response) => {
+  const actions = response?.actions || [];
+  if (actions.length === 0) return;
+
+  const list = document.getElementById('screenshot-action-list');
+  actions.forEach(({ menuId, actionId, menuName, title }) => {
+    const button = document.createElement('button');
+    button.className = 'screenshot-action-btn';
+    button.textContent = title;
+    const menuLabel = document.createElement('div');
+    menuLabel.className = 'menu-name';
+    menuLabel.textContent = menuName;
+    button.appendChild(menuLabel);
+
+    button.addEventListener('click', async () => {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+      await chrome.runtime.sendMessage({ type: 'RUN_SCREENSHOT_ACTION', actionId: { menuId, actionId }, tabId: tab.id });
+      window.close();
+    });
+    list.appendChild(button);
+  });
+  document.getElementById('screenshot-actions').hidden = false;
+});
@@ -0,0 +1,68 @@
+// ====== PROVIDER DOM (injected) ======
+// Finds elements in an AI provider's page: the composer, its send button, busy indicators and
+// answers, including those inside shadow roots. Injected by background.js (chrome.scripting)
+// into the provider tab's main world ahead of each function that reads or drives the page, so
+// inserting, diagnosing, attaching and polling all agree on what counts as a visible editor.
+// The main world is shared with the page, so only the single window.__CHATGPT_CP_DOM global is
+// defined; injecting the file again replaces it.
+
+window.__CHATGPT_CP_DOM = (() => {
+  const EDITABLE_FALLBACK = "div[contenteditable='true'][role='textbox'], div[contenteditable='true'][data-testid^='composer'], [contenteditable='true']";
+
+  // Rendered, with a size, and not hidden from assistive technology (composers keep hidden
+  // copies of themselves around)
+  function isVisible(el) {
+    if (!el || !el.ownerDocument || !el.isConnected) return false;
+    const cs = getComputedStyle(el);
+    if (cs.display === "none" || cs.visibility === "hidden" || parseFloat(cs.opacity) === 0) return false;
+    const r = el.getBoundingClientRect(); if (r.width === 0 || r.height === 0) return false;
+    let n = el; while (n && n !== document.documentElement) {
+      if (n.getAttribute && n.getAttribute("aria-hidden") === "true") return false;
+      n = n.parentElement || n.parentNode?.host || null;
+    }
+    return true;
+  }
+
+  // querySelectorAll() that also looks inside open shadow roots
+  function queryDeepAll(root, sel) {
+    const out = [];
+    try { root.querySelectorAll(sel)?.forEach(n => out.push(n)); } catch {}
+    const tw = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    let n; while ((n = tw.nextNode())) if (n.shadowRoot) out.push(...queryDeepAll(n.shadowRoot, sel));
+    return out;
+  }
+
+  // The first visible element matched by the first selector that matches one
+  function findVisible(sels) {
+    for (const sel of sels) {
+      const el = queryDeepAll(document, sel).find(isVisible);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  // Some composers hide their textarea behind a contenteditable in the same form
+  function nearestVisibleCE(fromEl) {
+    const form = fromEl.closest && fromEl.closest("form");
+    const pool = form ? form.querySelectorAll(EDITABLE_FALLBACK) : document.querySelectorAll(EDITABLE_FALLBACK);
+    for (const el of pool) if (isVisible(el)) return el;
+    return null;
+  }
+
+  // The composer per the provider's input selectors, in order: { el, selector, fallback } where
+  // fallback means a hidden textarea matched and the contenteditable next to it is used, or null
+  function findEditor(sels) {
+    for (const selector of sels) {
+      const els = queryDeepAll(document, selector);
+      const el = els.find(isVisible);
+      if (el) return { el, selector, fallback: false };
+      if (els[0]?.tagName === "TEXTAREA") {
+        const ce = nearestVisibleCE(els[0]);
+        if (ce) return { el: ce, selector, fallback: true };
+      }
+    }
+    return null;
+  }
+
+  return { isVisible, queryDeepAll, findVisible, nearestVisibleCE, findEditor };
+})();
@@ -0,0 +1,565 @@
+// ====== PROVIDERS ======
+// The AI assistants prompts can be sent to: the built-in PROVIDERS table (keyed by domain) and
+// custom providers the user defines for other chat UIs (e.g. a self-hosted Open WebUI) or for
+// OpenAI-compatible HTTP endpoints (e.g. Ollama), which are called directly instead of through a tab.
+// Custom providers are kept in chrome.storage.sync under 'customProviders', next to the config.
+
+// ====== BUILT-IN PROVIDERS ======
+// attach: how files (e.g. right-clicked images) are handed to the composer, either a 'paste'
+// or a 'drop' event on the first visible targetSelectors match (defaults to inputSelectors).
+// Other files (e.g. a selection sent as a text file) go to the first fileInputSelectors match,
+// a hidden <input type="file"> that takes more than images, and fall back to paste/drop when there is none.
+// fileInputSelectors must be specific: a generic input[type='file'] can be an image-only upload.
+// maxPromptChars: longest message sent in one go; longer selections are sent in parts
+// busySelectors: elements shown while a response is being written (e.g. the stop button)
+// responseSelectors: the assistant's messages in the conversation (the last match is the newest)
+// conversationUrlPattern: matches the tab URL once the provider has created the conversation
+// submitStrategy: 'button' (default) clicks the send button, 'enter' presses Enter (see SUBMIT_STRATEGIES)
+// newChat: how a reused tab starts a new conversation: clicking the first visible `selectors`
+// match, or else loading `url` (for a custom GPT, Gem or project, its own URL is loaded instead)
+const PROVIDERS = {
+  'chatgpt.com': {
+    titleMatch: 'ChatGPT',
+    inputSelectors: [
+      "form div[contenteditable='true'][data-testid^='composer']",
+      "form div[contenteditable='true'][role='textbox']",
+      "div[contenteditable='true'][data-testid^='composer']",
+      "div[contenteditable='true'][role='textbox']",
+      "form [contenteditable='true']",
+      "[contenteditable='true']",
+      "form textarea",
+      "textarea"
+    ],
+    sendButtonSelectors: [
+      "form button[data-testid='send-button']",
+      "button[data-testid='send-button']",
+      "form button[aria-label*='send' i]",
+      "button[aria-label*='send' i]",
+      "form button[type='submit']",
+      "button[type='submit']"
+    ],
+    busySelectors: [
+      "button[data-testid='stop-button']",
+      "button[aria-label*='stop' i]"
+    ],
+    responseSelectors: [
+      "[data-message-author-role='assistant'] .markdown",
+      "[data-message-author-role='assistant']"
+    ],
+    conversationUrlPattern: /\/c\/[\w-]+/,
+    newChat: {
+      url: 'https://chatgpt.com/',
+      selectors: [
+        "a[data-testid='create-new-chat-button']",
+        "button[data-testid='create-new-chat-button']",
+        "a[aria-label='New chat']",
+        "button[aria-label='New chat']"
+      ]
+    },
+    maxPromptChars: 30000,
+    attach: {
+      method: 'paste',
+      fileInputSelectors: [
+        "input#upload-files[type='file']",
+        "form input[type='file'][multiple]"
+      ]
+    }
+  },
+  'gemini.google.com': {
+    titleMatch: 'Gemini',
+    // Gemini uses Quill editor inside <rich-textarea> web component
+    // queryDeepAll() handles shadow DOM traversal automatically
+    inputSelectors: [
+      "rich-textarea .ql-editor",
+      "div.ql-editor[contenteditable='true']",
+      "rich-textarea [contenteditable='true']",
+      "[contenteditable='true'][role='textbox']",
+      "[contenteditable='true']"
+    ],
+    sendButtonSelectors: [
+      "button[aria-label='Send message']",
+      "button.send-button",
+      "button[aria-label*='send' i]",
+      "button[type='submit']"
+    ],
+    busySelectors: [
+      "button[aria-label='Stop response']",
+      "button.send-button.stop",
+      "button[aria-label*='stop' i]"
+    ],
+    responseSelectors: [
+      "model-response message-content",
+      "model-response"
+    ],
+    // Conversations with a Gem live under /gem/<name>/<id>
+    conversationUrlPattern: /\/app\/[\da-f]+|\/gem\/[\w-]+\/[\da-f]+/,
+    newChat: {
+      url: 'https://gemini.google.com/app',
+      selectors: [
+        "side-nav-action-button[data-test-id='new-chat-button'] button",
+        "button[aria-label='New chat']",
+        "a[aria-label='New chat']"
+      ]
+    },
+    maxPromptChars: 30000,
+    // Quill strips pasted files, but the input area accepts dropped ones
+    attach: {
+      method: 'drop',
+      targetSelectors: [
+        "rich-textarea",
+        "div.ql-editor[contenteditable='true']",
+        "[contenteditable='true']"
+      ],
+      // Only present once the upload menu has been opened; dropping works before that
+      fileInputSelectors: [
+        "input[type='file'][name='Filedata']"
+      ]
+    }
+  },
+  'claude.ai': {
+    titleMatch: 'Claude',
+    // Claude.ai uses a ProseMirror contenteditable editor
+    inputSelectors: [
+      "div[contenteditable='true'][data-placeholder]",
+      "div.ProseMirror[contenteditable='true']",
+      "div[contenteditable='true'][role='textbox']",
+      "[contenteditable='true'][role='textbox']",
+      "[contenteditable='true']"
+    ],
+    sendButtonSelectors: [
+      "button[aria-label='Send Message']",
+      "button[aria-label*='send' i]",
+      "button[type='submit']"
+    ],
+    busySelectors: [
+      "button[aria-label='Stop response']",
+      "button[aria-label*='stop' i]"
+    ],
+    responseSelectors: [
+      "div.font-claude-response",
+      "div.font-claude-message",
+      "[data-testid='assistant-message']"
+    ],
+    conversationUrlPattern: /\/chat\/[\w-]+/,
+    newChat: {
+      url: 'https://claude.ai/new',
+      selectors: [
+        "a[aria-label='New chat']",
+        "button[aria-label='New chat']",
+        "nav a[href='/new']"
+      ]
+    },
+    maxPromptChars: 50000,
+    attach: {
+      method: 'paste',
+      fileInputSelectors: [
+        "input[data-testid='file-upload']",
+        "fieldset input[type='file']"
+      ]
+    }
+  },
+  'perplexity.ai': {
+    titleMatch: 'Perplexity',
+    // Perplexity's composer is a Lexical contenteditable (a textarea on older layouts)
+    inputSelectors: [
+      "#ask-input[contenteditable='true']",
+      "div[contenteditable='true'][role='textbox']",
+      "textarea[placeholder*='Ask' i]",
+      "textarea"
+    ],
+    sendButtonSelectors: [
+      "button[data-testid='submit-button']",
+      "button[aria-label='Submit']",
+      "button[aria-label*='submit' i]"
+    ],
+    busySelectors: [
+      "button[data-testid='stop-generating-response-button']",
+      "button[aria-label*='stop' i]"
+    ],
+    responseSelectors: [
+      "div[id^='markdown-content-']",
+      "div.prose"
+    ],
+    // Threads live under /search/<slug>
+    conversationUrlPattern: /\/search\/[\w.-]+/,
+    newChat: {
+      url: 'https://www.perplexity.ai/',
+      selectors: [
+        "button[data-testid='sidebar-new-thread']",
+        "a[aria-label='New Thread']"
+      ]
+    },
+    maxPromptChars: 30000,
+    attach: {
+      method: 'paste'
+    }
+  },
+  'copilot.microsoft.com': {
+    titleMatch: 'Copilot',
+    inputSelectors: [
+      "textarea#userInput",
+      "textarea[data-testid='composer-input']",
+      "textarea"
+    ],
+    sendButtonSelectors: [
+      "button[data-testid='submit-button']",
+      "button[aria-label='Submit message']",
+      "button[aria-label*='submit' i]"
+    ],
+    busySelectors: [
+      "button[data-testid='stop-button']",
+      "button[aria-label*='stop' i]"
+    ],
+    responseSelectors: [
+      "[data-content='ai-message']"
+    ],
+    conversationUrlPattern: /\/chats\/[\w-]+/,
+    newChat: {
+      url: 'https://copilot.microsoft.com/',
+      selectors: [
+        "button[data-testid='new-chat-button']",
+        "button[aria-label='Start new chat']"
+      ]
+    },
+    // Copilot rejects messages over 10,240 characters
+    maxPromptChars: 10000,
+    attach: {
+      method: 'paste'
+    }
+  },
+  'chat.mistral.ai': {
+    titleMatch: 'Le Chat',
+    // Le Chat uses a ProseMirror contenteditable editor
+    inputSelectors: [
+      "div.ProseMirror[contenteditable='true']",
+      "div[contenteditable='true'][role='textbox']",
+      "textarea[name='message.text']",
+      "textarea"
+    ],
+    sendButtonSelectors: [
+      "button[aria-label='Send question']",
+      "button[aria-label*='send' i]",
+      "button[type='submit']"
+    ],
+    busySelectors: [
+      "button[aria-label*='stop' i]"
+    ],
+    responseSelectors: [
+      "div[data-message-author-role='assistant'] .markdown-container-style",
+      "div[data-message-author-role='assistant']"
+    ],
+    conversationUrlPattern: /\/chat\/[\da-f-]{36}/,
+    newChat: {
+      url: 'https://chat.mistral.ai/chat',
+      selectors: [
+        "a[aria-label='New chat']",
+        "nav a[href='/chat']"
+      ]
+    },
+    maxPromptChars: 30000,
+    attach: {
+      method: 'paste'
+    }
+  },
+  'chat.deepseek.com': {
+    titleMatch: 'DeepSeek',
+    inputSelectors: [
+      "textarea#chat-input",
+      "textarea[placeholder*='DeepSeek' i]",
+      "textarea"
+    ],
+    // DeepSeek's send control is an unlabeled div, so prompts are submitted with Enter
+    sendButtonSelectors: [],
+    submitStrategy: 'enter',
+    busySelectors: [
+      "div[role='button'][aria-label*='stop' i]"
+    ],
+    responseSelectors: [
+      "div.ds-markdown"
+    ],
+    conversationUrlPattern: /\/a\/chat\/s\/[\w-]+/,
+    newChat: {
+      url: 'https://chat.deepseek.com/',
+      selectors: []
+    },
+    maxPromptChars: 30000,
+    attach: {
+      method: 'paste'
+    }
+  },
+  'grok.com': {
+    titleMatch: 'Grok',
+    inputSelectors: [
+      "div.tiptap.ProseMirror[contenteditable='true']",
+      "textarea[aria-label*='Grok' i]",
+      "[contenteditable='true']",
+      "textarea"
+    ],
+    sendButtonSelectors: [
+      "button[type='submit'][aria-label='Submit']",
+      "button[aria-label*='submit' i]",
+      "button[type='submit']"
+    ],
+    busySelectors: [
+      "button[aria-label='Stop model response']",
+      "button[aria-label*='stop' i]"
+    ],
+    responseSelectors: [
+      ".message-bubble .response-content-markdown",
+      ".response-content-markdown"
+    ],
+    conversationUrlPattern: /\/c\/[\w-]+/,
+    newChat: {
+      url: 'https://grok.com/',
+      selectors: [
+        "a[aria-label='New chat']",
+        "button[aria-label='New chat']"
+      ]
+    },
+    maxPromptChars: 30000,
+    attach: {
+      method: 'paste'
+    }
+  }
+};
+
+// Menu, action and synthesis URLs must start with one of these, or match a custom provider
+const PROVIDER_URL_PREFIXES = [
+  'https://chatgpt.com',
+  'https://gemini.google.com',
+  'https://claude.ai',
+  'https://www.perplexity.ai',
+  'https://perplexity.ai',
+  'https://copilot.microsoft.com',
+  'https://chat.mistral.ai',
+  'https://chat.deepseek.com',
+  'https://grok.com'
+];
+
+// Providers a comparison can send to (menu.compareProviders lists their URLs): every built-in
+// provider whose answers can be read back, opened at its new-chat URL. Custom providers can't be
+// compared, since they have no responseSelectors to read the answer with.
+const COMPARE_PROVIDERS = Object.values(PROVIDERS)
+  .filter(provider => provider.newChat?.url && provider.responseSelectors?.length > 0)
+  .map(provider => ({ name: provider.titleMatch, url: provider.newChat.url }));
+
+// ====== CUSTOM PROVIDERS ======
+// { id, name, type, urlPattern, readySelector, inputSelectors, sendButtonSelectors, submitStrategy, model }
+// type: 'chat' (default) types prompts into a chat UI in a tab; 'endpoint' POSTs them to an
+// OpenAI-compatible API (see llm-endpoint.js) and needs only urlPattern and model
+// urlPattern: a match pattern such as https://chat.example.com/* (host access is requested for its origin)
+// readySelector: shown once the chat UI has loaded (optional, defaults to the input selectors)
+// submitStrategy: click the send button (falling back to Enter), press Enter, or press Ctrl+Enter
+// model: the model an endpoint runs, e.g. llama3.2 for Ollama
+const CUSTOM_PROVIDERS_KEY = 'customProviders';
+const MAX_CUSTOM_PROVIDERS = 10;
+const PROVIDER_TYPES = ['chat', 'endpoint'];
+const SUBMIT_STRATEGIES = ['button', 'enter', 'ctrlEnter'];
+const CUSTOM_MAX_PROMPT_CHARS = 30000;
+
+// scheme://host/path, where the host may start with "*." and include a port
+const URL_PATTERN_REGEX = /^(https?):\/\/((?:\*\.)?[^/*]+)(\/.*)$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function urlPatternToRegExp(pattern) {
+  const match = URL_PATTERN_REGEX.exec(pattern || '');
+  if (!match) return null;
+  const [, scheme, host, path] = match;
+  const hostRegex = host.startsWith('*.')
+    ? `([^/:]+\\.)?${escapeRegExp(host.slice(2))}`
+    : escapeRegExp(host);
+  return new RegExp(`^${scheme}://${hostRegex}${escapeRegExp(path).replace(/\*/g, '.*')}$`);
+}
+
+// The origin host access is requested for, e.g. https://chat.example.com/*
+function getPermissionOrigin(pattern) {
+  const match = URL_PATTERN_REGEX.exec(pattern || '');
+  return match ? `${match[1]}://${match[2]}/*` : null;
+}
+
+function findCustomProvider(url, customProviders = []) {
+  if (!url) return null;
+  return customProviders.find(provider => urlPatternToRegExp(provider.urlPattern)?.test(url)) || null;
+}
+
+// Endpoints have no page to inject into; background.js sends their prompts with llm-endpoint.js
+function isEndpointProvider(custom) {
+  return custom.type === 'endpoint';
+}
+
+// Custom providers in the shape of a PROVIDERS entry. Without busy and response selectors,
+// answers can't be brought back and follow-up messages only wait for the composer to empty.
+function toProviderConfig(custom) {
+  if (isEndpointProvider(custom)) {
+    return {
+      name: custom.name,
+      custom: true,
+      endpoint: true,
+      model: custom.model,
+      permissionOrigin: getPermissionOrigin(custom.urlPattern),
+      maxPromptChars: CUSTOM_MAX_PROMPT_CHARS
+    };
+  }
+  return {
+    name: custom.name,
+    custom: true,
+    permissionOrigin: getPermissionOrigin(custom.urlPattern),
+    readySelector: custom.readySelector || '',
+    inputSelectors: custom.inputSelectors,
+    sendButtonSelectors: custom.sendButtonSelectors || [],
+    submitStrategy: custom.submitStrategy,
+    busySelectors: [],
+    responseSelectors: [],
+    maxPromptChars: CUSTOM_MAX_PROMPT_CHARS
+  };
+}
+
+// The built-in provider for a URL's host: its domain or a subdomain of it (e.g. www.perplexity.ai)
+function findBuiltInProvider(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  const domain = Object.keys(PROVIDERS).find(domain => host === domain || host.endsWith(`.${domain}`));
+  return domain ? PROVIDERS[domain] : null;
+}
+
+// Custom providers are checked first, so a custom URL that mentions a built-in domain in its
+// path or query (e.g. a proxy for chatgpt.com) keeps its own selectors
+function resolveProvider(url, customProviders = []) {
+  const custom = findCustomProvider(url, customProviders);
+  if (custom) return toProviderConfig(custom);
+  return findBuiltInProvider(url) || PROVIDERS['chatgpt.com']; // safe fallback
+}
+
+// Matched by host like resolveProvider(), so a look-alike such as https://chatgpt.com.example.net/
+// isn't taken for a provider. Built-in providers are only reached over https.
+function isProviderUrl(url, customProviders = []) {
+  if (findCustomProvider(url, customProviders)) return true;
+  return /^https:\/\//.test(url || '') && !!findBuiltInProvider(url);
+}
+
+// Selectors can only be checked where there is a DOM (the pages, not the service worker)
+function isValidSelector(selector) {
+  if (typeof document === 'undefined') return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ====== VALIDATION ======
+function validateCustomProviders(providers) {
+  const errors = [];
+
+  if (!Array.isArray(providers)) {
+    errors.push('customProviders must be an array');
+    return errors;
+  }
+  if (providers.length > MAX_CUSTOM_PROVIDERS) {
+    errors.push(`Maximum ${MAX_CUSTOM_PROVIDERS} custom providers allowed`);
+  }
+
+  const ids = [];
+  providers.forEach((provider, index) => {
+    const label = provider.name?.trim() ? `Provider "${provider.name.trim()}"` : `Provider ${index + 1}`;
+
+    if (!provider.id || !/^[a-zA-Z0-9_-]+$/.test(provider.id)) {
+      errors.push(`${label}: Invalid ID format (alphanumeric, dash, underscore only)`);
+    } else if (ids.includes(provider.id)) {
+      errors.push(`${label}: Duplicate provider ID "${provider.id}"`);
+    } else {
+      ids.push(provider.id);
+    }
+
+    if (!provider.name?.trim()) {
+      errors.push(`${label}: Name is required`);
+    } else if (provider.name.length > 30) {
+      errors.push(`${label}: Name must be 30 characters or less`);
+    }
+
+    const match = URL_PATTERN_REGEX.exec(provider.urlPattern || '');
+    if (!match) {
+      errors.push(`${label}: URL pattern must look like https://chat.example.com/*`);
+    } else if (Object.keys(PROVIDERS).some(domain => match[2] === domain || match[2].endsWith(`.${domain}`))) {
+      errors.push(`${label}: ${match[2]} is already a built-in provider`);
+    }
+
+    if (provider.type !== undefined && !PROVIDER_TYPES.includes(provider.type)) {
+      errors.push(`${label}: type must be one of ${PROVIDER_TYPES.join(', ')}`);
+    }
+
+    if (isEndpointProvider(provider)) {
+      if (!provider.model?.trim()) {
+        errors.push(`${label}: Model is required`);
+      }
+      return;
+    }
+
+    if (provider.readySelector && !isValidSelector(provider.readySelector)) {
+      errors.push(`${label}: Invalid readiness selector "${provider.readySelector}"`);
+    }
+
+    if (!Array.isArray(provider.inputSelectors) || provider.inputSelectors.length === 0) {
+      errors.push(`${label}: Add at least one input selector`);
+    } else {
+      provider.inputSelectors
+        .filter(selector => !isValidSelector(selector))
+        .forEach(selector => errors.push(`${label}: Invalid input selector "${selector}"`));
+    }
+
+    if (provider.sendButtonSelectors !== undefined && !Array.isArray(provider.sendButtonSelectors)) {
+      errors.push(`${label}: sendButtonSelectors must be an array`);
+    } else {
+      (provider.sendButtonSelectors || [])
+        .filter(selector => !isValidSelector(selector))
+        .forEach(selector => errors.push(`${label}: Invalid send button selector "${selector}"`));
+    }
+
+    if (!SUBMIT_STRATEGIES.includes(provider.submitStrategy)) {
+      errors.push(`${label}: submitStrategy must be one of ${SUBMIT_STRATEGIES.join(', ')}`);
+    } else if (provider.submitStrategy === 'button' && !provider.sendButtonSelectors?.length) {
+      errors.push(`${label}: Add a send button selector, or submit with Enter`);
+    }
+  });
+
+  return errors;
+}
+
+// ====== STORAGE ======
+async function getCustomProviders() {
+  const result = await chrome.storage.sync.get(CUSTOM_PROVIDERS_KEY);
+  return Array.isArray(result[CUSTOM_PROVIDERS_KEY]) ? result[CUSTOM_PROVIDERS_KEY] : [];
+}
+
+async function saveCustomProviders(providers) {
+  const errors = validateCustomProviders(providers);
+  if (errors.length > 0) {
+    throw new Error(`Validation failed: ${errors.join('; ')}`);
+  }
+  await chrome.storage.sync.set({ [CUSTOM_PROVIDERS_KEY]: providers });
+}
+
+// ====== EXPORTS ======
+export {
+  PROVIDERS,
+  PROVIDER_URL_PREFIXES,
+  COMPARE_PROVIDERS,
+  CUSTOM_PROVIDERS_KEY,
+  PROVIDER_TYPES,
+  SUBMIT_STRATEGIES,
+  getPermissionOrigin,
+  findCustomProvider,
+  resolveProvider,
+  isProviderUrl,
+  validateCustomProviders,
+  getCustomProviders,
+  saveCustomProviders
+};
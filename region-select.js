@@ -0,0 +1,137 @@
+// ====== REGION SELECT (content script) ======
+// Lets the user drag a rectangle on the page for screenshot actions.
+// background.js sends SELECT_REGION; the response is
+// { rect: { x, y, width, height }, viewport: { width, height } } in CSS pixels, or { cancelled: true }.
+// The overlay is removed (and the page repainted) before responding, so it isn't in the screenshot.
+
+const REGION_SELECT_ID = 'chatgpt-query-region-select';
+const MIN_REGION_SIZE = 5;
+
+// Close handler of the overlay currently on screen (only one at a time)
+let closeActiveRegionSelect = null;
+
+function selectRegion() {
+  return new Promise((resolve) => {
+    // Replace any existing overlay (its run is treated as cancelled)
+    closeActiveRegionSelect?.({ cancelled: true });
+
+    const host = document.createElement('div');
+    host.id = REGION_SELECT_ID;
+    const root = host.attachShadow({ mode: 'open' });
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      cursor: crosshair;
+      background: rgba(0, 0, 0, 0.3);
+      z-index: 2147483647;
+      user-select: none;
+    `;
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Drag to select an area · Esc to cancel';
+    hint.style.cssText = `
+      position: fixed;
+      top: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 8px 16px;
+      border-radius: 4px;
+      background: #202124;
+      color: white;
+      font-size: 14px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      pointer-events: none;
+    `;
+
+    // The selected area is cut out of the dimmed overlay with a large box-shadow
+    const box = document.createElement('div');
+    box.style.cssText = `
+      position: fixed;
+      display: none;
+      border: 2px solid #1a73e8;
+      box-shadow: 0 0 0 9999px rgba(0, 0, 0, 0.3);
+      pointer-events: none;
+    `;
+
+    let start = null;
+    let rect = null;
+
+    const close = (result) => {
+      host.remove();
+      document.removeEventListener('keydown', handleEscape, true);
+      closeActiveRegionSelect = null;
+      if (result.cancelled) {
+        resolve(result);
+        return;
+      }
+      // Wait for the page to repaint without the overlay before the screenshot is taken
+      requestAnimationFrame(() => requestAnimationFrame(() => resolve(result)));
+    };
+    closeActiveRegionSelect = close;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        close({ cancelled: true });
+      }
+    };
+
+    overlay.addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      start = { x: e.clientX, y: e.clientY };
+      rect = { x: start.x, y: start.y, width: 0, height: 0 };
+      // The darkening moves from the overlay to the box's shadow
+      overlay.style.background = 'transparent';
+      box.style.display = 'block';
+    });
+
+    overlay.addEventListener('mousemove', (e) => {
+      if (!start) return;
+      rect = {
+        x: Math.min(start.x, e.clientX),
+        y: Math.min(start.y, e.clientY),
+        width: Math.abs(e.clientX - start.x),
+        height: Math.abs(e.clientY - start.y)
+      };
+      box.style.left = `${rect.x}px`;
+      box.style.top = `${rect.y}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+    });
+
+    overlay.addEventListener('mouseup', () => {
+      if (!start) return;
+      // A click without dragging cancels
+      if (rect.width < MIN_REGION_SIZE || rect.height < MIN_REGION_SIZE) {
+        close({ cancelled: true });
+        return;
+      }
+      close({ rect, viewport: { width: window.innerWidth, height: window.innerHeight } });
+    });
+
+    document.addEventListener('keydown', handleEscape, true);
+
+    // Assemble overlay
+    overlay.appendChild(box);
+    overlay.appendChild(hint);
+    root.appendChild(overlay);
+
+    // Add to page
+    (document.body || document.documentElement).appendChild(host);
+  });
+}
+
+// ====== MESSAGE LISTENER ======
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'SELECT_REGION') {
+    selectRegion().then(sendResponse);
+    return true; // Keep channel open for async response
+  }
+});
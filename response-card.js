@@ -0,0 +1,170 @@
+// ====== RESPONSE CARD (content script) ======
+// Brings the AI's answer back to the page the action was triggered from.
+// background.js sends SHOW_RESPONSE with { title, text, mode }: 'overlay' shows the answer in a
+// card, 'clipboard' copies it (as soon as the page has focus again) and confirms with a short notice.
+
+const RESPONSE_CARDS_ID = 'chatgpt-query-response-cards';
+const RESPONSE_NOTICE_MS = 4000;
+
+// Cards stack in one container in the bottom-right corner (Run All may bring back several answers)
+function getResponseCardContainer() {
+  let host = document.getElementById(RESPONSE_CARDS_ID);
+  if (!host) {
+    host = document.createElement('div');
+    host.id = RESPONSE_CARDS_ID;
+    const root = host.attachShadow({ mode: 'open' });
+    const container = document.createElement('div');
+    container.style.cssText = `
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      width: 420px;
+      max-width: calc(100vw - 32px);
+      max-height: calc(100vh - 32px);
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      z-index: 2147483647;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+    `;
+    root.appendChild(container);
+    (document.body || document.documentElement).appendChild(host);
+  }
+  return host.shadowRoot.firstElementChild;
+}
+
+function removeCard(card) {
+  const container = card.parentElement;
+  card.remove();
+  if (container && container.children.length === 0) {
+    document.getElementById(RESPONSE_CARDS_ID)?.remove();
+  }
+}
+
+function createCardButton(label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.style.cssText = `
+    background: white;
+    color: #1a73e8;
+    border: 1px solid #dadce0;
+    border-radius: 4px;
+    padding: 6px 12px;
+    font-size: 13px;
+    font-weight: 500;
+    cursor: pointer;
+  `;
+  return button;
+}
+
+function showResponseCard(title, text) {
+  const card = document.createElement('div');
+  card.style.cssText = `
+    background: white;
+    border-radius: 8px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    display: flex;
+    flex-direction: column;
+    min-height: 0;
+    overflow: hidden;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = `
+    padding: 12px 16px;
+    border-bottom: 1px solid #dadce0;
+    font-size: 15px;
+    font-weight: 500;
+    color: #202124;
+  `;
+  header.textContent = title || 'AI Custom Prompts';
+
+  const body = document.createElement('div');
+  body.style.cssText = `
+    padding: 12px 16px;
+    font-size: 14px;
+    line-height: 1.5;
+    color: #202124;
+    white-space: pre-wrap;
+    overflow-y: auto;
+    max-height: 50vh;
+  `;
+  body.textContent = text;
+
+  const footer = document.createElement('div');
+  footer.style.cssText = `
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+    padding: 10px 16px;
+    border-top: 1px solid #dadce0;
+  `;
+
+  const copyBtn = createCardButton('Copy');
+  copyBtn.onclick = () => {
+    navigator.clipboard.writeText(text)
+      .then(() => { copyBtn.textContent = 'Copied'; })
+      .catch(() => { copyBtn.textContent = 'Copy failed'; });
+  };
+  const closeBtn = createCardButton('Close');
+  closeBtn.onclick = () => removeCard(card);
+
+  // Keep typing inside the card from triggering the page's own keyboard handlers
+  card.addEventListener('keydown', (e) => e.stopPropagation());
+
+  footer.appendChild(copyBtn);
+  footer.appendChild(closeBtn);
+  card.appendChild(header);
+  card.appendChild(body);
+  card.appendChild(footer);
+  getResponseCardContainer().appendChild(card);
+}
+
+function showResponseNotice(message) {
+  const notice = document.createElement('div');
+  notice.style.cssText = `
+    padding: 10px 16px;
+    border-radius: 4px;
+    background: #202124;
+    color: white;
+    font-size: 14px;
+  `;
+  notice.textContent = message;
+  getResponseCardContainer().appendChild(notice);
+  setTimeout(() => removeCard(notice), RESPONSE_NOTICE_MS);
+}
+
+// The clipboard can only be written while the page has focus, and the AI tab usually has it
+// while the answer is written, so copy once the user is back on this page
+function copyWhenFocused(text) {
+  return new Promise((resolve) => {
+    const copy = () => navigator.clipboard.writeText(text).then(() => resolve(true), () => resolve(false));
+    if (document.hasFocus()) {
+      copy();
+    } else {
+      window.addEventListener('focus', copy, { once: true });
+    }
+  });
+}
+
+async function deliverResponse(title, text, mode) {
+  if (mode === 'clipboard') {
+    const copied = await copyWhenFocused(text);
+    if (copied) {
+      showResponseNotice(`${title ? `${title}: ` : ''}response copied to the clipboard`);
+      return;
+    }
+    // Clipboard unavailable: show the answer instead so it isn't lost
+  }
+  showResponseCard(title, text);
+}
+
+// ====== MESSAGE LISTENER ======
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'SHOW_RESPONSE') {
+    deliverResponse(message.title, message.text || '', message.mode);
+    sendResponse({ shown: true });
+    return false;
+  }
+});
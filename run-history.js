@@ -0,0 +1,126 @@
+// ====== RUN HISTORY ======
+// One entry per action run, kept in chrome.storage.local (history is never synced).
+// Entries: { id, timestamp, menuId, menuName, actionId, actionTitle, sourceUrl, sourceTitle,
+// selection, answers, prompt, providerUrl, status: 'pending' | 'sent' | 'inserted' | 'failed', conversationUrl, injection }
+// status 'inserted' means the prompt is in the provider's editor, but the user still has to send it.
+// injection is how the prompt went into the provider's tab: { status, selector, sendSelector, timings,
+// error, attempts } (see INJECTION RESULTS in background.js); runs without a tab don't have it.
+// background.js records runs; the history page (history.html) reads, filters and clears them.
+
+import { debugLogSync as debugLog } from './debug.js';
+
+const HISTORY_KEY = 'runHistory';
+const HISTORY_SETTINGS_KEY = 'runHistorySettings';
+const MAX_HISTORY_ENTRIES = 200;
+
+// Days entries are kept; 0 turns history off, -1 keeps entries until cleared
+const HISTORY_RETENTION_OPTIONS = [0, 1, 7, 30, 90, -1];
+const DEFAULT_HISTORY_SETTINGS = { retentionDays: 30 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries are read, changed and written back, so writes from parallel runs are queued
+let historyWriteQueue = Promise.resolve();
+
+function queueHistoryWrite(update) {
+  const run = historyWriteQueue.then(update);
+  historyWriteQueue = run.catch(() => {});
+  return run;
+}
+
+// ====== SETTINGS ======
+async function getHistorySettings() {
+  const result = await chrome.storage.local.get(HISTORY_SETTINGS_KEY);
+  return { ...DEFAULT_HISTORY_SETTINGS, ...result[HISTORY_SETTINGS_KEY] };
+}
+
+async function saveHistorySettings(settings) {
+  if (!HISTORY_RETENTION_OPTIONS.includes(settings.retentionDays)) {
+    throw new Error(`retentionDays must be one of ${HISTORY_RETENTION_OPTIONS.join(', ')}`);
+  }
+  await chrome.storage.local.set({ [HISTORY_SETTINGS_KEY]: settings });
+  // Apply a shorter retention right away
+  await queueHistoryWrite(async () => {
+    const entries = await readEntries();
+    await writeEntries(pruneHistory(entries, settings.retentionDays));
+  });
+}
+
+// ====== ENTRIES ======
+async function readEntries() {
+  const result = await chrome.storage.local.get(HISTORY_KEY);
+  return Array.isArray(result[HISTORY_KEY]) ? result[HISTORY_KEY] : [];
+}
+
+async function writeEntries(entries) {
+  try {
+    await chrome.storage.local.set({ [HISTORY_KEY]: entries });
+  } catch (e) {
+    // Storage full (large selections): keep the newer half and try once more
+    console.warn('[History] Could not save history, dropping older entries:', e);
+    await chrome.storage.local.set({ [HISTORY_KEY]: entries.slice(0, Math.floor(entries.length / 2)) });
+  }
+}
+
+// Drop entries past the retention period and beyond MAX_HISTORY_ENTRIES (entries are newest first)
+function pruneHistory(entries, retentionDays, now = Date.now()) {
+  if (retentionDays === 0) return [];
+  const kept = retentionDays > 0
+    ? entries.filter(entry => now - entry.timestamp < retentionDays * DAY_MS)
+    : entries;
+  return kept.slice(0, MAX_HISTORY_ENTRIES);
+}
+
+// Newest first
+async function getHistory() {
+  const { retentionDays } = await getHistorySettings();
+  return pruneHistory(await readEntries(), retentionDays);
+}
+
+// Record a run. Returns the new entry's id, or null when history is turned off.
+async function addHistoryEntry(entry) {
+  const { retentionDays } = await getHistorySettings();
+  if (retentionDays === 0) return null;
+
+  const id = `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  await queueHistoryWrite(async () => {
+    const entries = await readEntries();
+    const newEntry = { id, timestamp: Date.now(), status: 'pending', conversationUrl: '', ...entry };
+    await writeEntries(pruneHistory([newEntry, ...entries], retentionDays));
+  });
+  debugLog('[History] Added entry', id);
+  return id;
+}
+
+async function updateHistoryEntry(id, changes) {
+  if (!id) return;
+  await queueHistoryWrite(async () => {
+    const entries = await readEntries();
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return;
+    entries[index] = { ...entries[index], ...changes };
+    await writeEntries(entries);
+  });
+}
+
+async function getHistoryEntry(id) {
+  return (await readEntries()).find(entry => entry.id === id) || null;
+}
+
+async function clearHistory() {
+  await queueHistoryWrite(() => chrome.storage.local.remove(HISTORY_KEY));
+}
+
+// ====== EXPORTS ======
+export {
+  HISTORY_KEY,
+  HISTORY_RETENTION_OPTIONS,
+  getHistorySettings,
+  saveHistorySettings,
+  pruneHistory,
+  getHistory,
+  getHistoryEntry,
+  addHistoryEntry,
+  updateHistoryEntry,
+  clearHistory
+};
@@ -0,0 +1,61 @@
+// ====== RUN STATUS ======
+// Live progress of the current and recent runs, shown in the side panel (sidepanel.html).
+// Kept in chrome.storage.session under 'runStatus', so the list empties when the browser closes.
+// Entries, newest first: { id, startedAt, menuName, actionTitle, providerUrl, tabId, stage, error, response }
+// background.js starts an entry when a run begins and moves it through RUN_STAGES:
+// 'opening' (opening the provider tab), 'waiting' (waiting for the editor), 'inserted' (prompt in the
+// editor, not sent), 'submitted', 'answered' (the answer has been captured) or 'failed'.
+
+const RUN_STATUS_KEY = 'runStatus';
+const MAX_RUN_STATUS_ENTRIES = 30;
+const RUN_STAGES = ['opening', 'waiting', 'inserted', 'submitted', 'answered', 'failed'];
+
+// Entries are read, changed and written back, so writes from parallel runs are queued
+let statusWriteQueue = Promise.resolve();
+
+function queueStatusWrite(update) {
+  const run = statusWriteQueue.then(update);
+  statusWriteQueue = run.catch(() => {});
+  return run;
+}
+
+async function getRunStatuses() {
+  const result = await chrome.storage.session.get(RUN_STATUS_KEY);
+  return Array.isArray(result[RUN_STATUS_KEY]) ? result[RUN_STATUS_KEY] : [];
+}
+
+// Start tracking a run. Returns its id.
+async function startRunStatus({ menuName, actionTitle, providerUrl, stage = 'opening' }) {
+  const id = `status_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  await queueStatusWrite(async () => {
+    const entry = { id, startedAt: Date.now(), menuName, actionTitle, providerUrl, tabId: null, stage, error: '', response: '' };
+    const entries = [entry, ...await getRunStatuses()].slice(0, MAX_RUN_STATUS_ENTRIES);
+    await chrome.storage.session.set({ [RUN_STATUS_KEY]: entries });
+  });
+  return id;
+}
+
+async function updateRunStatus(id, changes) {
+  if (!id) return;
+  await queueStatusWrite(async () => {
+    const entries = await getRunStatuses();
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return; // Dropped as one of the oldest entries
+    entries[index] = { ...entries[index], ...changes };
+    await chrome.storage.session.set({ [RUN_STATUS_KEY]: entries });
+  });
+}
+
+async function clearRunStatuses() {
+  await queueStatusWrite(() => chrome.storage.session.remove(RUN_STATUS_KEY));
+}
+
+// ====== EXPORTS ======
+export {
+  RUN_STATUS_KEY,
+  RUN_STAGES,
+  getRunStatuses,
+  startRunStatus,
+  updateRunStatus,
+  clearRunStatuses
+};
@@ -0,0 +1,44 @@
+// ====== SELECTION ======
+// Selected text is normalized here the same way for context-menu and shortcut runs, so a given
+// selection produces the same prompt whichever way it was triggered. background.js uses it for
+// both; the selection itself is captured in the page by page-capture.js.
+
+// Unify line endings, drop trailing whitespace and surrounding blank lines,
+// but keep line breaks and indentation of multi-line selections intact.
+function normalizeSelectionText(text) {
+  const normalized = (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+
+  // Single-line selections are trimmed as before
+  return normalized.includes('\n') ? normalized : normalized.trim();
+}
+
+// Normalize a captured selection { text, html, markdown }; html and markdown may be missing.
+// `context` records what the input came from (see CLICK_CONTEXT_PRIORITY in background.js).
+function normalizeSelection(selection = {}, context = 'selection') {
+  return {
+    context,
+    text: normalizeSelectionText(selection.text),
+    html: (selection.html || '').trim(),
+    markdown: normalizeSelectionText(selection.markdown)
+  };
+}
+
+// Whether the live selection read from the page is still the one the context menu was opened on.
+// Chrome flattens info.selectionText and may cut long ones short, so only the non-whitespace
+// characters are compared, and the live text only has to start with it.
+function isSameSelection(liveText, selectionText) {
+  const expected = (selectionText || '').replace(/\s+/g, '');
+  return expected !== '' && (liveText || '').replace(/\s+/g, '').startsWith(expected);
+}
+
+// ====== EXPORTS ======
+export {
+  normalizeSelectionText,
+  normalizeSelection,
+  isSameSelection
+};
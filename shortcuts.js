@@ -135,14 +135,16 @@ function loadShortcuts() {
       debugLog('[Shortcuts] Received shortcuts from background:', response);
       if (response && response.shortcuts) {
         shortcuts = [];
-        // Response format: [["shortcutString", actionId], ...]
-        response.shortcuts.forEach(([shortcutString, actionId]) => {
+        // Response format: [["shortcutString", actionId, { pageSource, screenshot }], ...]
+        response.shortcuts.forEach(([shortcutString, actionId, options]) => {
           const parsed = parseShortcut(shortcutString);
           if (parsed) {
             const shortcutObj = {
               modifiers: parsed.modifiers,
               key: parsed.key,
-              actionId: actionId
+              actionId: actionId,
+              pageSource: !!options?.pageSource,
+              screenshot: !!options?.screenshot
             };
             debugLog('[Shortcuts] Parsed Shortcut:', {
               modifiers: Array.from(shortcutObj.modifiers),
@@ -200,13 +202,15 @@ function loadShortcuts() {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'SHORTCUTS_UPDATED') {
     shortcuts = [];
-    message.shortcuts.forEach(([shortcutString, actionId]) => {
+    message.shortcuts.forEach(([shortcutString, actionId, options]) => {
       const parsed = parseShortcut(shortcutString);
       if (parsed) {
         shortcuts.push({
           modifiers: parsed.modifiers,
           key: parsed.key,
-          actionId: actionId
+          actionId: actionId,
+          pageSource: !!options?.pageSource,
+          screenshot: !!options?.screenshot
         });
       }
     });
@@ -216,8 +220,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // ====== KEYBOARD LISTENER ======
 function handleKeydown(event) {
-  // Don't interfere with input fields
-  const target = event.target;
+  // Don't interfere with input fields (composedPath() sees through open shadow roots, e.g. the ask dialog)
+  const target = event.composedPath?.()[0] || event.target;
   if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) {
     return;
   }
@@ -261,19 +265,39 @@ function handleKeydown(event) {
       return;
     }
 
-    // Get selected text
-    const selection = window.getSelection?.() ? String(window.getSelection()).trim() : '';
-    if (!selection) {
+    // Capture the selection as text, HTML and Markdown (page-capture.js);
+    // background.js normalizes it the same way as context-menu selections
+    const selection = captureSelection();
+    let message;
+    if (matchedShortcut.screenshot) {
+      // Screenshot actions don't use the selection: background.js asks for a region (region-select.js)
+      message = {
+        type: 'EXECUTE_SHORTCUT',
+        actionId: matchedShortcut.actionId,
+        screenshot: true
+      };
+    } else if (selection.text.trim()) {
+      message = {
+        type: 'EXECUTE_SHORTCUT',
+        actionId: matchedShortcut.actionId,
+        selection,
+        selectionText: selection.text
+      };
+    } else if (matchedShortcut.pageSource) {
+      // Nothing selected: send the page's main content instead
+      debugLog('[Shortcuts] No text selected, sending page content');
+      message = {
+        type: 'EXECUTE_SHORTCUT',
+        actionId: matchedShortcut.actionId,
+        pageContent: extractPageContent()
+      };
+    } else {
       debugLog('[Shortcuts] No text selected');
       return;
     }
 
     // Send message to background to execute action
-    chrome.runtime.sendMessage({
-      type: 'EXECUTE_SHORTCUT',
-      actionId: matchedShortcut.actionId,
-      selectionText: selection
-    }).catch(error => {
+    chrome.runtime.sendMessage(message).catch(error => {
       // Extension context invalidated - happens after extension reload
       if (error.message?.includes('Extension context invalidated')) {
         debugLog('[Shortcuts] Extension reloaded - please refresh this page to use shortcuts');
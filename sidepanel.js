@@ -0,0 +1,125 @@
+// ====== SIDE PANEL ======
+// Live list of the current and recent runs (see run-status.js), newest first.
+// Clicking a run brings its provider tab (or answer page) to the front.
+
+import { RUN_STATUS_KEY, getRunStatuses, clearRunStatuses } from './run-status.js';
+
+const runList = document.getElementById('panel-list');
+const emptyMessage = document.getElementById('panel-empty');
+const clearButton = document.getElementById('panel-clear');
+const errorBanner = document.getElementById('error-banner');
+
+const STAGE_LABELS = {
+  opening: 'Opening tab',
+  waiting: 'Waiting for editor',
+  inserted: 'Inserted',
+  submitted: 'Submitted',
+  answered: 'Response ready',
+  failed: 'Failed'
+};
+
+// ====== HELPERS ======
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url || '';
+  }
+}
+
+function formatAge(timestamp) {
+  const seconds = Math.round((Date.now() - timestamp) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  return new Date(timestamp).toLocaleTimeString(undefined, { timeStyle: 'short' });
+}
+
+function showError(message) {
+  errorBanner.textContent = message;
+  errorBanner.classList.remove('hidden');
+
+  setTimeout(() => {
+    errorBanner.classList.add('hidden');
+  }, 4000);
+}
+
+// ====== RENDERING ======
+function createRunElement(run) {
+  const item = document.createElement('div');
+  item.className = 'panel-run';
+  item.dataset.id = run.id;
+
+  const header = document.createElement('div');
+  header.className = 'panel-run-header';
+
+  const title = document.createElement('span');
+  title.className = 'panel-run-title';
+  title.textContent = `${run.menuName} › ${run.actionTitle}`;
+
+  const stage = document.createElement('span');
+  stage.className = `panel-stage panel-stage-${run.stage}`;
+  stage.textContent = STAGE_LABELS[run.stage] || run.stage;
+
+  header.append(title, stage);
+
+  const details = document.createElement('div');
+  details.className = 'panel-run-details';
+  details.textContent = `${getHost(run.providerUrl)} · ${formatAge(run.startedAt)}`;
+
+  item.append(header, details);
+
+  if (run.error) {
+    const error = document.createElement('div');
+    error.className = 'panel-run-error';
+    error.textContent = run.error;
+    item.appendChild(error);
+  }
+
+  if (run.response) {
+    const response = document.createElement('div');
+    response.className = 'panel-run-response';
+    response.textContent = run.response;
+    item.appendChild(response);
+  }
+
+  if (run.tabId) {
+    item.classList.add('panel-run-focusable');
+    item.title = 'Show this tab';
+    item.addEventListener('click', () => focusRunTab(run));
+  }
+  return item;
+}
+
+async function render() {
+  const runs = await getRunStatuses();
+  runList.replaceChildren(...runs.map(createRunElement));
+  emptyMessage.classList.toggle('hidden', runs.length > 0);
+  clearButton.disabled = runs.length === 0;
+}
+
+// ====== ACTIONS ======
+async function focusRunTab(run) {
+  // Selecting the answer text shouldn't switch tabs
+  if (window.getSelection()?.toString()) return;
+  try {
+    const tab = await chrome.tabs.update(run.tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch {
+    showError(`The tab for "${run.actionTitle}" has been closed.`);
+  }
+}
+
+clearButton.addEventListener('click', async () => {
+  await clearRunStatuses();
+  await render();
+});
+
+// ====== INIT ======
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes[RUN_STATUS_KEY]) render();
+});
+
+// Keep "x min ago" current
+setInterval(render, 30000);
+
+render();
@@ -0,0 +1,215 @@
+// ====== PROMPT TEMPLATES ======
+// Action prompts may contain {{variable}} placeholders that are filled in when the action runs.
+// Prompts without {{selection}} keep the original behaviour: the selection is appended at the end.
+// {{ask:Label}} and {{ask:Label|option1,option2}} are filled in by the user when the action runs.
+
+const TEMPLATE_VARIABLES = [
+  'selection',
+  'page.title',
+  'page.url',
+  'link.url',
+  'link.text',
+  'image.url',
+  'image.alt',
+  'date',
+  'menu.name',
+  'action.title'
+];
+
+// A menu's synthesis prompt gets every Run All answer in {{results}} instead of the selection
+const SYNTHESIS_VARIABLES = [
+  ...TEMPLATE_VARIABLES.filter(name => name !== 'selection'),
+  'results',
+  'results.count'
+];
+
+// Matches {{name}} with optional inner whitespace, e.g. {{ page.url }}
+const TEMPLATE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+const ASK_PREFIX = 'ask:';
+
+// ====== PARSING ======
+// Return the variable names referenced by a template, in order of first appearance
+function getTemplateVariables(template) {
+  if (!template) return [];
+
+  const names = [];
+  for (const match of template.matchAll(TEMPLATE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+// Parse an "ask:Label|option1,option2" variable name, or return null if it isn't one
+function parseAskVariable(name) {
+  if (!name.startsWith(ASK_PREFIX)) return null;
+
+  const [label, optionList] = name.slice(ASK_PREFIX.length).split('|');
+  const options = (optionList || '')
+    .split(',')
+    .map(option => option.trim())
+    .filter(Boolean);
+
+  return { name, label: label.trim(), options };
+}
+
+// Ask variables are answered by label: {{ask:Tone|formal, casual}} and {{ask: Tone|formal,casual}}
+// are one field, and every spelling gets the same answer. Returns the lookup key, e.g. "ask:Tone".
+function getAskKey(name) {
+  const ask = parseAskVariable(name);
+  return ask?.label ? `${ASK_PREFIX}${ask.label}` : null;
+}
+
+// Return the referenced variable names that are not supported
+function getUnknownTemplateVariables(template, variables = TEMPLATE_VARIABLES) {
+  return getTemplateVariables(template).filter(name => {
+    if (variables.includes(name)) return false;
+    const ask = parseAskVariable(name);
+    return !ask?.label;
+  });
+}
+
+// Return the {{ask:...}} fields the user must fill in, de-duplicated by label across one or more
+// templates. A field keeps the first spelling's name and options.
+function getAskFields(...templates) {
+  const fields = [];
+  templates.forEach(template => {
+    getTemplateVariables(template).forEach(name => {
+      const ask = parseAskVariable(name);
+      if (ask?.label && !fields.some(field => field.label === ask.label)) {
+        fields.push(ask);
+      }
+    });
+  });
+  return fields;
+}
+
+// ====== RENDERING ======
+// Local date in YYYY-MM-DD format
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Build the value lookup for a single run
+function buildTemplateValues({ selection = '', page = {}, link = {}, image = {}, menu = {}, action = {}, answers = {}, now = new Date() } = {}) {
+  // Values collected for {{ask:...}} variables are keyed by variable name; each is also kept
+  // under its label (getAskKey) for the other spellings of the same field
+  const askValues = {};
+  Object.entries(answers).forEach(([name, value]) => {
+    const key = getAskKey(name);
+    if (key && !(key in askValues)) askValues[key] = value;
+  });
+  return {
+    ...askValues,
+    ...answers,
+    'selection': selection,
+    'page.title': page.title || '',
+    'page.url': page.url || '',
+    'link.url': link.url || '',
+    'link.text': link.text || '',
+    'image.url': image.url || '',
+    'image.alt': image.alt || '',
+    'date': formatDate(now),
+    'menu.name': menu.name || '',
+    'action.title': action.title || ''
+  };
+}
+
+// Compose the final prompt for an action
+// context: { selection, page: { title, url }, link: { url, text }, image: { url, alt }, menu, action, answers }
+function renderPrompt(template, context = {}) {
+  const values = buildTemplateValues(context);
+  const usesSelection = getTemplateVariables(template).includes('selection');
+  const rendered = fillTemplate(template, values);
+
+  // Legacy prompts: "<prompt> <selection>"
+  if (!usesSelection) {
+    return `${rendered} ${values.selection}`;
+  }
+
+  return rendered;
+}
+
+// Compose a follow-up step of a prompt chain. The conversation already has the selection,
+// so it is only included where a step asks for it with {{selection}}.
+function renderStep(template, context = {}) {
+  return fillTemplate(template, buildTemplateValues(context));
+}
+
+function fillTemplate(template, values) {
+  // Unknown variables are rejected by config validation; leave them untouched if one slips through
+  return (template || '').replace(TEMPLATE_PATTERN, (match, name) => {
+    const key = Object.prototype.hasOwnProperty.call(values, name) ? name : getAskKey(name);
+    return key !== null && Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match;
+  });
+}
+
+// ====== LONG SELECTIONS ======
+// Selections that would make the prompt longer than the provider's budget are sent
+// in numbered parts in the same conversation; the last part carries the action's prompt.
+const PART_PREAMBLE_RESERVE = 300;
+const PARTS_PLACEHOLDER = '(the text sent in the parts above)';
+
+// Messages to send for an action: just the rendered prompt when it fits the budget,
+// otherwise one message per part of the selection
+function buildPromptMessages(template, values, budget) {
+  const prompt = renderPrompt(template, values);
+  if (!budget || prompt.length <= budget || !values.selection) return [prompt];
+
+  // In the last part the prompt refers to the parts instead of repeating the selection
+  const finalPrompt = renderPrompt(template, { ...values, selection: PARTS_PLACEHOLDER });
+  const chunkBudget = budget - PART_PREAMBLE_RESERVE - finalPrompt.length;
+  // A prompt that leaves little room for the text is sent as is
+  if (chunkBudget < budget / 4) return [prompt];
+
+  const chunks = splitIntoChunks(values.selection, chunkBudget);
+  const total = chunks.length;
+  return chunks.map((chunk, i) => {
+    const part = i + 1;
+    if (part < total) {
+      return `[Part ${part} of ${total}] This is part of a longer text sent in ${total} parts. ` +
+        `Don't respond to it yet: reply only with "OK" and wait for all parts.\n\n${chunk}`;
+    }
+    return `[Part ${part} of ${total}] This is the last part of the text.\n\n${chunk}\n\n` +
+      `All ${total} parts have been sent. ${finalPrompt}`;
+  });
+}
+
+// Split text into chunks of at most `budget` characters, at the last paragraph break that
+// fits, falling back to a line break or a space for very long paragraphs
+function splitIntoChunks(text, budget) {
+  const chunks = [];
+  const minCut = Math.floor(budget / 2);
+  let rest = text;
+
+  while (rest.length > budget) {
+    let cut = rest.lastIndexOf('\n\n', budget);
+    if (cut < minCut) cut = rest.lastIndexOf('\n', budget);
+    if (cut < minCut) cut = rest.lastIndexOf(' ', budget);
+    if (cut < minCut) cut = budget;
+    chunks.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).replace(/^\s+/, '');
+  }
+  if (rest) chunks.push(rest);
+  return chunks;
+}
+
+// ====== SYNTHESIS ======
+// Messages for a menu's synthesis prompt. results: [{ title, text }], one per Run All answer.
+// The combined answers take the selection's place, so they are appended when the prompt has no
+// {{results}} and sent in parts when they are too long, like a long selection.
+function buildSynthesisMessages(template, results, context, budget) {
+  const combined = results.map(({ title, text }) => `### ${title}\n\n${text}`).join('\n\n');
+  let synthesisTemplate = fillTemplate(template, { 'results.count': String(results.length) });
+  if (!getTemplateVariables(synthesisTemplate).includes('results')) {
+    synthesisTemplate += '\n\n{{results}}';
+  }
+  synthesisTemplate = synthesisTemplate.replace(TEMPLATE_PATTERN, (match, name) => name === 'results' ? '{{selection}}' : match);
+  return buildPromptMessages(synthesisTemplate, { ...context, selection: combined }, budget);
+}
+
+// ====== EXPORTS ======
+export { TEMPLATE_VARIABLES, SYNTHESIS_VARIABLES, getTemplateVariables, getUnknownTemplateVariables, getAskFields, renderPrompt, renderStep, buildPromptMessages, buildSynthesisMessages, splitIntoChunks };
@@ -0,0 +1,116 @@
+// tests/execution/action-contexts.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig } from '../fixtures/config.js';
+
+/**
+ * CTX-01..05: Right-click contexts per action (selection, link, image, page, editable)
+ *
+ * action.contexts decides which right-click targets an action is shown for. Links and images
+ * are described to the prompt through {{link.url}}, {{link.text}}, {{image.url}}, {{image.alt}};
+ * the text and alt are looked up in the page (page-capture.js).
+ */
+
+// Load page-capture.js into the options page
+async function loadPageCapture(page) {
+  await page.evaluate(() => new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = 'page-capture.js';
+    script.onload = resolve;
+    script.onerror = reject;
+    document.head.appendChild(script);
+  }));
+}
+
+test.describe('Action Contexts', () => {
+
+  test('CTX-01: contexts default to selection', async ({ optionsPage }) => {
+    const contexts = await optionsPage.evaluate(async () => {
+      const { getActionContexts } = await import('./config.js');
+      return [
+        getActionContexts({}),
+        getActionContexts({ contexts: [] }),
+        getActionContexts({ contexts: ['link', 'image'] })
+      ];
+    });
+
+    expect(contexts).toEqual([['selection'], ['selection'], ['link', 'image']]);
+  });
+
+  test('CTX-02: unknown or empty contexts are rejected by validation', async ({ optionsPage }) => {
+    const errors = await optionsPage.evaluate(async (configs) => {
+      const { validateConfig } = await import('./config.js');
+      return {
+        valid: validateConfig(configs.valid),
+        unknown: validateConfig(configs.unknown),
+        empty: validateConfig(configs.empty)
+      };
+    }, {
+      valid: buildConfig({}, [{ contexts: ['link', 'editable'] }]),
+      unknown: buildConfig({}, [{ contexts: ['video'] }]),
+      empty: buildConfig({}, [{ contexts: [] }])
+    });
+
+    expect(errors.valid).toEqual([]);
+    expect(errors.unknown.join('\n')).toContain('Unknown context "video"');
+    expect(errors.empty.join('\n')).toContain('contexts must list at least one');
+  });
+
+  test('CTX-03: link text and image alt text are looked up in the page', async ({ optionsPage }) => {
+    await loadPageCapture(optionsPage);
+
+    const described = await optionsPage.evaluate(() => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <a href="https://example.com/docs">  Read
+          the docs </a>
+        <img src="https://example.com/chart.png" alt="Sales chart">
+      `;
+      document.body.appendChild(container);
+      return {
+        link: describeLink('https://example.com/docs'),
+        image: describeImage('https://example.com/chart.png'),
+        missing: describeLink('https://example.com/other')
+      };
+    });
+
+    expect(described.link).toEqual({ url: 'https://example.com/docs', text: 'Read the docs' });
+    expect(described.image).toEqual({ url: 'https://example.com/chart.png', alt: 'Sales chart' });
+    expect(described.missing).toEqual({ url: 'https://example.com/other', text: '' });
+  });
+
+  test('CTX-04: link and image variables are filled in', async ({ optionsPage }) => {
+    const prompt = await optionsPage.evaluate(async () => {
+      const { renderPrompt } = await import('./templates.js');
+      return renderPrompt('Explain what {{link.url}} ("{{link.text}}") is about; image {{image.url}} {{image.alt}}', {
+        selection: 'ignored',
+        link: { url: 'https://example.com/docs', text: 'Docs' },
+        image: { url: 'https://example.com/a.png', alt: 'Chart' }
+      });
+    });
+
+    expect(prompt).toBe('Explain what https://example.com/docs ("Docs") is about; image https://example.com/a.png Chart ignored');
+  });
+
+  test('CTX-05: contexts ticked in the action editor are saved', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('CTX-05 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    await optionsPage.locator('.action-title').first().fill('Explain Link');
+    await optionsPage.locator('.action-prompt').first().fill('Explain what this URL is about: {{link.url}}');
+    const actionItem = optionsPage.locator('.action-item').first();
+    await expect(actionItem.locator('.action-context[value="selection"]')).toBeChecked();
+    await actionItem.locator('.action-context[value="selection"]').uncheck();
+    await actionItem.locator('.action-context[value="link"]').check();
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const action = cfg.menus.find(m => m.name === 'CTX-05 Menu').actions[0];
+    expect(action.contexts).toEqual(['link']);
+  });
+
+});
@@ -0,0 +1,155 @@
+// tests/execution/ask-variables.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * ASK-01..06: Interactive {{ask:...}} prompt variables
+ *
+ * {{ask:Label}} and {{ask:Label|a,b}} placeholders are filled in by the user through a
+ * dialog shown in the source page (ask-dialog.js content script) before the prompt is sent.
+ */
+
+test.describe('Ask Variables', () => {
+
+  test('ASK-01: ask fields are parsed with their choices and de-duplicated', async ({ optionsPage }) => {
+    const fields = await optionsPage.evaluate(async () => {
+      const { getAskFields } = await import('./templates.js');
+      return getAskFields(
+        'Rewrite in a {{ask:Tone|formal, casual}} tone:',
+        'Use {{ask:Tone|formal, casual}} and at most {{ask:Word count}} words'
+      );
+    });
+
+    expect(fields).toEqual([
+      { name: 'ask:Tone|formal, casual', label: 'Tone', options: ['formal', 'casual'] },
+      { name: 'ask:Word count', label: 'Word count', options: [] }
+    ]);
+  });
+
+  test('ASK-02: collected answers are substituted into the prompt', async ({ optionsPage }) => {
+    const prompt = await optionsPage.evaluate(async () => {
+      const { renderPrompt } = await import('./templates.js');
+      return renderPrompt('Translate into {{ask:Language|French,German}}: {{selection}}', {
+        selection: 'Hello',
+        answers: { 'ask:Language|French,German': 'German' }
+      });
+    });
+
+    expect(prompt).toBe('Translate into German: Hello');
+  });
+
+  test('ASK-03: ask variable without a label is rejected on save', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('ASK-03 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    await optionsPage.locator('.action-title').first().fill('Empty Ask');
+    await optionsPage.locator('.action-prompt').first().fill('Rewrite in {{ask:|a,b}} tone:');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForTimeout(500);
+
+    await expect(optionsPage.locator('#error-banner')).toBeVisible();
+  });
+
+  test('ASK-04: shortcut run shows the dialog in the page, and cancelling opens no tab', async ({ context, optionsPage }) => {
+    await storeConfig(optionsPage, buildConfig({ autoSubmit: false }, [
+      { title: 'Rewrite', prompt: 'Rewrite in a {{ask:Tone|formal,casual}} tone:', shortcut: 'Ctrl+Shift+Y' }
+    ]));
+
+    const testPage = await context.newPage();
+    await testPage.goto('https://example.com');
+    await testPage.waitForTimeout(500);
+
+    await testPage.evaluate(() => {
+      const range = document.createRange();
+      range.selectNodeContents(document.querySelector('h1'));
+      window.getSelection().removeAllRanges();
+      window.getSelection().addRange(range);
+    });
+
+    const pageCountBefore = context.pages().length;
+    await testPage.keyboard.press('Control+Shift+Y');
+
+    // Dialog is rendered inside an open shadow root
+    const dialogSelect = testPage.locator('#chatgpt-query-ask-dialog select');
+    await expect(dialogSelect).toBeVisible({ timeout: 3000 });
+    const options = await dialogSelect.locator('option').allTextContents();
+    expect(options).toEqual(['formal', 'casual']);
+
+    await testPage.keyboard.press('Escape');
+    await expect(testPage.locator('#chatgpt-query-ask-dialog')).toHaveCount(0);
+
+    await testPage.waitForTimeout(1000);
+    expect(context.pages().length).toBe(pageCountBefore);
+  });
+
+  test('ASK-05: actions from a version 2 config also ask for their values', async ({ context, optionsPage }) => {
+    await optionsPage.evaluate((config) => {
+      return new Promise((resolve) => chrome.storage.sync.set({ config }, resolve));
+    }, {
+      version: 2,
+      globalSettings: {
+        customGptUrl: 'https://chatgpt.com',
+        gptTitleMatch: 'ChatGPT',
+        contextMenuTitle: 'Send to ChatGPT',
+        autoSubmit: false,
+        clearContext: true,
+        runAllEnabled: false,
+        runAllShortcut: ''
+      },
+      actions: [{
+        id: 'ask_action_v2',
+        title: 'Translate',
+        prompt: 'Translate into {{ask:Language|French,German}}:',
+        shortcut: 'Ctrl+Shift+Y',
+        enabled: true,
+        order: 1
+      }]
+    });
+
+    const testPage = await context.newPage();
+    await testPage.goto('https://example.com');
+    await testPage.waitForTimeout(500);
+
+    await testPage.evaluate(() => {
+      const range = document.createRange();
+      range.selectNodeContents(document.querySelector('h1'));
+      window.getSelection().removeAllRanges();
+      window.getSelection().addRange(range);
+    });
+
+    const pageCountBefore = context.pages().length;
+    await testPage.keyboard.press('Control+Shift+Y');
+
+    const dialogSelect = testPage.locator('#chatgpt-query-ask-dialog select');
+    await expect(dialogSelect).toBeVisible({ timeout: 3000 });
+    expect(await dialogSelect.locator('option').allTextContents()).toEqual(['French', 'German']);
+
+    await testPage.keyboard.press('Escape');
+    await testPage.waitForTimeout(1000);
+    expect(context.pages().length).toBe(pageCountBefore);
+  });
+
+  test('ASK-06: spellings of the same label are one field and all get its answer', async ({ optionsPage }) => {
+    const result = await optionsPage.evaluate(async () => {
+      const { getAskFields, renderPrompt, renderStep } = await import('./templates.js');
+      const prompt = 'Rewrite in a {{ask:Tone|formal, casual}} tone:';
+      const step = 'Now keep it {{ ask: Tone|formal,casual }}';
+      const fields = getAskFields(prompt, step);
+      const answers = { [fields[0].name]: 'casual' };
+      return {
+        fields,
+        prompt: renderPrompt(prompt, { selection: 'Hello', answers }),
+        step: renderStep(step, { answers })
+      };
+    });
+
+    expect(result.fields).toEqual([{ name: 'ask:Tone|formal, casual', label: 'Tone', options: ['formal', 'casual'] }]);
+    expect(result.prompt).toBe('Rewrite in a casual tone: Hello');
+    expect(result.step).toBe('Now keep it casual');
+  });
+
+});
@@ -0,0 +1,168 @@
+// tests/execution/cloud-api.spec.js
+import http from 'node:http';
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig } from '../fixtures/config.js';
+
+/**
+ * API-01..03: API mode
+ *
+ * Menus with executionMode 'api' send their prompts to the OpenAI, Anthropic or Gemini API
+ * (cloud-api.js) with a key from chrome.storage.local instead of typing them into a tab.
+ * A mock server answers in each API's wire format.
+ */
+
+// Answers like each API, and with a 401 when the key is "bad-key". Records the requests it gets.
+function startMockServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+    if (req.method === 'OPTIONS') {
+      res.end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.headers.authorization === 'Bearer bad-key') {
+        res.writeHead(401);
+        res.end(JSON.stringify({ error: { message: 'Incorrect API key provided' } }));
+      } else if (req.url.endsWith('/chat/completions')) {
+        res.end(JSON.stringify({
+          choices: [{ message: { role: 'assistant', content: 'OpenAI answer' } }],
+          usage: { prompt_tokens: 12, completion_tokens: 3 }
+        }));
+      } else if (req.url.endsWith('/messages')) {
+        res.end(JSON.stringify({
+          content: [{ type: 'text', text: 'Anthropic answer' }],
+          usage: { input_tokens: 20, output_tokens: 4 }
+        }));
+      } else {
+        res.end(JSON.stringify({
+          candidates: [{ content: { role: 'model', parts: [{ text: 'Gemini ' }, { text: 'answer' }] } }],
+          usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 5 }
+        }));
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// The fields of a menu that sends its prompts to OpenAI's API
+const API_MENU = { executionMode: 'api', apiProvider: 'openai', apiModel: 'gpt-4o-mini', apiTemperature: null, apiSystemPrompt: '' };
+
+test.describe('API Mode', () => {
+
+  test('API-01: API menus need a known API, a model and a temperature in range', async ({ optionsPage }) => {
+    const errors = await optionsPage.evaluate(async (configs) => {
+      const { validateConfig } = await import('./config.js');
+      return configs.map(config => validateConfig(config));
+    }, [
+      buildConfig(API_MENU, []),
+      buildConfig({ ...API_MENU, apiProvider: 'mistral' }, []),
+      buildConfig({ ...API_MENU, apiModel: ' ' }, []),
+      buildConfig({ ...API_MENU, apiProvider: 'anthropic', apiModel: 'claude-3-5-haiku-latest', apiTemperature: 1.5 }, []),
+      buildConfig({ ...API_MENU, executionMode: 'tab', apiModel: '' }, [])
+    ]);
+
+    expect(errors[0]).toEqual([]);
+    expect(errors[1].join('\n')).toContain('apiProvider must be one of openai, anthropic, gemini');
+    expect(errors[2].join('\n')).toContain('Choose a model for the API');
+    expect(errors[3].join('\n')).toContain('Temperature must be between 0 and 1');
+    expect(errors[4]).toEqual([]);
+  });
+
+  test('API-02: each API is called in its own wire format', async ({ optionsPage }) => {
+    const { server, requests, baseUrl } = await startMockServer();
+    try {
+      const results = await optionsPage.evaluate(async (baseUrl) => {
+        const { callCloudApi } = await import('./cloud-api.js');
+        const request = {
+          apiKey: 'test-key',
+          temperature: 0.2,
+          systemPrompt: 'Be brief.',
+          messages: [{ role: 'user', text: 'Summarize: Quarterly report', attachments: [] }]
+        };
+        return {
+          openai: await callCloudApi('openai', { ...request, model: 'gpt-4o-mini', baseUrl: `${baseUrl}/v1` }),
+          anthropic: await callCloudApi('anthropic', { ...request, model: 'claude-3-5-haiku-latest', baseUrl: `${baseUrl}/v1` }),
+          gemini: await callCloudApi('gemini', { ...request, model: 'gemini-2.0-flash', baseUrl: `${baseUrl}/v1beta` }),
+          error: await callCloudApi('openai', { ...request, apiKey: 'bad-key', model: 'gpt-4o-mini', baseUrl: `${baseUrl}/v1` })
+            .catch(e => e.message)
+        };
+      }, baseUrl);
+
+      expect(results.openai).toEqual({ text: 'OpenAI answer', usage: { inputTokens: 12, outputTokens: 3 } });
+      expect(results.anthropic).toEqual({ text: 'Anthropic answer', usage: { inputTokens: 20, outputTokens: 4 } });
+      expect(results.gemini).toEqual({ text: 'Gemini answer', usage: { inputTokens: 30, outputTokens: 5 } });
+      expect(results.error).toBe('OpenAI returned 401: Incorrect API key provided');
+
+      const [openai, anthropic, gemini] = requests;
+      expect(openai.path).toBe('/v1/chat/completions');
+      expect(openai.headers.authorization).toBe('Bearer test-key');
+      expect(openai.body).toEqual({
+        model: 'gpt-4o-mini',
+        temperature: 0.2,
+        messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Summarize: Quarterly report' }]
+      });
+
+      expect(anthropic.path).toBe('/v1/messages');
+      expect(anthropic.headers['x-api-key']).toBe('test-key');
+      expect(anthropic.headers['anthropic-version']).toBe('2023-06-01');
+      expect(anthropic.body).toMatchObject({
+        model: 'claude-3-5-haiku-latest',
+        system: 'Be brief.',
+        temperature: 0.2,
+        messages: [{ role: 'user', content: 'Summarize: Quarterly report' }]
+      });
+      expect(anthropic.body.max_tokens).toBeGreaterThan(0);
+
+      expect(gemini.path).toBe('/v1beta/models/gemini-2.0-flash:generateContent');
+      expect(gemini.headers['x-goog-api-key']).toBe('test-key');
+      expect(gemini.body).toEqual({
+        contents: [{ role: 'user', parts: [{ text: 'Summarize: Quarterly report' }] }],
+        systemInstruction: { parts: [{ text: 'Be brief.' }] },
+        generationConfig: { temperature: 0.2 }
+      });
+    } finally {
+      server.close();
+    }
+  });
+
+  test('API-03: API settings are saved from the menu editor', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('API-03 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+
+    await expect(optionsPage.locator('#apiGroup')).toBeHidden();
+    await optionsPage.locator('#executionMode').selectOption('api');
+    await expect(optionsPage.locator('#apiGroup')).toBeVisible();
+    await expect(optionsPage.locator('#apiModel')).toHaveValue('gpt-4o-mini');
+
+    await optionsPage.locator('#apiProvider').selectOption('anthropic');
+    await expect(optionsPage.locator('#apiModel')).toHaveValue('claude-3-5-haiku-latest');
+    await optionsPage.locator('#apiTemperature').fill('0.3');
+    await optionsPage.locator('#apiSystemPrompt').fill('Answer in French.');
+
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    expect(cfg.menus.find(m => m.name === 'API-03 Menu')).toMatchObject({
+      executionMode: 'api',
+      apiProvider: 'anthropic',
+      apiModel: 'claude-3-5-haiku-latest',
+      apiTemperature: 0.3,
+      apiSystemPrompt: 'Answer in French.'
+    });
+  });
+
+});
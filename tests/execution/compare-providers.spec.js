@@ -0,0 +1,79 @@
+// tests/execution/compare-providers.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig } from '../fixtures/config.js';
+
+/**
+ * CMP-01..03: Comparing providers
+ *
+ * menu.compareProviders lists the providers the "Compare Providers" submenu sends an action's
+ * prompt to. background.js keeps each comparison in chrome.storage.session (compare_<id>) and
+ * compare.html shows the answers side by side as they arrive.
+ */
+
+test.describe('Compare Providers', () => {
+
+  test('CMP-01: a comparison needs two or more known providers', async ({ optionsPage }) => {
+    const errors = await optionsPage.evaluate(async (configs) => {
+      const { validateConfig } = await import('./config.js');
+      return configs.map(config => validateConfig(config));
+    }, [
+      buildConfig({ compareProviders: ['https://chatgpt.com/', 'https://claude.ai/new', 'https://chat.mistral.ai/chat'] }),
+      buildConfig({ compareProviders: [] }),
+      buildConfig({ compareProviders: ['https://chatgpt.com/'] }),
+      buildConfig({ compareProviders: ['https://chatgpt.com/', 'https://example.com'] })
+    ]);
+
+    expect(errors[0]).toEqual([]);
+    expect(errors[1]).toEqual([]);
+    expect(errors[2].join('\n')).toContain('Pick at least two providers to compare');
+    expect(errors[3].join('\n')).toContain('Unknown compare provider https://example.com');
+  });
+
+  test('CMP-02: compare providers picked in the menu editor are saved', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('CMP-02 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await expect(optionsPage.locator('.compare-provider')).toHaveCount(8);
+    await optionsPage.locator('.compare-provider[value="https://chatgpt.com/"]').check();
+    await optionsPage.locator('.compare-provider[value="https://gemini.google.com/app"]').check();
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const menu = cfg.menus.find(m => m.name === 'CMP-02 Menu');
+    expect(menu.compareProviders).toEqual(['https://chatgpt.com/', 'https://gemini.google.com/app']);
+  });
+
+  test('CMP-03: comparison page shows answers side by side as they arrive', async ({ context, extensionId, optionsPage }) => {
+    const session = {
+      id: 'cmp-test',
+      title: 'Explain',
+      menuName: 'Compare',
+      prompt: 'Explain: closures',
+      startedAt: Date.now(),
+      results: [
+        { providerUrl: 'https://chatgpt.com', name: 'ChatGPT', status: 'done', text: 'A closure keeps its scope.', elapsedMs: 4200 },
+        { providerUrl: 'https://claude.ai/new', name: 'Claude', status: 'waiting' }
+      ]
+    };
+    await optionsPage.evaluate((session) => chrome.storage.session.set({ [`compare_${session.id}`]: session }), session);
+
+    const page = await context.newPage();
+    await page.goto(`chrome-extension://${extensionId}/compare.html?id=cmp-test`);
+
+    const columns = page.locator('.compare-result');
+    await expect(columns).toHaveCount(2);
+    await expect(columns.first()).toContainText('A closure keeps its scope.');
+    await expect(columns.first()).toContainText('Answered in 4.2 s');
+    await expect(columns.nth(1)).toContainText('Waiting for the answer');
+    await expect(columns.nth(1).locator('.compare-copy')).toHaveCount(0);
+
+    session.results[1] = { ...session.results[1], status: 'done', text: 'Functions that remember variables.', elapsedMs: 6000 };
+    await optionsPage.evaluate((session) => chrome.storage.session.set({ [`compare_${session.id}`]: session }), session);
+
+    await expect(columns.nth(1)).toContainText('Functions that remember variables.');
+    await expect(columns.nth(1).locator('.compare-copy')).toHaveCount(1);
+  });
+
+});
@@ -65,8 +65,9 @@ test.describe('Config Validation Edge Cases', () => {
     const menuName = await page.locator('#menuName').inputValue();
     expect(menuName).not.toBe('Invalid Menu');
 
-    // No crash — page loads cleanly
-    await expect(page.locator('#error-banner')).toBeHidden();
+    // No crash, and the options page says why the saved config wasn't loaded
+    await expect(page.locator('#error-banner')).toBeVisible();
+    await expect(page.locator('#error-banner')).toContainText('Menu 1: Custom GPT URL must start with');
   });
 
   test('VAL-03: whitespace-only action title is rejected on save', async ({ extensionId, context }) => {
@@ -144,8 +145,9 @@ test.describe('Config Validation Edge Cases', () => {
     const hasInvalidMenu = allMenuNames.some(n => n.includes('VAL-05 Menu'));
     expect(hasInvalidMenu).toBe(false);
 
-    // Page loads cleanly
-    await expect(page.locator('#error-banner')).toBeHidden();
+    // The options page says why the saved config wasn't loaded
+    await expect(page.locator('#error-banner')).toBeVisible();
+    await expect(page.locator('#error-banner')).toContainText('Maximum 10 menus allowed');
   });
 
 });
@@ -0,0 +1,101 @@
+// tests/execution/conversation-mode.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * CONV-01..03: New chat or continue the conversation
+ *
+ * menu.conversationMode ('new' | 'continue') decides whether a run starts a new chat or sends
+ * to the tab the menu used last; action.conversationMode overrides it. Menus without one
+ * follow globalSettings.clearContext (getConversationMode in config.js).
+ */
+
+test.describe('Conversation Mode', () => {
+
+  test('CONV-01: actions override menus, which override Clear Context; unknown modes are rejected', async ({ optionsPage }) => {
+    const result = await optionsPage.evaluate(async (configs) => {
+      const { getConversationMode, validateConfig } = await import('./config.js');
+      return {
+        modes: [
+          getConversationMode({ conversationMode: 'continue' }, { conversationMode: 'new' }, { clearContext: true }),
+          getConversationMode({ conversationMode: '' }, { conversationMode: 'continue' }, { clearContext: true }),
+          getConversationMode({}, {}, { clearContext: false }),
+          getConversationMode({}, {}, { clearContext: true })
+        ],
+        errors: configs.map(config => validateConfig(config))
+      };
+    }, [
+      buildConfig({ conversationMode: 'continue' }, [{ conversationMode: '' }]),
+      buildConfig({ conversationMode: 'always' }, [{ conversationMode: '' }]),
+      buildConfig({ conversationMode: 'new' }, [{ conversationMode: 'sometimes' }])
+    ]);
+
+    expect(result.modes).toEqual(['continue', 'continue', 'continue', 'new']);
+    expect(result.errors[0]).toEqual([]);
+    expect(result.errors[1].join('\n')).toContain('conversationMode must be one of new, continue');
+    expect(result.errors[2].join('\n')).toContain('conversationMode must be one of new, continue');
+  });
+
+  test('CONV-02: menu and action conversation settings are saved', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('CONV-02 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await expect(optionsPage.locator('#conversationMode')).toHaveValue('new');
+    await optionsPage.locator('#conversationMode').selectOption('continue');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    const actionItem = optionsPage.locator('.action-item').first();
+    await actionItem.locator('.action-title').fill('Summarize');
+    await actionItem.locator('.action-prompt').fill('Summarize:');
+    await expect(actionItem.locator('.action-conversation-mode')).toHaveValue('');
+    await actionItem.locator('.action-conversation-mode').selectOption('new');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const menu = cfg.menus.find(m => m.name === 'CONV-02 Menu');
+    expect(menu.conversationMode).toBe('continue');
+    expect(menu.actions[0].conversationMode).toBe('new');
+  });
+
+  test('CONV-03: menus saved without picking a conversation mode keep following Clear Context', async ({ optionsPage }) => {
+    const config = buildConfig({ name: 'CONV-03 Menu' });
+    config.globalSettings.clearContext = false;
+    await storeConfig(optionsPage, config);
+    await optionsPage.reloadOptions();
+
+    // An existing menu, saved after another change
+    await optionsPage.locator('.menu-item', { hasText: 'CONV-03 Menu' }).click();
+    await expect(optionsPage.locator('#conversationMode')).toHaveValue('continue');
+    await optionsPage.locator('#menuName').fill('CONV-03 Renamed');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    // A new menu starts from the global setting too
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await expect(optionsPage.locator('#conversationMode')).toHaveValue('continue');
+    await optionsPage.locator('#menuName').fill('CONV-03 New');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const modes = await optionsPage.evaluate(async () => {
+      const { getConversationMode } = await import('./config.js');
+      const { config } = await chrome.storage.sync.get('config');
+      const menus = ['CONV-03 Renamed', 'CONV-03 New'].map(name => config.menus.find(m => m.name === name));
+      return {
+        stored: menus.map(menu => 'conversationMode' in menu),
+        clearContextOff: menus.map(menu => getConversationMode(null, menu, config.globalSettings)),
+        clearContextOn: menus.map(menu => getConversationMode(null, menu, { ...config.globalSettings, clearContext: true }))
+      };
+    });
+
+    expect(modes.stored).toEqual([false, false]);
+    expect(modes.clearContextOff).toEqual(['continue', 'continue']);
+    expect(modes.clearContextOn).toEqual(['new', 'new']);
+  });
+
+});
@@ -0,0 +1,115 @@
+// tests/execution/custom-providers.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * CUST-01..03: Custom providers
+ *
+ * Chat UIs other than the built-in PROVIDERS are defined on the Custom Providers page and
+ * stored in chrome.storage.sync under 'customProviders' (providers.js). Menu URLs matching a
+ * custom provider's URL pattern are valid and use its selectors and submit strategy.
+ */
+
+const WEBUI = {
+  id: 'provider_webui',
+  name: 'Open WebUI',
+  urlPattern: 'https://chat.example.com/*',
+  readySelector: '#chat-input',
+  inputSelectors: ['textarea#chat-input'],
+  sendButtonSelectors: ['button#send-message-button'],
+  submitStrategy: 'button'
+};
+
+test.describe('Custom Providers', () => {
+
+  test('CUST-01: providers are validated and matched by URL pattern', async ({ optionsPage }) => {
+    const result = await optionsPage.evaluate(async (webui) => {
+      const { validateCustomProviders, resolveProvider, getPermissionOrigin } = await import('./providers.js');
+      return {
+        valid: validateCustomProviders([webui]),
+        invalid: validateCustomProviders([
+          { ...webui, urlPattern: 'chat.example.com' },
+          { ...webui, id: 'provider_2', urlPattern: 'https://claude.ai/*', inputSelectors: ['div[[broken'] },
+          { ...webui, id: 'provider_3', sendButtonSelectors: [], submitStrategy: 'button' }
+        ]),
+        matched: resolveProvider('https://chat.example.com/c/123', [webui]).name,
+        builtIn: resolveProvider('https://claude.ai/new', [webui]).titleMatch,
+        mentionsBuiltIn: resolveProvider('https://chat.example.com/proxy/claude.ai?from=chatgpt.com', [webui]).name,
+        lookalikeHost: resolveProvider('https://claude.ai.example.org/new', [webui]).titleMatch,
+        origin: getPermissionOrigin('https://*.example.com/chat/*')
+      };
+    }, WEBUI);
+
+    expect(result.valid).toEqual([]);
+    const errors = result.invalid.join('\n');
+    expect(errors).toContain('URL pattern must look like https://chat.example.com/*');
+    expect(errors).toContain('claude.ai is already a built-in provider');
+    expect(errors).toContain('Invalid input selector "div[[broken"');
+    expect(errors).toContain('Add a send button selector, or submit with Enter');
+    expect(result.matched).toBe('Open WebUI');
+    expect(result.builtIn).toBe('Claude');
+    expect(result.mentionsBuiltIn).toBe('Open WebUI');
+    expect(result.lookalikeHost).not.toBe('Claude');
+    expect(result.origin).toBe('https://*.example.com/*');
+  });
+
+  test('CUST-02: menu URLs are accepted only when a custom provider matches them', async ({ optionsPage }) => {
+    const errors = await optionsPage.evaluate(async ({ webui, configs }) => {
+      const { validateConfig } = await import('./config.js');
+      return [
+        validateConfig(configs[0], [webui]),
+        validateConfig(configs[0]),
+        validateConfig(configs[1], [webui]),
+        validateConfig(configs[2], [webui])
+      ];
+    }, {
+      webui: WEBUI,
+      configs: [
+        buildConfig({ name: 'Team Chat', customGptUrl: 'https://chat.example.com/' }, []),
+        buildConfig({ name: 'Team Chat', customGptUrl: 'https://other.example.com/' }, []),
+        // Starts like a built-in provider's URL, but is another host
+        buildConfig({ name: 'Team Chat', customGptUrl: 'https://chatgpt.com.example.net/' }, [])
+      ]
+    });
+
+    expect(errors[0]).toEqual([]);
+    expect(errors[1].join('\n')).toContain('Custom GPT URL must start with https://chatgpt.com');
+    expect(errors[2].join('\n')).toContain('or match a custom provider');
+    expect(errors[3].join('\n')).toContain('or match a custom provider');
+  });
+
+  test('CUST-03: providers are saved from the page and can\'t be deleted while a menu uses them', async ({ context, extensionId }) => {
+    const page = await context.newPage();
+    await page.goto(`chrome-extension://${extensionId}/custom-providers.html`);
+    await page.waitForLoadState('networkidle');
+
+    await page.locator('#add-provider').click();
+    const card = page.locator('.provider-card').last();
+    await card.locator('.provider-name').fill('Open WebUI');
+    await card.locator('.provider-url-pattern').fill('https://chat.example.com/*');
+    await card.locator('.provider-input-selectors').fill('textarea#chat-input\n');
+    await card.locator('.provider-submit-strategy').selectOption('enter');
+    await expect(card.locator('.provider-access')).toHaveText('No access');
+    await card.locator('.provider-save').click();
+    await expect(page.locator('#warning-banner')).toContainText('Grant Access');
+
+    const saved = await page.evaluate(() => chrome.storage.sync.get('customProviders'));
+    expect(saved.customProviders).toHaveLength(1);
+    expect(saved.customProviders[0]).toMatchObject({
+      name: 'Open WebUI',
+      urlPattern: 'https://chat.example.com/*',
+      inputSelectors: ['textarea#chat-input'],
+      submitStrategy: 'enter'
+    });
+
+    // A menu now uses the provider
+    await storeConfig(page, buildConfig({ name: 'Team Chat', customGptUrl: 'https://chat.example.com/' }, []));
+    await page.waitForTimeout(300);
+
+    await card.locator('.provider-delete').click();
+    await expect(page.locator('#error-banner')).toContainText('"Open WebUI" is used by "Team Chat"');
+    const after = await page.evaluate(() => chrome.storage.sync.get('customProviders'));
+    expect(after.customProviders).toHaveLength(1);
+  });
+
+});
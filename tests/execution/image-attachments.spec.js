@@ -0,0 +1,44 @@
+// tests/execution/image-attachments.spec.js
+import { test, expect } from '../fixtures/extension.js';
+
+/**
+ * IMG-01..02: Reading right-clicked images for attachment
+ *
+ * Images the extension can't fetch itself are read by the page that shows them
+ * (fetchImageData() in page-capture.js) and handed over as base64 data.
+ */
+
+// Load page-capture.js into the options page
+async function loadPageCapture(page) {
+  await page.evaluate(() => new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = 'page-capture.js';
+    script.onload = resolve;
+    script.onerror = reject;
+    document.head.appendChild(script);
+  }));
+}
+
+test.describe('Image Attachments', () => {
+
+  test('IMG-01: page reads an image as base64 data with its type and size', async ({ optionsPage }) => {
+    await loadPageCapture(optionsPage);
+
+    const image = await optionsPage.evaluate(() => fetchImageData('icons/icon-48.png'));
+
+    expect(image.type).toBe('image/png');
+    expect(image.size).toBeGreaterThan(0);
+    // PNG signature: \x89PNG
+    const header = Buffer.from(image.data, 'base64').subarray(0, 4);
+    expect(header.toString('latin1')).toBe('\x89PNG');
+  });
+
+  test('IMG-02: unreadable image resolves to null', async ({ optionsPage }) => {
+    await loadPageCapture(optionsPage);
+
+    const image = await optionsPage.evaluate(() => fetchImageData('icons/does-not-exist.png'));
+
+    expect(image).toBeNull();
+  });
+
+});
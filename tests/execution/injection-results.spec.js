@@ -0,0 +1,144 @@
+// tests/execution/injection-results.spec.js
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * INJ-01..04: Structured injection results
+ *
+ * tryInjectWithTiming() returns a status code, the selectors that matched, the time per phase
+ * and an error. The status decides whether injectWithRetry() tries again, and the result is
+ * saved on the run's history entry. The Le Chat fixture page stands in for the provider.
+ */
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/providers');
+const LE_CHAT_URL = 'https://chat.mistral.ai/chat';
+
+// Run the action through a history re-run, which sends it like a context menu click and
+// records a new history entry
+async function runLeChatAction(optionsPage) {
+  await storeConfig(optionsPage, buildConfig(
+    { id: 'menu_inj', name: 'Injection', customGptUrl: LE_CHAT_URL },
+    [{ title: 'Summarize', prompt: 'Summarize:' }]
+  ));
+  await optionsPage.evaluate(async (url) => {
+    await chrome.storage.local.set({
+      runHistory: [{
+        id: 'run_inj',
+        timestamp: Date.now(),
+        menuId: 'menu_inj',
+        menuName: 'Injection',
+        actionId: 'a1',
+        actionTitle: 'Summarize',
+        selection: { context: 'selection', text: 'Quarterly report' },
+        answers: {},
+        prompt: 'Summarize: Quarterly report',
+        providerUrl: url,
+        status: 'sent',
+        conversationUrl: ''
+      }]
+    });
+  }, LE_CHAT_URL);
+  await optionsPage.waitForTimeout(500);
+
+  const response = await optionsPage.evaluate(() => chrome.runtime.sendMessage({ type: 'RERUN_HISTORY_ENTRY', id: 'run_inj' }));
+  expect(response.ok).toBe(true);
+}
+
+// The injection saved on the re-run's entry, once there is one
+function readInjection(optionsPage) {
+  return optionsPage.evaluate(async () => {
+    const { runHistory } = await chrome.storage.local.get('runHistory');
+    return runHistory.find(entry => entry.id !== 'run_inj')?.injection || null;
+  });
+}
+
+test.describe('Injection Results', () => {
+
+  test('INJ-01: a sent prompt records its status, selectors and phase timings', async ({ context, optionsPage }) => {
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      path: path.join(FIXTURES_DIR, 'mistral.html'),
+      contentType: 'text/html'
+    }));
+
+    await runLeChatAction(optionsPage);
+    await expect.poll(() => readInjection(optionsPage), { timeout: 15000 }).not.toBeNull();
+
+    const injection = await readInjection(optionsPage);
+    expect(injection).toMatchObject({
+      status: 'submitted',
+      selector: "div.ProseMirror[contenteditable='true']",
+      sendSelector: "button[aria-label='Send question']",
+      error: '',
+      attempts: 1
+    });
+    for (const phase of ['tabReady', 'editorFound', 'inserted', 'submitted']) {
+      expect(injection.timings[phase]).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  test('INJ-02: a sign-in page is reported as login-required and not retried', async ({ context, extensionId, optionsPage }) => {
+    test.setTimeout(40000);
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      body: '<html><head><title>Le Chat - Mistral AI</title></head><body><a href="/login">Log in</a></body></html>',
+      contentType: 'text/html'
+    }));
+
+    await runLeChatAction(optionsPage);
+    await expect.poll(() => readInjection(optionsPage), { timeout: 25000 }).not.toBeNull();
+
+    const injection = await readInjection(optionsPage);
+    expect(injection).toMatchObject({ status: 'login-required', selector: '', attempts: 1 });
+    expect(injection.timings.editorFound).toBeNull();
+    expect(injection.error).toBe('The provider asks you to sign in');
+
+    const historyPage = await context.newPage();
+    await historyPage.goto(`chrome-extension://${extensionId}/history.html`);
+    await expect(historyPage.locator('.history-entry-injection').first()).toContainText('login-required · The provider asks you to sign in');
+  });
+
+  test('INJ-03: a missing editor is retried once before the run fails', async ({ context, optionsPage }) => {
+    test.setTimeout(60000);
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      body: '<html><head><title>Le Chat - Mistral AI</title></head><body><p>Loading...</p></body></html>',
+      contentType: 'text/html'
+    }));
+
+    await runLeChatAction(optionsPage);
+    await expect.poll(() => readInjection(optionsPage), { timeout: 40000 }).not.toBeNull();
+
+    const injection = await readInjection(optionsPage);
+    expect(injection).toMatchObject({ status: 'editor-not-found', attempts: 2 });
+    const status = await optionsPage.evaluate(async () => {
+      const { runHistory } = await chrome.storage.local.get('runHistory');
+      return runHistory.find(entry => entry.id !== 'run_inj').status;
+    });
+    expect(status).toBe('failed');
+  });
+
+  test('INJ-04: a prompt kept back by a disabled send button is recorded as inserted, not sent', async ({ context, optionsPage }) => {
+    test.setTimeout(40000);
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      body: `<html><head><title>Le Chat - Mistral AI</title></head><body>
+        <form onsubmit="return false">
+          <div class="ProseMirror" contenteditable="true" role="textbox" style="width:400px;min-height:40px"></div>
+          <button type="submit" aria-label="Send question" disabled>Send</button>
+        </form>
+      </body></html>`,
+      contentType: 'text/html'
+    }));
+
+    await runLeChatAction(optionsPage);
+    await expect.poll(() => readInjection(optionsPage), { timeout: 25000 }).not.toBeNull();
+
+    const injection = await readInjection(optionsPage);
+    expect(injection).toMatchObject({ status: 'send-disabled', sendSelector: "button[aria-label='Send question']" });
+    const status = await optionsPage.evaluate(async () => {
+      const { runHistory } = await chrome.storage.local.get('runHistory');
+      return runHistory.find(entry => entry.id !== 'run_inj').status;
+    });
+    expect(status).toBe('inserted');
+  });
+
+});
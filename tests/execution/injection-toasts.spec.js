@@ -0,0 +1,132 @@
+// tests/execution/injection-toasts.spec.js
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * TOAST-01..04: In-page toasts
+ *
+ * tryInjectWithTiming() reports each prompt in the provider tab with a non-blocking toast:
+ * a success notice, or a reason code with Copy prompt and Retry buttons instead of alert().
+ * The Le Chat fixture page stands in for the provider.
+ */
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/providers');
+const LE_CHAT_URL = 'https://chat.mistral.ai/chat';
+
+// Run the action through a history re-run, which sends it like a context menu click
+async function runLeChatAction(optionsPage) {
+  await storeConfig(optionsPage, buildConfig(
+    { id: 'menu_toast', name: 'Toast', customGptUrl: LE_CHAT_URL },
+    [{ title: 'Summarize', prompt: 'Summarize:' }]
+  ));
+  await optionsPage.evaluate(async (url) => {
+    await chrome.storage.local.set({
+      runHistory: [{
+        id: 'run_toast',
+        timestamp: Date.now(),
+        menuId: 'menu_toast',
+        menuName: 'Toast',
+        actionId: 'a1',
+        actionTitle: 'Summarize',
+        selection: { context: 'selection', text: 'Quarterly report' },
+        answers: {},
+        prompt: 'Summarize: Quarterly report',
+        providerUrl: url,
+        status: 'sent',
+        conversationUrl: ''
+      }]
+    });
+  }, LE_CHAT_URL);
+  await optionsPage.waitForTimeout(500);
+
+  const providerPagePromise = optionsPage.context().waitForEvent('page', { predicate: page => page.url().includes('chat.mistral.ai') });
+  const response = await optionsPage.evaluate(() => chrome.runtime.sendMessage({ type: 'RERUN_HISTORY_ENTRY', id: 'run_toast' }));
+  expect(response.ok).toBe(true);
+  return providerPagePromise;
+}
+
+test.describe('In-page Toasts', () => {
+
+  test('TOAST-01: a sent prompt gets a success toast that goes away', async ({ context, optionsPage }) => {
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      path: path.join(FIXTURES_DIR, 'mistral.html'),
+      contentType: 'text/html'
+    }));
+
+    const providerPage = await runLeChatAction(optionsPage);
+    await expect(providerPage.locator('body')).toHaveAttribute('data-sent', 'Summarize: Quarterly report', { timeout: 10000 });
+
+    const toast = providerPage.locator('#chatgpt-query-toast [role="status"]');
+    await expect(toast).toContainText('Prompt sent');
+    await expect(toast.locator('.toast-retry')).toHaveCount(0);
+    await expect(toast).toHaveCount(0, { timeout: 6000 });
+  });
+
+  test('TOAST-02: a page without an editor gets a toast with the reason, Copy prompt and Retry', async ({ context, optionsPage }) => {
+    // editor-not-found is retried once, so the toast comes after the second attempt
+    test.setTimeout(60000);
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      body: '<html><head><title>Le Chat - Mistral AI</title></head><body><p>Loading...</p></body></html>',
+      contentType: 'text/html'
+    }));
+
+    const providerPage = await runLeChatAction(optionsPage);
+    const dialogs = [];
+    providerPage.on('dialog', dialog => {
+      dialogs.push(dialog.message());
+      dialog.dismiss();
+    });
+
+    const toast = providerPage.locator('#chatgpt-query-toast [role="alert"]');
+    await expect(toast).toBeVisible({ timeout: 40000 });
+    await expect(toast).toContainText('Prompt not inserted');
+    await expect(toast.locator('.toast-reason')).toHaveText('editor-not-found');
+    await expect(toast.locator('.toast-copy')).toBeVisible();
+    await expect(toast.locator('.toast-retry')).toBeVisible();
+    expect(dialogs).toEqual([]);
+
+    // The page stays usable: the toast closes without reloading it
+    await toast.getByRole('button', { name: 'Close' }).click();
+    await expect(toast).toHaveCount(0);
+  });
+
+  test('TOAST-03: retrying a prompt that is no longer kept reports it as expired', async ({ optionsPage }) => {
+    const response = await optionsPage.evaluate(() => chrome.runtime.sendMessage({ type: 'RETRY_INJECTION', retryId: 'retry_missing' }));
+    expect(response).toEqual({ ok: false, expired: true });
+  });
+
+  test('TOAST-04: a Retry that gets through updates the run history entry', async ({ context, optionsPage }) => {
+    test.setTimeout(60000);
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      body: '<html><head><title>Le Chat - Mistral AI</title></head><body><p>Loading...</p></body></html>',
+      contentType: 'text/html'
+    }));
+
+    const providerPage = await runLeChatAction(optionsPage);
+    const toast = providerPage.locator('#chatgpt-query-toast [role="alert"]');
+    await expect(toast).toBeVisible({ timeout: 40000 });
+
+    const readEntry = () => optionsPage.evaluate(async () => {
+      const { runHistory } = await chrome.storage.local.get('runHistory');
+      return runHistory.find(entry => entry.id !== 'run_toast') || null;
+    });
+    await expect.poll(async () => (await readEntry())?.status, { timeout: 5000 }).toBe('failed');
+
+    // The editor shows up once the page has finished loading
+    await providerPage.evaluate(() => {
+      document.body.insertAdjacentHTML('beforeend', `
+        <form onsubmit="return false">
+          <div class="ProseMirror" contenteditable="true" role="textbox" style="width:400px;min-height:40px"></div>
+          <button type="submit" aria-label="Send question">Send</button>
+        </form>`);
+    });
+    await toast.locator('.toast-retry').click();
+
+    await expect.poll(async () => (await readEntry())?.status, { timeout: 15000 }).toBe('sent');
+    const entry = await readEntry();
+    expect(entry.injection.status).toBe('submitted');
+  });
+
+});
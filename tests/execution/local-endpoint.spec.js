@@ -0,0 +1,145 @@
+// tests/execution/local-endpoint.spec.js
+import http from 'node:http';
+import { test, expect } from '../fixtures/extension.js';
+
+/**
+ * LOCAL-01..03: Endpoint providers (local LLMs)
+ *
+ * Custom providers of type 'endpoint' skip the tab: the prompt is POSTed to an OpenAI-compatible
+ * /chat/completions API (llm-endpoint.js) and the streamed answer is shown on answer.html.
+ * A stub server stands in for Ollama.
+ */
+
+const OLLAMA = {
+  id: 'provider_ollama',
+  name: 'Ollama',
+  type: 'endpoint',
+  urlPattern: 'http://localhost:11434/*',
+  model: 'llama3.2'
+};
+
+// Answers with server-sent events, or a plain JSON body for models ending in "-json",
+// and with a 404 for models ending in "-missing". Records the request bodies it gets.
+function startStubServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push({ path: req.url, ...request });
+
+      if (request.model.endsWith('-missing')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `model "${request.model}" not found` }));
+      } else if (request.model.endsWith('-json')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'Whole answer' } }] }));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const piece of ['The report ', 'looks ', 'fine.']) {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` }));
+  });
+}
+
+test.describe('Endpoint Providers', () => {
+
+  test('LOCAL-01: endpoint providers need a model instead of selectors', async ({ optionsPage }) => {
+    const result = await optionsPage.evaluate(async (ollama) => {
+      const { validateCustomProviders, resolveProvider, isProviderUrl } = await import('./providers.js');
+      return {
+        valid: validateCustomProviders([ollama]),
+        invalid: validateCustomProviders([
+          { ...ollama, model: ' ' },
+          { ...ollama, id: 'provider_2', type: 'api' }
+        ]),
+        provider: resolveProvider('http://localhost:11434/v1', [ollama]),
+        menuUrl: isProviderUrl('http://localhost:11434/v1', [ollama])
+      };
+    }, OLLAMA);
+
+    expect(result.valid).toEqual([]);
+    const errors = result.invalid.join('\n');
+    expect(errors).toContain('Provider "Ollama": Model is required');
+    expect(errors).toContain('type must be one of chat, endpoint');
+    expect(result.provider).toMatchObject({ name: 'Ollama', endpoint: true, model: 'llama3.2', permissionOrigin: 'http://localhost:11434/*' });
+    expect(result.menuUrl).toBe(true);
+  });
+
+  test('LOCAL-02: answers stream from an OpenAI-compatible server', async ({ optionsPage }) => {
+    const { server, requests, baseUrl } = await startStubServer();
+    try {
+      const result = await optionsPage.evaluate(async (baseUrl) => {
+        const { streamChatCompletion, toMessageContent } = await import('./llm-endpoint.js');
+        const deltas = [];
+        const messages = [{ role: 'user', content: toMessageContent('Summarize:', [{ name: 'notes.txt', type: 'text/plain', data: btoa('Quarterly report') }]) }];
+        const streamed = await streamChatCompletion(baseUrl, { model: 'llama3.2', messages, onDelta: text => deltas.push(text) });
+        const whole = await streamChatCompletion(`${baseUrl}/chat/completions`, { model: 'llama3.2-json', messages });
+        const error = await streamChatCompletion(baseUrl, { model: 'llama3.2-missing', messages }).catch(e => e.message);
+        return { deltas, streamed, whole, error };
+      }, baseUrl);
+
+      expect(result.deltas).toEqual(['The report ', 'looks ', 'fine.']);
+      expect(result.streamed).toBe('The report looks fine.');
+      expect(result.whole).toBe('Whole answer');
+      expect(result.error).toContain('404');
+      expect(result.error).toContain('model "llama3.2-missing" not found');
+
+      expect(requests[0]).toMatchObject({
+        path: '/v1/chat/completions',
+        model: 'llama3.2',
+        stream: true,
+        messages: [{ role: 'user', content: [{ type: 'text', text: 'Summarize:' }, { type: 'text', text: 'notes.txt:\nQuarterly report' }] }]
+      });
+      expect(requests[1].path).toBe('/v1/chat/completions');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('LOCAL-03: the answer page follows the session as it streams', async ({ context, extensionId }) => {
+    const page = await context.newPage();
+    const session = {
+      id: 'local03',
+      title: 'Summarize',
+      menuName: 'Local',
+      providerName: 'Ollama',
+      model: 'llama3.2',
+      startedAt: Date.now(),
+      status: 'streaming',
+      error: '',
+      turns: [{ prompt: 'Summarize: Quarterly report', text: 'The report ' }]
+    };
+    await page.goto(`chrome-extension://${extensionId}/answer.html?id=local03`);
+    await page.evaluate(s => chrome.storage.session.set({ answer_local03: s }), session);
+    await page.reload();
+
+    await expect(page.locator('#answer-title')).toHaveText('Summarize');
+    await expect(page.locator('#answer-provider')).toHaveText('Ollama · llama3.2');
+    await expect(page.locator('.answer-text')).toHaveText('The report ');
+    await expect(page.locator('#answer-stop')).toBeVisible();
+
+    await page.evaluate(s => chrome.storage.session.set({
+      answer_local03: { ...s, status: 'done', turns: [{ ...s.turns[0], text: 'The report looks fine.' }] }
+    }), session);
+    await expect(page.locator('.answer-text')).toHaveText('The report looks fine.');
+    await expect(page.locator('#answer-status')).toHaveText('Done');
+    await expect(page.locator('#answer-stop')).toBeHidden();
+  });
+
+});
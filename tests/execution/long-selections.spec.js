@@ -0,0 +1,57 @@
+// tests/execution/long-selections.spec.js
+import { test, expect } from '../fixtures/extension.js';
+
+/**
+ * LONG-01..03: Long selections are sent in parts
+ *
+ * When the rendered prompt exceeds the provider's maxPromptChars, buildPromptMessages()
+ * (templates.js) splits the selection on paragraph breaks into numbered parts. Each part
+ * asks the AI to wait for the rest; the last one carries the action's prompt.
+ */
+
+// Ten ~245 character paragraphs
+const LONG_TEXT = Array.from({ length: 10 }, (_, i) => `Paragraph ${i + 1} ${'word '.repeat(40).trim()}`).join('\n\n');
+
+test.describe('Long Selections', () => {
+
+  test('LONG-01: text is split at paragraph breaks within the budget', async ({ optionsPage }) => {
+    const chunks = await optionsPage.evaluate(async (text) => {
+      const { splitIntoChunks } = await import('./templates.js');
+      return splitIntoChunks(text, 700);
+    }, LONG_TEXT);
+
+    expect(chunks.length).toBe(4);
+    chunks.forEach(chunk => {
+      expect(chunk.length).toBeLessThanOrEqual(700);
+      expect(chunk).toMatch(/^Paragraph \d+ word/);
+      expect(chunk).toMatch(/word$/);
+    });
+    expect(chunks.join('\n\n')).toBe(LONG_TEXT);
+  });
+
+  test('LONG-02: prompts over the budget become numbered parts with the prompt last', async ({ optionsPage }) => {
+    const messages = await optionsPage.evaluate(async (text) => {
+      const { buildPromptMessages } = await import('./templates.js');
+      return buildPromptMessages('Summarize {{selection}} in three bullets', { selection: text }, 1500);
+    }, LONG_TEXT);
+
+    expect(messages.length).toBe(2);
+    messages.forEach(message => expect(message.length).toBeLessThanOrEqual(1500));
+    expect(messages[0]).toMatch(/^\[Part 1 of 2\]/);
+    expect(messages[0]).toContain('wait for all parts');
+    expect(messages[0]).not.toContain('Summarize');
+    expect(messages[1]).toMatch(/^\[Part 2 of 2\]/);
+    expect(messages[1]).toContain('Paragraph 10');
+    expect(messages[1]).toMatch(/Summarize \(the text sent in the parts above\) in three bullets$/);
+  });
+
+  test('LONG-03: prompts within the budget are sent as one message', async ({ optionsPage }) => {
+    const messages = await optionsPage.evaluate(async () => {
+      const { buildPromptMessages } = await import('./templates.js');
+      return buildPromptMessages('Explain:', { selection: 'a short selection' }, 1500);
+    });
+
+    expect(messages).toEqual(['Explain: a short selection']);
+  });
+
+});
@@ -0,0 +1,100 @@
+// tests/execution/page-source.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * PAGE-01..04: Whole-page source for actions
+ *
+ * Actions with the 'page' context use the page's main content (extractPageContent() in the
+ * page-capture.js content script) when nothing is selected. Menus for such actions are also
+ * registered in the 'page' context, and their shortcuts work without a selection.
+ */
+
+// A shortcut action whose ask dialog shows that it ran
+const SHORTCUT_ACTION = { title: 'Summarize', prompt: 'Summarize in a {{ask:Tone|short,detailed}} way:', shortcut: 'Ctrl+Shift+Y' };
+
+// Replace the options page body with the given HTML and run extractPageContent()
+async function extractFromHtml(page, html, maxLength) {
+  return page.evaluate(async ({ markup, maxLength }) => {
+    await new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = 'page-capture.js';
+      script.onload = resolve;
+      script.onerror = reject;
+      document.head.appendChild(script);
+    });
+    document.body.innerHTML = markup;
+    return extractPageContent(maxLength);
+  }, { markup: html, maxLength });
+}
+
+const ARTICLE_PAGE = `
+  <nav><a href="/a">Home</a> <a href="/b">Blog</a> <a href="/c">About</a></nav>
+  <div class="layout">
+    <aside><p>Sidebar: subscribe to our newsletter, follow us, and more.</p></aside>
+    <div class="post">
+      <h1>Why tests matter</h1>
+      <p>Tests catch regressions early, document intended behaviour, and make refactoring safe.</p>
+      <p>Without them, every change is a gamble, and reviewers have to run everything by hand.</p>
+      <p>Good tests are fast, focused, and deterministic, so people actually run them.</p>
+    </div>
+  </div>
+  <footer><p>Copyright notice, privacy policy, terms of service, and contact details.</p></footer>
+`;
+
+test.describe('Page Source', () => {
+
+  test('PAGE-01: main content is extracted without navigation, sidebar and footer', async ({ optionsPage }) => {
+    const content = await extractFromHtml(optionsPage, ARTICLE_PAGE);
+
+    expect(content.url).toContain('options.html');
+    expect(content.truncated).toBe(false);
+    expect(content.text).toContain('Why tests matter');
+    expect(content.text).toContain('Tests catch regressions early');
+    expect(content.text).not.toContain('Blog');
+    expect(content.text).not.toContain('newsletter');
+    expect(content.text).not.toContain('Copyright');
+    expect(content.markdown).toMatch(/^# Why tests matter/);
+  });
+
+  test('PAGE-02: long pages are cut at a paragraph break and flagged as truncated', async ({ optionsPage }) => {
+    const content = await extractFromHtml(optionsPage, ARTICLE_PAGE, 120);
+
+    expect(content.truncated).toBe(true);
+    expect(content.length).toBeGreaterThan(120);
+    expect(content.text.length).toBeLessThanOrEqual(120);
+    expect(content.text).toBe('Why tests matter\n\nTests catch regressions early, document intended behaviour, and make refactoring safe.');
+  });
+
+  test('PAGE-03: shortcut of a page-source action runs without a selection', async ({ context, optionsPage }) => {
+    await storeConfig(optionsPage, buildConfig({ autoSubmit: false }, [{ ...SHORTCUT_ACTION, contexts: ['selection', 'page'] }]));
+
+    const testPage = await context.newPage();
+    await testPage.goto('https://example.com');
+    await testPage.waitForTimeout(500);
+    await testPage.evaluate(() => window.getSelection().removeAllRanges());
+
+    await testPage.keyboard.press('Control+Shift+Y');
+
+    // The ask dialog shows that the action is running on the page content
+    await expect(testPage.locator('#chatgpt-query-ask-dialog select')).toBeVisible({ timeout: 3000 });
+    await testPage.keyboard.press('Escape');
+  });
+
+  test('PAGE-04: shortcut of a selection-only action does nothing without a selection', async ({ context, optionsPage }) => {
+    await storeConfig(optionsPage, buildConfig({ autoSubmit: false }, [{ ...SHORTCUT_ACTION, contexts: ['selection'] }]));
+
+    const testPage = await context.newPage();
+    await testPage.goto('https://example.com');
+    await testPage.waitForTimeout(500);
+    await testPage.evaluate(() => window.getSelection().removeAllRanges());
+
+    const pageCountBefore = context.pages().length;
+    await testPage.keyboard.press('Control+Shift+Y');
+    await testPage.waitForTimeout(1000);
+
+    await expect(testPage.locator('#chatgpt-query-ask-dialog')).toHaveCount(0);
+    expect(context.pages().length).toBe(pageCountBefore);
+  });
+
+});
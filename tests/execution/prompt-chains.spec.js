@@ -0,0 +1,76 @@
+// tests/execution/prompt-chains.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig } from '../fixtures/config.js';
+
+/**
+ * CHAIN-01..03: Multi-step prompt chains
+ *
+ * action.steps holds follow-up prompts that are sent after the action's prompt in the same
+ * conversation, each once the previous answer has finished generating.
+ */
+
+test.describe('Prompt Chains', () => {
+
+  test('CHAIN-01: steps only include the selection where they ask for it', async ({ optionsPage }) => {
+    const steps = await optionsPage.evaluate(async () => {
+      const { renderStep } = await import('./templates.js');
+      const values = { selection: 'Quarterly report', page: { title: 'Report', url: 'https://example.com' } };
+      return [
+        renderStep('Now list the risks', values),
+        renderStep('Draft an email about {{page.title}}', values),
+        renderStep('Quote the key sentence from: {{selection}}', values)
+      ];
+    });
+
+    expect(steps).toEqual([
+      'Now list the risks',
+      'Draft an email about Report',
+      'Quote the key sentence from: Quarterly report'
+    ]);
+  });
+
+  test('CHAIN-02: empty steps, unknown variables and too many steps are rejected', async ({ optionsPage }) => {
+    const errors = await optionsPage.evaluate(async (configs) => {
+      const { validateConfig } = await import('./config.js');
+      return configs.map(config => validateConfig(config));
+    }, [
+      buildConfig({}, [{ steps: ['Now list risks', 'Draft an email'] }]),
+      buildConfig({}, [{ steps: ['Now list risks', '  '] }]),
+      buildConfig({}, [{ steps: ['Mention {{page.author}}'] }]),
+      buildConfig({}, [{ steps: Array.from({ length: 11 }, (_, i) => `Step ${i + 2}`) }])
+    ]);
+
+    expect(errors[0]).toEqual([]);
+    expect(errors[1].join('\n')).toContain('Step 2 is empty');
+    expect(errors[2].join('\n')).toContain('Unknown template variable {{page.author}} in step 1');
+    expect(errors[3].join('\n')).toContain('Maximum 10 steps allowed');
+  });
+
+  test('CHAIN-03: steps added in the action editor are saved in order', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('CHAIN-03 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    const actionItem = optionsPage.locator('.action-item').first();
+    await actionItem.locator('.action-title').fill('Review Document');
+    await actionItem.locator('.action-prompt').fill('Summarize:');
+    for (const step of ['Now list risks', 'Remove me', 'Draft an email']) {
+      await actionItem.locator('.action-add-step').click();
+      await actionItem.locator('.action-step-prompt').last().fill(step);
+    }
+    await expect(actionItem.locator('.action-step-number')).toHaveText(['2.', '3.', '4.']);
+    await actionItem.locator('.action-step').nth(1).locator('.action-step-remove').click();
+    await expect(actionItem.locator('.action-step-number')).toHaveText(['2.', '3.']);
+
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const action = cfg.menus.find(m => m.name === 'CHAIN-03 Menu').actions[0];
+    expect(action.steps).toEqual(['Now list risks', 'Draft an email']);
+  });
+
+});
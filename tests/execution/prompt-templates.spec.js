@@ -0,0 +1,97 @@
+// tests/execution/prompt-templates.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * TPL-01..06: Template variables in action prompts
+ *
+ * renderPrompt() replaces {{selection}}, {{page.title}}, {{page.url}}, {{date}},
+ * {{menu.name}} and {{action.title}}. Prompts without {{selection}} keep the
+ * legacy "<prompt> <selection>" behaviour. validateV3Config() rejects unknown variables
+ * on save; a stored config that has them is still loaded, and the options page reports them.
+ */
+
+test.describe('Prompt Templates', () => {
+
+  test('TPL-01: legacy prompt without placeholders appends the selection', async ({ optionsPage }) => {
+    const prompt = await optionsPage.evaluate(async () => {
+      const { renderPrompt } = await import('./templates.js');
+      return renderPrompt('Summarize:', { selection: 'some text' });
+    });
+
+    expect(prompt).toBe('Summarize: some text');
+  });
+
+  test('TPL-02: {{selection}} can be placed in the middle of the prompt', async ({ optionsPage }) => {
+    const prompt = await optionsPage.evaluate(async () => {
+      const { renderPrompt } = await import('./templates.js');
+      return renderPrompt('Translate <<<{{selection}}>>> into French', { selection: 'Hello' });
+    });
+
+    expect(prompt).toBe('Translate <<<Hello>>> into French');
+  });
+
+  test('TPL-03: page, menu and action variables are filled in', async ({ optionsPage }) => {
+    const prompt = await optionsPage.evaluate(async () => {
+      const { renderPrompt } = await import('./templates.js');
+      return renderPrompt('[{{menu.name}} / {{action.title}}] {{page.title}} ({{page.url}}) on {{ date }}: {{selection}}', {
+        selection: 'body',
+        page: { title: 'Example', url: 'https://example.com/a' },
+        menu: { name: 'Research' },
+        action: { title: 'Explain' }
+      });
+    });
+
+    expect(prompt).toMatch(/^\[Research \/ Explain\] Example \(https:\/\/example\.com\/a\) on \d{4}-\d{2}-\d{2}: body$/);
+  });
+
+  test('TPL-04: unknown template variable is rejected on save', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('TPL-04 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    await optionsPage.locator('.action-title').first().fill('Bad Variable');
+    await optionsPage.locator('.action-prompt').first().fill('Explain {{selected}}');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForTimeout(500);
+
+    await expect(optionsPage.locator('#error-banner')).toBeVisible();
+    await expect(optionsPage.locator('#error-banner')).toContainText('{{selected}}');
+  });
+
+  test('TPL-05: known template variables save without error', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('TPL-05 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    await optionsPage.locator('.action-title').first().fill('Good Variables');
+    await optionsPage.locator('.action-prompt').first().fill('From {{page.url}} on {{date}}: {{selection}}');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    await expect(optionsPage.locator('#error-banner')).toBeHidden();
+  });
+
+  test('TPL-06: stored prompt with literal double braces keeps its menu and is reported', async ({ optionsPage }) => {
+    await storeConfig(optionsPage, buildConfig({ name: 'TPL-06 Menu' }, [{ prompt: 'Fill in the {{name}} field of:' }]));
+    await optionsPage.reloadOptions();
+
+    await expect(optionsPage.locator('.menu-item', { hasText: 'TPL-06 Menu' })).toBeVisible();
+    await expect(optionsPage.locator('.action-prompt').first()).toHaveValue('Fill in the {{name}} field of:');
+    await expect(optionsPage.locator('#error-banner')).toBeVisible();
+    await expect(optionsPage.locator('#error-banner')).toContainText('{{name}}');
+
+    const menus = await optionsPage.evaluate(async () => {
+      const { getConfig } = await import('./config.js');
+      return (await getConfig()).menus.map(menu => menu.name);
+    });
+    expect(menus).toEqual(['TPL-06 Menu']);
+  });
+
+});
@@ -0,0 +1,90 @@
+// tests/execution/provider-diagnostics.spec.js
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test, expect } from '../fixtures/extension.js';
+
+/**
+ * DIAG-01..03: Test Provider diagnostics
+ *
+ * The menu editor's Test Provider button has background.js open the menu's URL and run the
+ * editor and send-button discovery of tryInjectWithTiming() without sending anything, then
+ * shows which selectors matched. The Le Chat fixture page stands in for the provider.
+ */
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/providers');
+const LE_CHAT_URL = 'https://chat.mistral.ai/chat';
+
+async function testProvider(optionsPage) {
+  await optionsPage.locator('#add-menu').click();
+  await optionsPage.waitForTimeout(300);
+  await optionsPage.locator('#customGptUrl').fill(LE_CHAT_URL);
+  await optionsPage.locator('#test-provider').click();
+}
+
+test.describe('Provider Diagnostics', () => {
+
+  test('DIAG-01: matched selectors are reported and nothing is sent', async ({ context, optionsPage }) => {
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      path: path.join(FIXTURES_DIR, 'mistral.html'),
+      contentType: 'text/html'
+    }));
+
+    const providerPagePromise = context.waitForEvent('page', { predicate: page => page.url().includes('chat.mistral.ai') });
+    await testProvider(optionsPage);
+    const providerPage = await providerPagePromise;
+
+    const diagnostics = optionsPage.locator('#provider-diagnostics');
+    await expect(diagnostics).toBeVisible({ timeout: 10000 });
+    await expect(diagnostics.locator('.diagnostics-summary')).toHaveText('✓ Le Chat: the editor was found');
+    await expect(diagnostics.locator('.diagnostics-timing')).toContainText('Page ready after');
+
+    const [inputTable, sendTable] = [diagnostics.locator('.diagnostics-table').nth(0), diagnostics.locator('.diagnostics-table').nth(1)];
+    await expect(inputTable.locator('.diagnostics-used td').first()).toHaveText("div.ProseMirror[contenteditable='true']");
+    await expect(inputTable.locator('tbody tr').nth(2).locator('td').nth(1)).toHaveText('0');
+    await expect(sendTable.locator('.diagnostics-used td').first()).toHaveText("button[aria-label='Send question']");
+
+    // Nothing was typed or sent
+    await expect(providerPage.locator('.ProseMirror')).toHaveText('');
+    await expect(providerPage.locator('body')).not.toHaveAttribute('data-sent', /.*/);
+  });
+
+  test('DIAG-02: a page without a visible editor is reported as failing', async ({ context, optionsPage }) => {
+    test.setTimeout(40000);
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      body: '<html><head><title>Le Chat - Mistral AI</title></head><body><textarea style="display:none"></textarea><p>Sign in</p></body></html>',
+      contentType: 'text/html'
+    }));
+
+    await testProvider(optionsPage);
+
+    const diagnostics = optionsPage.locator('#provider-diagnostics');
+    await expect(diagnostics).toBeVisible({ timeout: 25000 });
+    await expect(diagnostics).toHaveClass(/diagnostics-failed/);
+    await expect(diagnostics.locator('.diagnostics-summary')).toHaveText('✗ Le Chat: No input selector matched a visible editor');
+    // The hidden textarea is found but not visible
+    await expect(diagnostics.locator('.diagnostics-table').first().locator('tbody tr').nth(3).locator('td').nth(1)).toHaveText('1');
+    await expect(diagnostics.locator('.diagnostics-table').first().locator('tbody tr').nth(3).locator('td').nth(2)).toHaveText('no');
+    await expect(diagnostics.locator('.diagnostics-note')).toContainText('No send button was visible');
+  });
+
+  test('DIAG-03: an editable area next to a hidden textarea is used, an aria-hidden copy is not', async ({ context, optionsPage }) => {
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      body: `<html><head><title>Le Chat - Mistral AI</title></head><body>
+        <div class="ProseMirror" contenteditable="true" aria-hidden="true" style="width:400px;min-height:40px"></div>
+        <form onsubmit="return false">
+          <textarea style="display:none"></textarea>
+          <div contenteditable="true" style="width:400px;min-height:40px"></div>
+        </form>
+      </body></html>`,
+      contentType: 'text/html'
+    }));
+
+    await testProvider(optionsPage);
+
+    const diagnostics = optionsPage.locator('#provider-diagnostics');
+    await expect(diagnostics).toBeVisible({ timeout: 15000 });
+    await expect(diagnostics.locator('.diagnostics-summary')).toHaveText('✓ Le Chat: the editor was found (an editable area next to a hidden textarea)');
+    await expect(diagnostics.locator('.diagnostics-table').first().locator('.diagnostics-used td').first()).toHaveText('textarea');
+  });
+
+});
@@ -1,9 +1,24 @@
 import { test, expect } from '../fixtures/extension.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 /**
- * Provider routing tests — verify that Gemini and Claude URLs are accepted alongside ChatGPT.
+ * Provider routing tests — verify that Gemini and Claude URLs are accepted alongside ChatGPT,
+ * and that prompts for Perplexity, Copilot, Le Chat, DeepSeek and Grok reach their composers.
+ * The latter run against local fixture pages (tests/fixtures/providers/) that mimic each
+ * composer's DOM, served in place of the real site.
  */
 
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/providers');
+
+const FIXTURE_PROVIDERS = [
+  { name: 'Perplexity', url: 'https://www.perplexity.ai', fixture: 'perplexity.html' },
+  { name: 'Copilot', url: 'https://copilot.microsoft.com', fixture: 'copilot.html' },
+  { name: 'Le Chat', url: 'https://chat.mistral.ai/chat', fixture: 'mistral.html' },
+  { name: 'DeepSeek', url: 'https://chat.deepseek.com', fixture: 'deepseek.html' },
+  { name: 'Grok', url: 'https://grok.com', fixture: 'grok.html' }
+];
+
 test.describe('Provider Routing Tests', () => {
   test('Gemini app URL is accepted in customGptUrl field', async ({ extensionId, context }) => {
     const optionsPage = await context.newPage();
@@ -116,3 +131,78 @@ test.describe('Provider Routing Tests', () => {
     expect(errorVisible).toBe(true);
   });
 });
+
+test.describe('Provider Fixture Pages', () => {
+  for (const provider of FIXTURE_PROVIDERS) {
+    test(`${provider.name}: the prompt is typed into the composer and submitted`, async ({ context, optionsPage }) => {
+      const host = new URL(provider.url).hostname;
+      await context.route(url => url.hostname === host, route => route.fulfill({
+        path: path.join(FIXTURES_DIR, provider.fixture),
+        contentType: 'text/html'
+      }));
+
+      // Run the action through a history re-run, which sends it like a context menu click
+      await optionsPage.evaluate(async (url) => {
+        await chrome.storage.sync.set({
+          config: {
+            version: 3,
+            menus: [{
+              id: 'menu_fixture',
+              name: 'Fixture',
+              customGptUrl: url,
+              autoSubmit: true,
+              runAllEnabled: false,
+              runAllShortcut: '',
+              order: 1,
+              actions: [{ id: 'a1', title: 'Summarize', prompt: 'Summarize:', shortcut: '', enabled: true, order: 1 }]
+            }],
+            globalSettings: { gptTitleMatch: 'ChatGPT', clearContext: true }
+          }
+        });
+        await chrome.storage.local.set({
+          runHistory: [{
+            id: 'run_fixture',
+            timestamp: Date.now(),
+            menuId: 'menu_fixture',
+            menuName: 'Fixture',
+            actionId: 'a1',
+            actionTitle: 'Summarize',
+            selection: { context: 'selection', text: 'Quarterly report' },
+            answers: {},
+            prompt: 'Summarize: Quarterly report',
+            providerUrl: url,
+            status: 'sent',
+            conversationUrl: ''
+          }]
+        });
+      }, provider.url);
+      await optionsPage.waitForTimeout(500);
+
+      const providerPagePromise = context.waitForEvent('page', { predicate: page => page.url().includes(host) });
+      const response = await optionsPage.evaluate(() => chrome.runtime.sendMessage({ type: 'RERUN_HISTORY_ENTRY', id: 'run_fixture' }));
+      expect(response.ok).toBe(true);
+
+      const providerPage = await providerPagePromise;
+      await expect(providerPage.locator('body')).toHaveAttribute('data-sent', 'Summarize: Quarterly report', { timeout: 10000 });
+    });
+  }
+
+  test('New providers are accepted in customGptUrl and routed to their own selectors', async ({ optionsPage }) => {
+    const result = await optionsPage.evaluate(async (urls) => {
+      const { validateConfig } = await import('./config.js');
+      const { resolveProvider } = await import('./providers.js');
+      const config = {
+        version: 3,
+        menus: urls.map((url, i) => ({
+          id: `menu_${i}`, name: `Menu ${i}`, customGptUrl: url, autoSubmit: true,
+          runAllEnabled: false, runAllShortcut: '', order: i, actions: []
+        })),
+        globalSettings: { gptTitleMatch: 'ChatGPT', clearContext: true }
+      };
+      return { errors: validateConfig(config), titles: urls.map(url => resolveProvider(url).titleMatch) };
+    }, FIXTURE_PROVIDERS.map(provider => provider.url));
+
+    expect(result.errors).toEqual([]);
+    expect(result.titles).toEqual(['Perplexity', 'Copilot', 'Le Chat', 'DeepSeek', 'Grok']);
+  });
+});
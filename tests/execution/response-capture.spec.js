@@ -0,0 +1,78 @@
+// tests/execution/response-capture.spec.js
+import { test, expect } from '../fixtures/extension.js';
+
+/**
+ * RESP-01..03: Bringing the AI's response back to the source page
+ *
+ * Actions with responseMode 'overlay' or 'clipboard' wait for the answer in the provider tab
+ * (PROVIDERS.responseSelectors) and send it to the source tab, where response-card.js shows
+ * it in a card or copies it.
+ */
+
+// Send SHOW_RESPONSE from the extension to the example.com tab, as background.js does
+function showResponse(optionsPage, message) {
+  return optionsPage.evaluate(async (message) => {
+    const [tab] = await chrome.tabs.query({ url: 'https://example.com/*' });
+    return chrome.tabs.sendMessage(tab.id, { type: 'SHOW_RESPONSE', ...message }, { frameId: 0 });
+  }, message);
+}
+
+test.describe('Response Capture', () => {
+
+  test('RESP-01: overlay mode shows the response in a card that can be closed', async ({ context, optionsPage }) => {
+    const testPage = await context.newPage();
+    await testPage.goto('https://example.com');
+    await testPage.waitForTimeout(500);
+
+    await showResponse(optionsPage, { title: 'Summarize', text: 'Line one\nLine two', mode: 'overlay' });
+
+    const cards = testPage.locator('#chatgpt-query-response-cards');
+    await expect(cards).toHaveCount(1);
+    await expect(cards.getByText('Summarize')).toBeVisible();
+    await expect(cards.getByText('Line one')).toBeVisible();
+
+    await cards.getByRole('button', { name: 'Close' }).click();
+    await expect(cards).toHaveCount(0);
+  });
+
+  test('RESP-02: several responses stack in the same corner', async ({ context, optionsPage }) => {
+    const testPage = await context.newPage();
+    await testPage.goto('https://example.com');
+    await testPage.waitForTimeout(500);
+
+    await showResponse(optionsPage, { title: 'First', text: 'Answer one', mode: 'overlay' });
+    await showResponse(optionsPage, { title: 'Second', text: 'Answer two', mode: 'overlay' });
+
+    const cards = testPage.locator('#chatgpt-query-response-cards');
+    await expect(cards).toHaveCount(1);
+    await expect(cards.getByRole('button', { name: 'Close' })).toHaveCount(2);
+  });
+
+  test('RESP-03: response mode is saved per action and unknown modes are rejected', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('RESP-03 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    await optionsPage.locator('.action-title').first().fill('Translate');
+    await optionsPage.locator('.action-prompt').first().fill('Translate to English:');
+    await expect(optionsPage.locator('.action-response-mode').first()).toHaveValue('none');
+    await optionsPage.locator('.action-response-mode').first().selectOption('overlay');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const action = cfg.menus.find(m => m.name === 'RESP-03 Menu').actions[0];
+    expect(action.responseMode).toBe('overlay');
+
+    const errors = await optionsPage.evaluate(async (config) => {
+      const { validateConfig } = await import('./config.js');
+      config.menus.find(m => m.name === 'RESP-03 Menu').actions[0].responseMode = 'email';
+      return validateConfig(config);
+    }, cfg);
+    expect(errors.join('\n')).toContain('responseMode must be one of none, overlay, clipboard');
+  });
+
+});
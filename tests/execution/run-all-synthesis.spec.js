@@ -0,0 +1,77 @@
+// tests/execution/run-all-synthesis.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig } from '../fixtures/config.js';
+
+/**
+ * SYN-01..03: Combining Run All answers in a synthesis prompt
+ *
+ * A menu's synthesisPrompt is sent to one more tab once every Run All answer is in;
+ * buildSynthesisMessages() (templates.js) puts the answers in {{results}}.
+ */
+
+const RESULTS = [
+  { title: 'Risks', text: 'Vendor lock-in' },
+  { title: 'Benefits', text: 'Faster releases' }
+];
+
+// Two actions for Run All to combine
+const RUN_ALL_ACTIONS = [{ title: 'Risks', prompt: 'List risks:' }, { title: 'Benefits', prompt: 'List benefits:' }];
+
+test.describe('Run All Synthesis', () => {
+
+  test('SYN-01: answers fill {{results}} under their action titles', async ({ optionsPage }) => {
+    const messages = await optionsPage.evaluate(async (results) => {
+      const { buildSynthesisMessages } = await import('./templates.js');
+      return [
+        buildSynthesisMessages('Here are {{results.count}} analyses:\n\n{{results}}\n\nProduce a unified recommendation.', results, {}, 30000),
+        buildSynthesisMessages('Combine these for {{page.title}}:', results, { page: { title: 'Plan' } }, 30000)
+      ];
+    }, RESULTS);
+
+    expect(messages[0]).toEqual([
+      'Here are 2 analyses:\n\n### Risks\n\nVendor lock-in\n\n### Benefits\n\nFaster releases\n\nProduce a unified recommendation.'
+    ]);
+    expect(messages[1]).toEqual([
+      'Combine these for Plan:\n\n### Risks\n\nVendor lock-in\n\n### Benefits\n\nFaster releases'
+    ]);
+  });
+
+  test('SYN-02: synthesis prompt variables and URL are validated', async ({ optionsPage }) => {
+    const errors = await optionsPage.evaluate(async (configs) => {
+      const { validateConfig } = await import('./config.js');
+      return configs.map(config => validateConfig(config));
+    }, [
+      buildConfig({ runAllEnabled: true, synthesisPrompt: 'Unify {{results}}', synthesisUrl: 'https://claude.ai/new' }, RUN_ALL_ACTIONS),
+      buildConfig({ runAllEnabled: true, synthesisPrompt: 'Unify {{selection}}' }, RUN_ALL_ACTIONS),
+      buildConfig({ runAllEnabled: true, synthesisPrompt: 'Unify {{result}}' }, RUN_ALL_ACTIONS),
+      buildConfig({ runAllEnabled: true, synthesisPrompt: 'Unify', synthesisUrl: 'https://example.com' }, RUN_ALL_ACTIONS)
+    ]);
+
+    expect(errors[0]).toEqual([]);
+    expect(errors[1].join('\n')).toContain('Use {{results}} instead of {{selection}} in the synthesis prompt');
+    expect(errors[2].join('\n')).toContain('Unknown template variable {{result}} in the synthesis prompt');
+    expect(errors[3].join('\n')).toContain('Synthesis URL must start with');
+  });
+
+  test('SYN-03: synthesis settings show with Run All and are saved', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('SYN-03 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+
+    await expect(optionsPage.locator('#synthesisPrompt')).toBeHidden();
+    await optionsPage.locator('#runAllEnabled').check();
+    await expect(optionsPage.locator('#synthesisPrompt')).toBeVisible();
+
+    await optionsPage.locator('#synthesisPrompt').fill('Produce a unified recommendation from {{results}}');
+    await optionsPage.locator('#synthesisUrl').fill('https://claude.ai/new');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const menu = cfg.menus.find(m => m.name === 'SYN-03 Menu');
+    expect(menu.synthesisPrompt).toBe('Produce a unified recommendation from {{results}}');
+    expect(menu.synthesisUrl).toBe('https://claude.ai/new');
+  });
+
+});
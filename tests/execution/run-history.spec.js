@@ -0,0 +1,106 @@
+// tests/execution/run-history.spec.js
+import { test, expect } from '../fixtures/extension.js';
+
+/**
+ * HIST-01..03: Local run history
+ *
+ * background.js records each run in chrome.storage.local through run-history.js;
+ * history.html lists the runs with search, filters, re-run and retention controls.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function historyEntry(id, overrides = {}) {
+  return {
+    id,
+    timestamp: Date.now(),
+    menuId: 'menu_a',
+    menuName: 'Writing',
+    actionId: 'act_1',
+    actionTitle: 'Summarize',
+    sourceUrl: 'https://example.com/article',
+    sourceTitle: 'Article',
+    selection: { context: 'selection', text: 'Some text' },
+    answers: {},
+    prompt: 'Summarize: Some text',
+    providerUrl: 'https://chatgpt.com',
+    status: 'sent',
+    conversationUrl: '',
+    ...overrides
+  };
+}
+
+test.describe('Run History', () => {
+
+  test('HIST-01: runs are recorded newest first and updated with status and conversation URL', async ({ optionsPage }) => {
+    const history = await optionsPage.evaluate(async () => {
+      const { addHistoryEntry, updateHistoryEntry, getHistory } = await import('./run-history.js');
+      const first = await addHistoryEntry({ actionTitle: 'First', prompt: 'one' });
+      const second = await addHistoryEntry({ actionTitle: 'Second', prompt: 'two' });
+      await updateHistoryEntry(first, { status: 'sent', conversationUrl: 'https://chatgpt.com/c/abc-123' });
+      await updateHistoryEntry(second, { status: 'failed' });
+      return getHistory();
+    });
+
+    expect(history.map(entry => entry.actionTitle)).toEqual(['Second', 'First']);
+    expect(history[0].status).toBe('failed');
+    expect(history[1].status).toBe('sent');
+    expect(history[1].conversationUrl).toBe('https://chatgpt.com/c/abc-123');
+  });
+
+  test('HIST-02: retention drops old runs, and turning history off keeps nothing', async ({ optionsPage }) => {
+    const result = await optionsPage.evaluate(async ({ entries, DAY_MS }) => {
+      const { pruneHistory, saveHistorySettings, addHistoryEntry, getHistory } = await import('./run-history.js');
+      const now = Date.now();
+      const dated = entries.map((entry, i) => ({ ...entry, timestamp: now - [0, 3, 10][i] * DAY_MS }));
+      const pruned = {
+        week: pruneHistory(dated, 7, now).map(entry => entry.id),
+        forever: pruneHistory(dated, -1, now).map(entry => entry.id)
+      };
+
+      await chrome.storage.local.set({ runHistory: dated });
+      await saveHistorySettings({ retentionDays: 0 });
+      const id = await addHistoryEntry({ actionTitle: 'Ignored' });
+      return { pruned, id, remaining: await getHistory() };
+    }, { entries: [historyEntry('r1'), historyEntry('r2'), historyEntry('r3')], DAY_MS });
+
+    expect(result.pruned.week).toEqual(['r1', 'r2']);
+    expect(result.pruned.forever).toEqual(['r1', 'r2', 'r3']);
+    expect(result.id).toBeNull();
+    expect(result.remaining).toEqual([]);
+  });
+
+  test('HIST-03: history page searches, filters and clears runs', async ({ context, extensionId, optionsPage }) => {
+    await optionsPage.evaluate((entries) => chrome.storage.local.set({ runHistory: entries }), [
+      historyEntry('r1', { prompt: 'Translate: Bonjour', actionTitle: 'Translate', conversationUrl: 'https://chatgpt.com/c/abc' }),
+      historyEntry('r2', { prompt: 'Summarize: quarterly report', menuId: 'menu_b', menuName: 'Research', providerUrl: 'https://claude.ai/new' }),
+      historyEntry('r3', { prompt: 'Summarize: meeting notes', status: 'failed' })
+    ]);
+
+    const page = await context.newPage();
+    await page.goto(`chrome-extension://${extensionId}/history.html`);
+
+    const entries = page.locator('.history-entry');
+    await expect(entries).toHaveCount(3);
+    await expect(entries.first().locator('.history-open-conversation')).toHaveCount(1);
+    await expect(entries.nth(1).locator('.history-open-conversation')).toHaveCount(0);
+
+    await page.locator('#history-search').fill('summarize');
+    await expect(entries).toHaveCount(2);
+
+    await page.locator('#history-provider-filter').selectOption('claude.ai');
+    await expect(entries).toHaveCount(1);
+    await expect(entries.first()).toContainText('Research › Summarize');
+
+    await page.locator('#history-search').fill('');
+    await page.locator('#history-provider-filter').selectOption('');
+    await page.locator('#history-menu-filter').selectOption('menu_a');
+    await expect(entries).toHaveCount(2);
+
+    page.once('dialog', dialog => dialog.accept());
+    await page.locator('#history-clear').click();
+    await expect(entries).toHaveCount(0);
+    await expect(page.locator('#history-empty')).toBeVisible();
+  });
+
+});
@@ -0,0 +1,70 @@
+// tests/execution/screenshot-region.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * SHOT-01..03: Screenshot of a region as action input
+ *
+ * Actions with the 'screenshot' context ask the user to drag a region of the page
+ * (region-select.js), then attach a crop of chrome.tabs.captureVisibleTab to the prompt.
+ */
+
+test.describe('Screenshot Region', () => {
+
+  test('SHOT-01: screenshot cannot be combined with other contexts', async ({ optionsPage }) => {
+    const errors = await optionsPage.evaluate(async ({ alone, combined }) => {
+      const { validateConfig } = await import('./config.js');
+      return {
+        alone: validateConfig(alone),
+        combined: validateConfig(combined)
+      };
+    }, {
+      alone: buildConfig({}, [{ contexts: ['screenshot'] }]),
+      combined: buildConfig({}, [{ contexts: ['screenshot', 'selection'] }])
+    });
+
+    expect(errors.alone).toEqual([]);
+    expect(errors.combined.join('\n')).toContain("screenshot can't be combined with other contexts");
+  });
+
+  test('SHOT-02: shortcut of a screenshot action shows the region overlay, Escape cancels', async ({ context, optionsPage }) => {
+    await storeConfig(optionsPage, buildConfig({ autoSubmit: false }, [
+      { title: 'Explain Chart', prompt: 'What does this chart show?', shortcut: 'Ctrl+Shift+Y', contexts: ['screenshot'] }
+    ]));
+
+    const testPage = await context.newPage();
+    await testPage.goto('https://example.com');
+    await testPage.waitForTimeout(500);
+
+    const pageCountBefore = context.pages().length;
+    await testPage.keyboard.press('Control+Shift+Y');
+    await expect(testPage.locator('#chatgpt-query-region-select')).toHaveCount(1, { timeout: 3000 });
+
+    await testPage.keyboard.press('Escape');
+    await expect(testPage.locator('#chatgpt-query-region-select')).toHaveCount(0);
+    await testPage.waitForTimeout(500);
+    expect(context.pages().length).toBe(pageCountBefore);
+  });
+
+  test('SHOT-03: ticking screenshot in the action editor clears the other contexts', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('SHOT-03 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    await optionsPage.locator('.action-title').first().fill('Explain Chart');
+    await optionsPage.locator('.action-prompt').first().fill('What does this chart show?');
+    const actionItem = optionsPage.locator('.action-item').first();
+    await actionItem.locator('.action-context[value="screenshot"]').check();
+    await expect(actionItem.locator('.action-context[value="selection"]')).not.toBeChecked();
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const action = cfg.menus.find(m => m.name === 'SHOT-03 Menu').actions[0];
+    expect(action.contexts).toEqual(['screenshot']);
+  });
+
+});
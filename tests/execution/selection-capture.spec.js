@@ -0,0 +1,86 @@
+// tests/execution/selection-capture.spec.js
+import { test, expect } from '../fixtures/extension.js';
+
+/**
+ * CAP-01..03: Selection capture and normalization
+ *
+ * Context-menu runs read the live selection from the page (page-capture.js) instead of Chrome's
+ * flattened info.selectionText, and both context-menu and shortcut runs normalize it with
+ * normalizeSelection() (selection.js), so the same selection gives the same prompt either way.
+ */
+
+test.describe('Selection Capture', () => {
+
+  test('CAP-01: line breaks and indentation are kept, stray whitespace is not', async ({ optionsPage }) => {
+    const result = await optionsPage.evaluate(async () => {
+      const { normalizeSelection } = await import('./selection.js');
+      return {
+        code: normalizeSelection({ text: '\r\n\r\nfunction add(a, b) {  \r\n  return a + b;\t\r\n}\r\n\r\n' }),
+        list: normalizeSelection({ text: '- one\n\n\n\n- two', markdown: '- one\n- two\n\n', html: '  <ul><li>one</li></ul>\n' }),
+        line: normalizeSelection({ text: '   Quarterly report   ' }, 'editable')
+      };
+    });
+
+    expect(result.code).toEqual({ context: 'selection', text: 'function add(a, b) {\n  return a + b;\n}', html: '', markdown: '' });
+    expect(result.list).toEqual({ context: 'selection', text: '- one\n\n- two', html: '<ul><li>one</li></ul>', markdown: '- one\n- two' });
+    expect(result.line).toEqual({ context: 'editable', text: 'Quarterly report', html: '', markdown: '' });
+  });
+
+  test('CAP-02: every range of a multi-range selection is captured', async ({ optionsPage }) => {
+    const captured = await optionsPage.evaluate(async () => {
+      await new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = 'page-capture.js';
+        script.onload = resolve;
+        script.onerror = reject;
+        document.head.appendChild(script);
+      });
+      const { normalizeSelection } = await import('./selection.js');
+
+      const container = document.createElement('div');
+      container.innerHTML = '<p id="first">First paragraph</p><p>Skipped</p><ul id="second"><li>Second item</li></ul>';
+      document.body.appendChild(container);
+      const ranges = ['first', 'second'].map(id => {
+        const range = document.createRange();
+        range.selectNodeContents(document.getElementById(id));
+        return range;
+      });
+
+      // Chromium keeps a single range, so the selection of a browser that supports several is stood in for
+      const getSelection = window.getSelection;
+      window.getSelection = () => ({
+        rangeCount: ranges.length,
+        getRangeAt: index => ranges[index],
+        toString: () => 'First paragraph  \nSecond item\n'
+      });
+      try {
+        return normalizeSelection(captureSelection());
+      } finally {
+        window.getSelection = getSelection;
+        container.remove();
+      }
+    });
+
+    expect(captured.text).toBe('First paragraph\nSecond item');
+    expect(captured.html).toContain('First paragraph');
+    expect(captured.html).toContain('<li>Second item</li></ul>');
+    expect(captured.html).not.toContain('Skipped');
+    expect(captured.markdown).toContain('- Second item');
+  });
+
+  test('CAP-03: the live selection is only used while it matches the right-clicked one', async ({ optionsPage }) => {
+    const result = await optionsPage.evaluate(async () => {
+      const { isSameSelection } = await import('./selection.js');
+      return {
+        flattened: isSameSelection('function add(a, b) {\n  return a + b;\n}', 'function add(a, b) { return a + b; }'),
+        cutShort: isSameSelection('A long paragraph that goes on', 'A long paragraph'),
+        changed: isSameSelection('Text the page selected instead', 'function add(a, b) { return a + b; }'),
+        cleared: isSameSelection('', 'function add(a, b) { return a + b; }'),
+        noMenuText: isSameSelection('Quarterly report', '')
+      };
+    });
+
+    expect(result).toEqual({ flattened: true, cutShort: true, changed: false, cleared: false, noMenuText: false });
+  });
+
+});
@@ -0,0 +1,225 @@
+// tests/execution/selection-format.spec.js
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * SEL-01..05: Per-action selection format (plain text, Markdown, raw HTML)
+ *
+ * captureSelection() in the page-capture.js content script returns the selection as
+ * { text, html, markdown }; the action's selectionFormat picks which one goes into the prompt.
+ * With selectionFile the selection is uploaded as a file attachment instead.
+ */
+
+// Send the selection of a 'selectionFile: always' action to the URL through a history re-run,
+// which records a new history entry, and return that entry once the run has finished
+async function runFileAction(page, url) {
+  await storeConfig(page, buildConfig(
+    { id: 'menu_file', name: 'File', customGptUrl: url },
+    [{ title: 'Review', prompt: 'Review {{selection}}', selectionFile: 'always' }]
+  ));
+  await page.evaluate(async (url) => {
+    await chrome.storage.local.set({
+      runHistory: [{
+        id: 'run_file',
+        timestamp: Date.now(),
+        menuId: 'menu_file',
+        menuName: 'File',
+        actionId: 'a1',
+        actionTitle: 'Review',
+        selection: { context: 'selection', text: 'Quarterly report' },
+        answers: {},
+        prompt: 'Review Quarterly report',
+        providerUrl: url,
+        status: 'sent',
+        conversationUrl: ''
+      }]
+    });
+  }, url);
+  await page.waitForTimeout(500);
+
+  const response = await page.evaluate(() => chrome.runtime.sendMessage({ type: 'RERUN_HISTORY_ENTRY', id: 'run_file' }));
+  expect(response.ok).toBe(true);
+
+  const readEntry = () => page.evaluate(async () => {
+    const { runHistory } = await chrome.storage.local.get('runHistory');
+    return runHistory.find(entry => entry.id !== 'run_file' && entry.injection) || null;
+  });
+  await expect.poll(readEntry, { timeout: 20000 }).not.toBeNull();
+  return readEntry();
+}
+
+// Load page-capture.js into the options page and select the given HTML
+async function captureFromHtml(page, html) {
+  return page.evaluate(async (markup) => {
+    if (typeof captureSelection !== 'function') {
+      await new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = 'page-capture.js';
+        script.onload = resolve;
+        script.onerror = reject;
+        document.head.appendChild(script);
+      });
+    }
+
+    const container = document.createElement('div');
+    container.innerHTML = markup;
+    document.body.appendChild(container);
+
+    const range = document.createRange();
+    range.selectNodeContents(container);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+
+    const result = captureSelection();
+    container.remove();
+    return result;
+  }, html);
+}
+
+test.describe('Selection Format', () => {
+
+  test('SEL-01: headings, lists, links and code blocks convert to Markdown', async ({ optionsPage }) => {
+    const { markdown } = await captureFromHtml(optionsPage, `
+      <h2>Setup</h2>
+      <p>Read the <a href="https://example.com/docs">docs</a> <strong>first</strong>.</p>
+      <ul><li>One</li><li>Two<ol><li>Nested</li></ol></li></ul>
+      <pre><code class="language-js">const a = 1;
+console.log(a);</code></pre>
+    `);
+
+    expect(markdown).toBe([
+      '## Setup',
+      '',
+      'Read the [docs](https://example.com/docs) **first**.',
+      '',
+      '- One',
+      '- Two',
+      '  1. Nested',
+      '',
+      '```js',
+      'const a = 1;',
+      'console.log(a);',
+      '```'
+    ].join('\n'));
+  });
+
+  test('SEL-02: tables convert to Markdown tables', async ({ optionsPage }) => {
+    const { markdown } = await captureFromHtml(optionsPage, `
+      <table>
+        <thead><tr><th>Name</th><th>Score</th></tr></thead>
+        <tbody><tr><td>Ada</td><td>10</td></tr><tr><td>Bob | Jr</td><td>7</td></tr></tbody>
+      </table>
+    `);
+
+    expect(markdown).toBe([
+      '| Name | Score |',
+      '| --- | --- |',
+      '| Ada | 10 |',
+      '| Bob \\| Jr | 7 |'
+    ].join('\n'));
+  });
+
+  test('SEL-03: raw HTML and plain text are captured alongside Markdown', async ({ optionsPage }) => {
+    const selection = await captureFromHtml(optionsPage, '<p>Hello <em>world</em></p>');
+
+    expect(selection.html).toContain('<em>world</em>');
+    expect(selection.text.trim()).toBe('Hello world');
+    expect(selection.markdown).toBe('Hello _world_');
+  });
+
+  test('SEL-04: selection format is saved per action and unknown formats are rejected', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('SEL-04 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    await optionsPage.locator('.action-title').first().fill('As Markdown');
+    await optionsPage.locator('.action-prompt').first().fill('Summarize:');
+    await optionsPage.locator('.action-selection-format').first().selectOption('markdown');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const action = cfg.menus.find(m => m.name === 'SEL-04 Menu').actions[0];
+    expect(action.selectionFormat).toBe('markdown');
+
+    const errors = await optionsPage.evaluate(async (config) => {
+      const { validateConfig } = await import('./config.js');
+      config.menus.find(m => m.name === 'SEL-04 Menu').actions[0].selectionFormat = 'pdf';
+      return validateConfig(config);
+    }, cfg);
+    expect(errors.join('\n')).toContain('selectionFormat must be one of text, markdown, html');
+  });
+
+  test('SEL-05: sending the selection as a file is saved per action and unknown modes are rejected', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('SEL-05 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://claude.ai/new');
+    await optionsPage.locator('#add-action').click();
+    await optionsPage.waitForTimeout(200);
+
+    await optionsPage.locator('.action-title').first().fill('Review Document');
+    await optionsPage.locator('.action-prompt').first().fill('Review the document {{selection}}');
+    await expect(optionsPage.locator('.action-selection-file').first()).toHaveValue('never');
+    await optionsPage.locator('.action-selection-file').first().selectOption('long');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const action = cfg.menus.find(m => m.name === 'SEL-05 Menu').actions[0];
+    expect(action.selectionFile).toBe('long');
+
+    const errors = await optionsPage.evaluate(async (config) => {
+      const { validateConfig } = await import('./config.js');
+      config.menus.find(m => m.name === 'SEL-05 Menu').actions[0].selectionFile = 'sometimes';
+      return validateConfig(config);
+    }, cfg);
+    expect(errors.join('\n')).toContain('selectionFile must be one of never, long, always');
+  });
+
+  test('SEL-06: a selection file that cannot be attached fails the run instead of sending the prompt', async ({ context, optionsPage }) => {
+    test.setTimeout(40000);
+    // No editor to paste the file into, and no file input
+    await context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+      body: '<html><head><title>Le Chat - Mistral AI</title></head><body><p>Loading...</p></body></html>',
+      contentType: 'text/html'
+    }));
+
+    const entry = await runFileAction(optionsPage, 'https://chat.mistral.ai/chat');
+
+    expect(entry.status).toBe('failed');
+    expect(entry.injection).toMatchObject({ status: 'attach-failed', error: 'The files could not be attached', attempts: 1 });
+
+    const providerPage = context.pages().find(p => p.url().startsWith('https://chat.mistral.ai'));
+    await expect(providerPage.locator('#chatgpt-query-toast .toast-reason')).toHaveText('attach-failed');
+  });
+
+  test('SEL-07: a text file is not put into an image-only file input', async ({ context, optionsPage }) => {
+    test.setTimeout(40000);
+    await context.route(url => url.hostname === 'chatgpt.com', route => route.fulfill({
+      body: `<html><head><title>ChatGPT</title></head><body>
+        <form>
+          <input type="file" multiple accept="image/*">
+          <div contenteditable="true" role="textbox"></div>
+        </form>
+        <script>
+          document.querySelector('input').addEventListener('change', () => { document.body.dataset.inputFiles = 'yes'; });
+          document.querySelector('[role=textbox]').addEventListener('paste', (event) => {
+            document.body.dataset.pasted = [...event.clipboardData.files].map(file => file.name).join();
+          });
+        </script>
+      </body></html>`,
+      contentType: 'text/html'
+    }));
+
+    await runFileAction(optionsPage, 'https://chatgpt.com');
+
+    const providerPage = context.pages().find(p => p.url().startsWith('https://chatgpt.com'));
+    await expect(providerPage.locator('body')).toHaveAttribute('data-pasted', 'selection.txt');
+    await expect(providerPage.locator('body')).not.toHaveAttribute('data-input-files', 'yes');
+  });
+
+});
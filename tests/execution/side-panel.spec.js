@@ -0,0 +1,101 @@
+// tests/execution/side-panel.spec.js
+import { test, expect } from '../fixtures/extension.js';
+
+/**
+ * PANEL-01..03: Side panel run status
+ *
+ * background.js tracks each run in chrome.storage.session through run-status.js;
+ * sidepanel.html lists the runs live with their stage and, once captured, the answer.
+ */
+
+function runStatus(id, overrides = {}) {
+  return {
+    id,
+    startedAt: Date.now(),
+    menuName: 'Writing',
+    actionTitle: 'Summarize',
+    providerUrl: 'https://chatgpt.com',
+    tabId: null,
+    stage: 'opening',
+    error: '',
+    response: '',
+    ...overrides
+  };
+}
+
+test.describe('Side Panel', () => {
+
+  test('PANEL-01: runs are tracked newest first and moved through their stages', async ({ optionsPage }) => {
+    const statuses = await optionsPage.evaluate(async () => {
+      const { startRunStatus, updateRunStatus, getRunStatuses } = await import('./run-status.js');
+      const first = await startRunStatus({ menuName: 'Writing', actionTitle: 'First', providerUrl: 'https://chatgpt.com' });
+      const second = await startRunStatus({ menuName: 'Writing', actionTitle: 'Second', providerUrl: 'https://claude.ai' });
+      // Parallel updates (as from Run All) must not overwrite each other
+      await Promise.all([
+        updateRunStatus(first, { stage: 'answered', tabId: 7, response: 'Done.' }),
+        updateRunStatus(second, { stage: 'failed', error: 'The prompt could not be inserted' })
+      ]);
+      return getRunStatuses();
+    });
+
+    expect(statuses.map(s => s.actionTitle)).toEqual(['Second', 'First']);
+    expect(statuses[0]).toMatchObject({ stage: 'failed', error: 'The prompt could not be inserted' });
+    expect(statuses[1]).toMatchObject({ stage: 'answered', tabId: 7, response: 'Done.' });
+  });
+
+  test('PANEL-02: the panel shows each run\'s stage and follows updates', async ({ context, extensionId }) => {
+    const page = await context.newPage();
+    await page.goto(`chrome-extension://${extensionId}/sidepanel.html`);
+    await expect(page.locator('#panel-empty')).toBeVisible();
+
+    await page.evaluate(runs => chrome.storage.session.set({ runStatus: runs }), [
+      runStatus('status_2', { actionTitle: 'Translate', providerUrl: 'https://gemini.google.com/app', stage: 'waiting' }),
+      runStatus('status_1', { stage: 'failed', error: 'The tab could not be opened' })
+    ]);
+
+    const runs = page.locator('.panel-run');
+    await expect(runs).toHaveCount(2);
+    await expect(page.locator('#panel-empty')).toBeHidden();
+    await expect(runs.nth(0).locator('.panel-run-title')).toHaveText('Writing › Translate');
+    await expect(runs.nth(0).locator('.panel-stage')).toHaveText('Waiting for editor');
+    await expect(runs.nth(0).locator('.panel-run-details')).toContainText('gemini.google.com');
+    await expect(runs.nth(1).locator('.panel-stage')).toHaveText('Failed');
+    await expect(runs.nth(1).locator('.panel-run-error')).toHaveText('The tab could not be opened');
+
+    await page.evaluate(async () => {
+      const { updateRunStatus } = await import('./run-status.js');
+      await updateRunStatus('status_2', { stage: 'answered', response: 'Bonjour le monde' });
+    });
+    await expect(runs.nth(0).locator('.panel-stage')).toHaveText('Response ready');
+    await expect(runs.nth(0).locator('.panel-run-response')).toHaveText('Bonjour le monde');
+
+    await page.locator('#panel-clear').click();
+    await expect(runs).toHaveCount(0);
+    await expect(page.locator('#panel-empty')).toBeVisible();
+  });
+
+  test('PANEL-03: clicking a run focuses its tab', async ({ context, extensionId }) => {
+    const panel = await context.newPage();
+    await panel.goto(`chrome-extension://${extensionId}/sidepanel.html`);
+    const provider = await context.newPage();
+    await provider.goto(`chrome-extension://${extensionId}/options.html`);
+
+    const tabId = await panel.evaluate(async () => {
+      const tabs = await chrome.tabs.query({ url: chrome.runtime.getURL('options.html') });
+      return tabs[0].id;
+    });
+    await panel.evaluate(runs => chrome.storage.session.set({ runStatus: runs }), [
+      runStatus('status_1', { tabId, stage: 'submitted' }),
+      runStatus('status_2', { actionTitle: 'Closed', tabId: 999999, stage: 'submitted' })
+    ]);
+
+    await panel.bringToFront();
+    await panel.locator('.panel-run').first().click();
+    await expect.poll(() => panel.evaluate(async id => (await chrome.tabs.get(id)).active, tabId)).toBe(true);
+
+    await panel.bringToFront();
+    await panel.locator('.panel-run').nth(1).click();
+    await expect(panel.locator('#error-banner')).toContainText('The tab for "Closed" has been closed.');
+  });
+
+});
@@ -0,0 +1,158 @@
+// tests/execution/tab-strategy.spec.js
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test, expect } from '../fixtures/extension.js';
+import { buildConfig, storeConfig } from '../fixtures/config.js';
+
+/**
+ * TAB-01..05: Per-menu tab strategy
+ *
+ * menu.tabStrategy decides where executeAction() and runAllActions() open the AI tab:
+ * a new tab, an open tab for the URL, a tab in a separate AI window, or a docked popup window.
+ * The Le Chat fixture page stands in for the provider and records the prompt it receives.
+ */
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/providers');
+const LE_CHAT_URL = 'https://chat.mistral.ai/chat';
+const SENT_PROMPT = 'Summarize: Quarterly report';
+
+function routeLeChat(context) {
+  return context.route(url => url.hostname === 'chat.mistral.ai', route => route.fulfill({
+    path: path.join(FIXTURES_DIR, 'mistral.html'),
+    contentType: 'text/html'
+  }));
+}
+
+// A Le Chat menu with the given tab strategy, and a history entry that runs its action
+async function storeLeChatRun(optionsPage, tabStrategy) {
+  await storeConfig(optionsPage, buildConfig(
+    { id: 'menu_tabs', name: 'Tabs', customGptUrl: LE_CHAT_URL, tabStrategy },
+    [{ title: 'Summarize', prompt: 'Summarize:' }]
+  ));
+  await optionsPage.evaluate(async (url) => {
+    await chrome.storage.local.set({
+      runHistory: [{
+        id: 'run_tabs',
+        timestamp: Date.now(),
+        menuId: 'menu_tabs',
+        menuName: 'Tabs',
+        actionId: 'a1',
+        actionTitle: 'Summarize',
+        selection: { context: 'selection', text: 'Quarterly report' },
+        answers: {},
+        prompt: 'Summarize: Quarterly report',
+        providerUrl: url,
+        status: 'sent',
+        conversationUrl: ''
+      }]
+    });
+  }, LE_CHAT_URL);
+  await optionsPage.waitForTimeout(500);
+}
+
+// Run the action through a history re-run, which sends it like a context menu click
+async function rerunLeChatAction(optionsPage) {
+  const response = await optionsPage.evaluate(() => chrome.runtime.sendMessage({ type: 'RERUN_HISTORY_ENTRY', id: 'run_tabs' }));
+  expect(response.ok).toBe(true);
+}
+
+function waitForLeChatPage(context) {
+  return context.waitForEvent('page', { predicate: page => page.url().includes('chat.mistral.ai') });
+}
+
+// The window of each open Le Chat tab, with the AI window and the options page's window
+function getLeChatWindows(optionsPage) {
+  return optionsPage.evaluate(async () => {
+    const tabs = await chrome.tabs.query({ url: 'https://chat.mistral.ai/*' });
+    const { aiWindowId } = await chrome.storage.session.get('aiWindowId');
+    return {
+      tabWindows: await Promise.all(tabs.map(tab => chrome.windows.get(tab.windowId))),
+      aiWindowId,
+      ownWindowId: (await chrome.windows.getCurrent()).id
+    };
+  });
+}
+
+test.describe('Tab Strategy', () => {
+
+  test('TAB-01: only known tab strategies are accepted', async ({ optionsPage }) => {
+    const errors = await optionsPage.evaluate(async (configs) => {
+      const { validateConfig } = await import('./config.js');
+      return configs.map(config => validateConfig(config));
+    }, [
+      buildConfig({ tabStrategy: 'newTab' }),
+      buildConfig({ tabStrategy: 'reuse' }),
+      buildConfig({ tabStrategy: 'aiWindow' }),
+      buildConfig({ tabStrategy: 'popup' }),
+      buildConfig({ tabStrategy: 'sidebar' })
+    ]);
+
+    expect(errors.slice(0, 4)).toEqual([[], [], [], []]);
+    expect(errors[4].join('\n')).toContain('tabStrategy must be one of newTab, reuse, aiWindow, popup');
+  });
+
+  test('TAB-02: tab strategy is saved per menu and defaults to a new tab', async ({ optionsPage }) => {
+    await optionsPage.locator('#add-menu').click();
+    await optionsPage.waitForTimeout(300);
+    await optionsPage.locator('#menuName').fill('TAB-02 Menu');
+    await optionsPage.locator('#customGptUrl').fill('https://chatgpt.com');
+
+    await expect(optionsPage.locator('#tabStrategy')).toHaveValue('newTab');
+    await optionsPage.locator('#tabStrategy').selectOption('aiWindow');
+    await optionsPage.locator('#save').click();
+    await optionsPage.waitForSave();
+
+    const cfg = await optionsPage.evaluate(() => new Promise(r => chrome.storage.sync.get('config', ({ config }) => r(config))));
+    const menu = cfg.menus.find(m => m.name === 'TAB-02 Menu');
+    expect(menu.tabStrategy).toBe('aiWindow');
+  });
+
+  test('TAB-03: reuse sends the prompt to the Le Chat tab that is already open', async ({ context, optionsPage }) => {
+    await routeLeChat(context);
+    const openTab = await context.newPage();
+    await openTab.goto(LE_CHAT_URL);
+    await storeLeChatRun(optionsPage, 'reuse');
+    const pageCount = context.pages().length;
+
+    await rerunLeChatAction(optionsPage);
+
+    await expect(openTab.locator('body')).toHaveAttribute('data-sent', SENT_PROMPT, { timeout: 15000 });
+    expect(context.pages()).toHaveLength(pageCount);
+  });
+
+  test('TAB-04: the AI window is created by the first run and reused by the next', async ({ context, optionsPage }) => {
+    await routeLeChat(context);
+    await storeLeChatRun(optionsPage, 'aiWindow');
+
+    let pagePromise = waitForLeChatPage(context);
+    await rerunLeChatAction(optionsPage);
+    const firstPage = await pagePromise;
+    await expect(firstPage.locator('body')).toHaveAttribute('data-sent', SENT_PROMPT, { timeout: 15000 });
+
+    pagePromise = waitForLeChatPage(context);
+    await rerunLeChatAction(optionsPage);
+    const secondPage = await pagePromise;
+    await expect(secondPage.locator('body')).toHaveAttribute('data-sent', SENT_PROMPT, { timeout: 15000 });
+
+    const { tabWindows, aiWindowId, ownWindowId } = await getLeChatWindows(optionsPage);
+    expect(aiWindowId).toBeTruthy();
+    expect(aiWindowId).not.toBe(ownWindowId);
+    expect(tabWindows.map(win => win.id)).toEqual([aiWindowId, aiWindowId]);
+  });
+
+  test('TAB-05: popup sends the prompt to a new popup window', async ({ context, optionsPage }) => {
+    await routeLeChat(context);
+    await storeLeChatRun(optionsPage, 'popup');
+
+    const pagePromise = waitForLeChatPage(context);
+    await rerunLeChatAction(optionsPage);
+    const popupPage = await pagePromise;
+    await expect(popupPage.locator('body')).toHaveAttribute('data-sent', SENT_PROMPT, { timeout: 15000 });
+
+    const { tabWindows, ownWindowId } = await getLeChatWindows(optionsPage);
+    expect(tabWindows).toHaveLength(1);
+    expect(tabWindows[0].type).toBe('popup');
+    expect(tabWindows[0].id).not.toBe(ownWindowId);
+  });
+
+});
@@ -0,0 +1,43 @@
+/**
+ * Config builder for specs that store or validate a configuration
+ *
+ * buildConfig() returns a version 3 config with one menu. The menu fields passed in override
+ * the defaults, and each action is filled in with the required fields, so a spec only spells
+ * out the settings it tests:
+ *
+ *   buildConfig({ tabStrategy: 'reuse' })                        // one 'Explain:' action
+ *   buildConfig({ customGptUrl: url }, [{ prompt: 'Summarize:' }])
+ *   buildConfig({ executionMode: 'api' }, [])                    // no actions
+ */
+export function buildConfig(menu = {}, actions = [{}]) {
+  return {
+    version: 3,
+    menus: [{
+      id: 'menu_test',
+      name: 'Test Menu',
+      customGptUrl: 'https://chatgpt.com',
+      autoSubmit: true,
+      runAllEnabled: false,
+      runAllShortcut: '',
+      order: 1,
+      ...menu,
+      actions: actions.map((action, i) => ({
+        id: `a${i + 1}`,
+        title: 'Explain',
+        prompt: 'Explain:',
+        shortcut: '',
+        enabled: true,
+        order: i + 1,
+        ...action
+      }))
+    }],
+    globalSettings: { gptTitleMatch: 'ChatGPT', clearContext: true }
+  };
+}
+
+/**
+ * Save a config to chrome.storage.sync from an extension page (e.g. optionsPage)
+ */
+export function storeConfig(page, config) {
+  return page.evaluate((config) => chrome.storage.sync.set({ config }), config);
+}